@@ -0,0 +1,212 @@
+/**
+ * adminControl.js
+ *
+ * Operator commands for a running node, sent by agents over the normal
+ * agent connection as `admin_request` control messages:
+ *
+ *   { msg_type: 'admin_request', payload: { command: 'kick_agent', conn_id } }
+ *
+ * Only agents whose trust chain grants the admin purpose (`pan-admin` by
+ * default) may use them. Untrusted agents never hold vouched purposes, so
+ * they can't. Each request is answered with `admin_response`
+ * ({ status: 'ok', ... } or { status: 'failed', error, message }).
+ *
+ * Commands:
+ * - list_agents: agents with names, conn_ids, groups and traffic counters
+ * - list_peers, list_routes
+ * - kick_agent { conn_id, reason }
+ * - ban_agent { vouchsafe_id, duration_seconds, reason }: kicks the
+ *   identity's sessions and refuses it at auth until the ban ends
+ * - unban_agent { vouchsafe_id }, list_bans
+ * - reload_trust: rereads the trusted agents / peers files
+ * - set_log_level { level }
+ *
+ * Bans are kept in memory and end when the node restarts.
+ */
+
+const panApp = require('../panApp');
+const { log, setLogLevel, getLogLevel } = require('../utils/log');
+const { forceReloadAll } = require('../node/vouchsafeTrust');
+const { cleanupAgent } = require('./agentControl');
+
+const DEFAULT_ADMIN_PURPOSE = 'pan-admin';
+
+/**
+ * Initializes admin control.
+ *
+ * @param {object} config - { purpose }
+ * @returns {object} admin control API
+ */
+async function initialize(config = {}) {
+  const adminPurpose = config.purpose || DEFAULT_ADMIN_PURPOSE;
+
+  const bans = new Map(); // vouchsafe_id → { until, reason, banned_at }
+
+  /**
+   * Checks whether an identity is currently banned.
+   *
+   * @param {string} vouchsafeId
+   * @returns {boolean}
+   */
+  const isBanned = (vouchsafeId) => {
+    const ban = vouchsafeId && bans.get(vouchsafeId);
+
+    if (!ban) {
+      return false;
+    }
+
+    if (ban.until && ban.until <= Date.now()) {
+      bans.delete(vouchsafeId);
+      return false;
+    }
+
+    return true;
+  };
+
+  const kick = (conn, reason) => {
+    log.warn(`[adminControl] Kicking agent ${conn.id} (${conn.vouchsafe_id}): ${reason}`);
+
+    conn.sendControl({
+      msg_type: 'kicked',
+      payload: { reason }
+    });
+
+    cleanupAgent(conn);
+    conn.ws.close();
+  };
+
+  const describeAgent = (conn) => ({
+    conn_id: conn.id,
+    agent_name: conn.name,
+    vouchsafe_id: conn.vouchsafe_id,
+    purposes: conn.purposes,
+    connected: conn.ws.readyState === conn.ws.OPEN,
+    groups: panApp.use('groupManager').getAgentSubscriptions(conn.id),
+    stats: { ...conn.stats }
+  });
+
+  const commands = {
+    list_agents: () => ({
+      agents: panApp.use('agentRegistry').getAgents().map(describeAgent)
+    }),
+
+    list_peers: () => ({
+      peers: panApp.use('peerRegistry').getPeers().map((peer) => ({
+        node_id: peer.nodeId,
+        peer_name: peer.details?.peer_name,
+        vouchsafe_id: peer.details?.vouchsafe_id,
+        direction: peer.direction,
+        connected_at: peer.connectedAt
+      }))
+    }),
+
+    list_routes: () => ({
+      routes: panApp.use('peerRouter').getRoutes()
+    }),
+
+    kick_agent: ({ conn_id: connId, reason = 'kicked by an administrator' }) => {
+      const conn = panApp.use('agentRegistry').getAgent(connId);
+
+      if (!conn) {
+        return { error: 'unknown_agent', message: `No agent ${connId} on this node` };
+      }
+
+      kick(conn, reason);
+      return { conn_id: connId };
+    },
+
+    ban_agent: ({ vouchsafe_id: vouchsafeId, duration_seconds: duration, reason = 'banned by an administrator' }) => {
+      if (typeof vouchsafeId !== 'string') {
+        return { error: 'invalid_request', message: 'vouchsafe_id is required' };
+      }
+
+      if (duration !== undefined && !(typeof duration === 'number' && duration > 0)) {
+        return { error: 'invalid_request', message: 'duration_seconds must be a positive number' };
+      }
+
+      bans.set(vouchsafeId, {
+        until: duration ? Date.now() + duration * 1000 : null,
+        reason,
+        banned_at: Date.now()
+      });
+
+      const kicked = panApp.use('agentRegistry').getAgents()
+        .filter((conn) => conn.vouchsafe_id === vouchsafeId);
+
+      kicked.forEach((conn) => kick(conn, reason));
+      log.warn(`[adminControl] Banned ${vouchsafeId}${duration ? ` for ${duration}s` : ''}`);
+
+      return { vouchsafe_id: vouchsafeId, kicked: kicked.map((conn) => conn.id) };
+    },
+
+    unban_agent: ({ vouchsafe_id: vouchsafeId }) => ({
+      vouchsafe_id: vouchsafeId,
+      removed: bans.delete(vouchsafeId)
+    }),
+
+    list_bans: () => ({
+      bans: Array.from(bans.keys())
+        .filter(isBanned)
+        .map((vouchsafeId) => ({ vouchsafe_id: vouchsafeId, ...bans.get(vouchsafeId) }))
+    }),
+
+    reload_trust: () => {
+      const reloaded = forceReloadAll();
+      log.info(`[adminControl] Reloaded trust files: ${reloaded.join(', ')}`);
+      return { reloaded };
+    },
+
+    set_log_level: ({ level }) => {
+      const previous = getLogLevel();
+
+      if (!setLogLevel(level)) {
+        return { error: 'invalid_request', message: `Unknown log level: ${level}` };
+      }
+
+      log.info(`[adminControl] Log level changed from ${previous} to ${level}`);
+      return { level, previous };
+    }
+  };
+
+  /**
+   * Handles an `admin_request` control message.
+   *
+   * @param {object} conn - Requesting connection.
+   * @param {object} msg - Control message.
+   */
+  const handleRequest = (conn, msg) => {
+    const { command, ...args } = msg.payload || {};
+
+    const reply = (payload) => conn.sendControl({ msg_type: 'admin_response', payload: { command, ...payload } }, msg);
+
+    if (!conn.purposes?.includes(adminPurpose)) {
+      log.warn(`[adminControl] Agent ${conn.id} (${conn.vouchsafe_id}) is not an administrator`);
+      return reply({ status: 'failed', error: 'admin_not_permitted', message: 'Administrator access required' });
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+      return reply({ status: 'failed', error: 'unknown_command', message: `Unknown admin command: ${command}` });
+    }
+
+    log.info(`[adminControl] ${conn.vouchsafe_id} ran ${command}`);
+
+    const result = commands[command](args);
+
+    if (result.error) {
+      return reply({ status: 'failed', ...result });
+    }
+
+    reply({ status: 'ok', ...result });
+  };
+
+  return {
+    handleRequest,
+    isBanned,
+
+    shutdown: async () => {
+      bans.clear();
+    }
+  };
+}
+
+module.exports = { initialize };
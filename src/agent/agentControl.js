@@ -8,8 +8,9 @@ const { log } = require('../utils/log');
 // --- Message Handlers ---
 function handleJoinGroup(conn, msg) {
     const groupManager = panApp.use('groupManager');
+    const groupPolicy = panApp.use('groupPolicy');
     const connId = conn.id;
-    const { group, msg_types } = msg.payload;
+    const { group, msg_types, presence, history } = msg.payload;
 
 
     if (typeof group !== 'string') {
@@ -23,16 +24,66 @@ function handleJoinGroup(conn, msg) {
         }, msg);
     }
 
-    groupManager.joinGroup(connId, group, msg_types);
+    if (history !== undefined && (!Number.isInteger(history) || history < 0)) {
+        return conn.sendControl({
+            msg_type: 'join_group_reply',
+            payload: {
+                status: 'failed',
+                error: 'invalid_history',
+                message: 'history must be a non-negative integer',
+                group
+            }
+        }, msg);
+    }
+
+    const access = groupPolicy.canJoin(conn, group);
+
+    if (!access.allowed) {
+        log.info(`Agent ${connId} (${conn.vouchsafe_id}) denied joining group ${group}`);
+        return conn.sendControl({ 
+            msg_type: 'join_group_reply', 
+            payload: { 
+                status: 'failed', 
+                error: access.error,
+                message: access.message,
+                group
+            }
+        }, msg);
+    }
+
+    const limits = groupManager.checkJoin(connId, group, msg_types);
+
+    if (!limits.allowed) {
+        log.info(`Agent ${connId} could not join group ${group}: ${limits.error}`);
+        return conn.sendControl({
+            msg_type: 'join_group_reply',
+            payload: {
+                status: 'failed',
+                error: limits.error,
+                message: limits.message,
+                group
+            }
+        }, msg);
+    }
+
+    groupManager.joinGroup(connId, group, msg_types, { presence: presence === true });
+
+    const retained = history ? groupManager.getHistory(connId, group, history) : [];
 
     conn.sendControl({ 
         msg_type: 'join_group_reply', 
         payload: { 
             status: 'ok', 
-            group 
+            group,
+            history: retained.length
         }
     }, msg);
 
+    // Replay retained broadcasts after the reply, oldest first
+    for (const retainedMsg of retained) {
+        conn.send({ ...retainedMsg, retained: true });
+    }
+
     log.info(`Agent ${connId} joined group ${group}`);
 }
 
@@ -68,6 +119,59 @@ function handleLeaveGroup(conn, msg) {
 
 
 
+/**
+ * Lists the members of a group connected to this node. Members on other
+ * nodes are announced through presence events (join with `presence: true`).
+ */
+function handleListGroupMembers(conn, msg) {
+    const groupManager = panApp.use('groupManager');
+    const groupPolicy = panApp.use('groupPolicy');
+    const agentRegistry = panApp.use('agentRegistry');
+    const { group } = msg.payload;
+
+    if (typeof group !== 'string') {
+        return conn.sendControl({
+            msg_type: 'list_group_members_reply',
+            payload: {
+                status: 'failed',
+                error: 'invalid_group_id',
+                message: 'Invalid group ID provided'
+            }
+        }, msg);
+    }
+
+    // Anyone allowed to join may see who is there
+    const access = groupPolicy.canJoin(conn, group);
+
+    if (!access.allowed) {
+        return conn.sendControl({
+            msg_type: 'list_group_members_reply',
+            payload: {
+                status: 'failed',
+                error: access.error,
+                message: access.message,
+                group
+            }
+        }, msg);
+    }
+
+    const nodeId = panApp.getNodeId();
+    const members = groupManager.getGroupMembers(group).map((connId) => ({
+        conn_id: connId,
+        node_id: nodeId,
+        agent_name: agentRegistry.getAgent(connId)?.name
+    }));
+
+    conn.sendControl({
+        msg_type: 'list_group_members_reply',
+        payload: {
+            status: 'ok',
+            group,
+            members
+        }
+    }, msg);
+}
+
 function handlePing(conn, msg) {
   const { payload = {} } = msg;
   const { dest_node_id, msg: pingMessage } = payload;
@@ -105,14 +209,44 @@ function handlePing(conn, msg) {
   }
 
   // Valid ping — relay to peer router (via nodeMessages for async decoupling)
-  nodeMessages.emit('outbound:agent_ping', msg);
+  nodeMessages.emit('outbound:agent_ping', {
+    from: conn,
+    message: msg
+  });
+}
+
+function handleTraceroute(conn, msg) {
+  const { payload = {} } = msg;
+  const { dest_node_id } = payload;
+
+  for (const key of Object.keys(payload)) {
+    if (key !== 'dest_node_id') {
+      return conn.sendControl({
+        msg_type: 'traceroute_response',
+        payload: { error: `invalid field in payload: ${key}` }
+      }, msg);
+    }
+  }
+
+  if (!isUuid(dest_node_id)) {
+    return conn.sendControl({
+      msg_type: 'traceroute_response',
+      payload: { error: 'dest_node_id must be a valid UUID' }
+    }, msg);
+  }
+
+  // ttl was range checked by isValidBaseFields; 0 keeps the probe on this node.
+  nodeMessages.emit('outbound:agent_traceroute', {
+    from: conn,
+    message: msg
+  });
 }
 
 function handleDisconnect(conn, msg) {
     log.info(`Agent ${conn.id} requested disconnect`);
 
     // Immediate cleanup
-    cleanAgent(conn);
+    cleanupAgent(conn);
 
     // Close the socket
     conn.ws.close(); // triggers `ws.on('close')` but it's now a no-op
@@ -135,9 +269,22 @@ function processControl(conn, msg) {
         case 'leave_group':
             handleLeaveGroup(conn, msg);
             break;
+        case 'list_group_members':
+            handleListGroupMembers(conn, msg);
+            break;
+        case 'lookup_agent':
+        case 'list_agents':
+            panApp.use('agentDirectory').handleQuery(conn, msg);
+            break;
         case 'ping_request':
             handlePing(conn, msg);
             break;
+        case 'traceroute_request':
+            handleTraceroute(conn, msg);
+            break;
+        case 'admin_request':
+            panApp.use('adminControl').handleRequest(conn, msg);
+            break;
         case 'disconnect':
             handleDisconnect(conn, msg);
             break;
@@ -0,0 +1,279 @@
+/**
+ * agentDirectory.js
+ *
+ * Lets agents find each other without knowing a conn_id in advance.
+ *
+ * - At auth time an agent may publish a directory entry:
+ *   `directory: { name: 'printer-3', tags: ['printer'], metadata: { ... } }`.
+ *   Only agents that publish an entry are listed; they are listed under the
+ *   published name, or the agent name the node gave them if they chose none.
+ * - `lookup_agent` finds agents by `name`, `vouchsafe_id` (issuer), `tag`
+ *   and/or `metadata`, where `{ floor: 3 }` matches entries whose metadata
+ *   has floor 3; `list_agents` lists every published agent, optionally by
+ *   `tag`.
+ * - A reply holds at most `max_results` agents, local ones first.
+ * - With `scope: 'mesh'` (the default) the query is also flooded to the
+ *   other nodes, which answer with their matches. The reply goes out once
+ *   `query_timeout_ms` has passed, so agents on unreachable nodes simply
+ *   do not show up.
+ */
+
+const uuid = require('uuid');
+const panApp = require('../panApp');
+const { log } = require('../utils/log');
+const nodeMessages = require('../utils/nodeMessages');
+
+const DEFAULT_QUERY_TIMEOUT_MS = 1000;
+const DEFAULT_MAX_RESULTS = 100;
+
+const MAX_NAME_LENGTH = 64;
+const MAX_TAGS = 32;
+const MAX_TAG_LENGTH = 64;
+const MAX_METADATA_BYTES = 2048;
+
+const QUERY_FIELDS = ['name', 'vouchsafe_id', 'tag'];
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Checks a directory entry published at auth time.
+ *
+ * @param {object} entry - { name, tags, metadata }
+ * @returns {object} { entry } with the cleaned entry, or { error }
+ */
+function normalizeEntry(entry) {
+  if (!isPlainObject(entry)) {
+    return { error: 'directory must be an object' };
+  }
+
+  const name = entry.name;
+  const tags = entry.tags ?? [];
+  const metadata = entry.metadata ?? {};
+
+  if (name !== undefined && (typeof name !== 'string' || name.length === 0 || name.length > MAX_NAME_LENGTH)) {
+    return { error: `directory.name must be a string of ${MAX_NAME_LENGTH} characters or fewer` };
+  }
+
+  if (!Array.isArray(tags) || tags.length > MAX_TAGS ||
+      !tags.every((tag) => typeof tag === 'string' && tag.length > 0 && tag.length <= MAX_TAG_LENGTH)) {
+    return { error: `directory.tags must be up to ${MAX_TAGS} strings of ${MAX_TAG_LENGTH} characters or fewer` };
+  }
+
+  if (!isPlainObject(metadata) ||
+      Buffer.byteLength(JSON.stringify(metadata)) > MAX_METADATA_BYTES) {
+    return { error: `directory.metadata must be an object of ${MAX_METADATA_BYTES} bytes or fewer` };
+  }
+
+  return { entry: { name, tags, metadata } };
+}
+
+/**
+ * Checks a directory query, from a local agent or another node.
+ *
+ * @param {object} payload - { name, vouchsafe_id, tag, metadata }, all optional
+ * @returns {object} { query } with only the known fields, or { error }
+ */
+function parseQuery(payload) {
+  const query = {};
+
+  for (const field of QUERY_FIELDS) {
+    if (payload[field] !== undefined) {
+      if (typeof payload[field] !== 'string') {
+        return { error: `${field} must be a string` };
+      }
+      query[field] = payload[field];
+    }
+  }
+
+  if (payload.metadata !== undefined) {
+    if (!isPlainObject(payload.metadata) ||
+        !Object.values(payload.metadata).every((value) => ['string', 'number', 'boolean'].includes(typeof value))) {
+      return { error: 'metadata must be an object of strings, numbers or booleans' };
+    }
+    query.metadata = payload.metadata;
+  }
+
+  return { query };
+}
+
+/**
+ * Initializes the agent directory.
+ *
+ * @param {object} config - { query_timeout_ms, max_results }
+ * @returns {object} agent directory API
+ */
+async function initialize(config = {}) {
+  const queryTimeoutMs = config.query_timeout_ms || DEFAULT_QUERY_TIMEOUT_MS;
+  const maxResults = config.max_results || DEFAULT_MAX_RESULTS;
+
+  const pendingQueries = new Map(); // query_id → { conn_id, msg, replyType, results, timer }
+
+  const listedName = (conn) => conn.directory.name ?? conn.name;
+
+  const matches = (conn, query) => {
+    if (query.name !== undefined && listedName(conn) !== query.name) {
+      return false;
+    }
+    if (query.vouchsafe_id !== undefined && conn.vouchsafe_id !== query.vouchsafe_id) {
+      return false;
+    }
+    if (query.tag !== undefined && !conn.directory.tags.includes(query.tag)) {
+      return false;
+    }
+    if (query.metadata !== undefined &&
+        !Object.entries(query.metadata).every(([key, value]) => conn.directory.metadata[key] === value)) {
+      return false;
+    }
+    return true;
+  };
+
+  /**
+   * Finds published agents on this node.
+   *
+   * @param {object} query - { name, vouchsafe_id, tag, metadata }, all optional
+   * @returns {object[]} [{ node_id, conn_id, agent_name, vouchsafe_id, tags, metadata }]
+   */
+  const search = (query) => {
+    const agentRegistry = panApp.use('agentRegistry');
+    const nodeId = panApp.getNodeId();
+
+    return agentRegistry.getAgents()
+      .filter((conn) => conn.directory && matches(conn, query))
+      .slice(0, maxResults)
+      .map((conn) => ({
+        node_id: nodeId,
+        conn_id: conn.id,
+        agent_name: listedName(conn),
+        vouchsafe_id: conn.vouchsafe_id,
+        tags: conn.directory.tags,
+        metadata: conn.directory.metadata
+      }));
+  };
+
+  const finishQuery = (queryId) => {
+    const pending = pendingQueries.get(queryId);
+
+    if (!pending) {
+      return;
+    }
+
+    clearTimeout(pending.timer);
+    pendingQueries.delete(queryId);
+
+    const conn = panApp.use('agentRegistry').getAgent(pending.conn_id);
+
+    if (conn) {
+      conn.sendControl({
+        msg_type: pending.replyType,
+        payload: { status: 'ok', agents: pending.results }
+      }, pending.msg);
+    }
+  };
+
+  /**
+   * Answers `lookup_agent` and `list_agents` from a local agent.
+   *
+   * @param {object} conn - Requesting connection.
+   * @param {object} msg - Control message.
+   */
+  const handleQuery = (conn, msg) => {
+    const replyType = `${msg.msg_type}_reply`;
+    const payload = msg.payload || {};
+    const scope = payload.scope ?? 'mesh';
+
+    const fail = (error, message) => conn.sendControl({
+      msg_type: replyType,
+      payload: { status: 'failed', error, message }
+    }, msg);
+
+    const { query, error } = parseQuery(payload);
+
+    if (error) {
+      return fail('invalid_query', error);
+    }
+
+    if (msg.msg_type === 'list_agents' && Object.keys(query).some((field) => field !== 'tag')) {
+      return fail('invalid_query', 'list_agents only filters by tag; use lookup_agent');
+    }
+
+    if (msg.msg_type === 'lookup_agent' && Object.keys(query).length === 0) {
+      return fail('invalid_query', 'lookup_agent needs one of name, vouchsafe_id, tag, metadata');
+    }
+
+    if (scope !== 'local' && scope !== 'mesh') {
+      return fail('invalid_query', "scope must be 'local' or 'mesh'");
+    }
+
+    const results = search(query);
+
+    if (scope === 'local' || panApp.use('peerRegistry').getPeerCount() === 0) {
+      return conn.sendControl({
+        msg_type: replyType,
+        payload: { status: 'ok', agents: results }
+      }, msg);
+    }
+
+    const queryId = uuid.v4();
+
+    pendingQueries.set(queryId, {
+      conn_id: conn.id,
+      msg,
+      replyType,
+      results,
+      timer: setTimeout(() => finishQuery(queryId), queryTimeoutMs)
+    });
+
+    nodeMessages.emit('outbound:directory_query', { query_id: queryId, query });
+  };
+
+  /**
+   * Adds another node's matches to a query we started, until it holds
+   * max_results.
+   *
+   * @param {string} queryId
+   * @param {object[]} agents - directory results from that node
+   */
+  const addRemoteResults = (queryId, agents) => {
+    const pending = pendingQueries.get(queryId);
+
+    if (!pending || !Array.isArray(agents)) {
+      return;
+    }
+
+    for (const agent of agents) {
+      if (pending.results.length >= maxResults) {
+        log.debug(`[agentDirectory] Query ${queryId} is full, ignoring further results`);
+        return;
+      }
+
+      if (typeof agent?.node_id !== 'string' || typeof agent?.conn_id !== 'string') {
+        log.debug('[agentDirectory] Ignoring malformed directory result');
+        continue;
+      }
+
+      const known = pending.results.some((result) =>
+        result.node_id === agent.node_id && result.conn_id === agent.conn_id);
+
+      if (!known) {
+        pending.results.push(agent);
+      }
+    }
+  };
+
+  return {
+    normalizeEntry,
+    parseQuery,
+    search,
+    handleQuery,
+    addRemoteResults,
+
+    shutdown: async () => {
+      for (const pending of pendingQueries.values()) {
+        clearTimeout(pending.timer);
+      }
+      pendingQueries.clear();
+    }
+  };
+}
+
+module.exports = { initialize, normalizeEntry, parseQuery };
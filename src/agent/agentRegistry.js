@@ -31,12 +31,13 @@ async function initialize(config = {}) {
    * Assigns a random auth key and stores both the connection and key.
    *
    * @param {object} conn - The agent connection object (must include `id`).
+   * @param {string} [existingKey] - Auth key of a session being restored.
    * @returns {string} authKey - A session key used for resuming the connection.
    */
-  const registerAgent = (conn) => {
+  const registerAgent = (conn, existingKey) => {
     const { id: connId, name } = conn;
 
-    const authKey = crypto.randomUUID();
+    const authKey = existingKey || crypto.randomUUID();
 
     conn.authKey = authKey;
 
@@ -93,6 +94,14 @@ async function initialize(config = {}) {
    */
   const getAgentCount = () => agents.size;
 
+  /**
+   * Returns all registered agent connections, including those waiting
+   * to resume.
+   *
+   * @returns {object[]}
+   */
+  const getAgents = () => Array.from(agents.values());
+
   /**
    * Shuts down the registry and clears all state.
    */
@@ -107,6 +116,7 @@ async function initialize(config = {}) {
     getAgent,
     resumeAgent,
     getAgentCount,
+    getAgents,
     shutdown
   };
 }
@@ -5,7 +5,8 @@
  *
  * - Control messages are handled by `agentControl`.
  * - Broadcast messages are sent to other local agents and relayed to peers.
- * - Direct messages are sent to a specific connection, locally or to another node.
+ * - Direct messages are sent to a specific connection, locally or to another node,
+ *   or with `to_capability` to a special agent providing that capability.
  *
  * This module acts as the core message router for special agents.
  */
@@ -13,8 +14,11 @@
 const panApp = require('../panApp');
 const { log } = require('../utils/log');
 const nodeMessages = require('../utils/nodeMessages');
+const metrics = require('../utils/metrics');
 const agentControl = require('./agentControl');
 
+metrics.defineCounter('pan_messages_routed_total', 'Messages handled, by message type and where they came from');
+
 /**
  * Initializes the agent router and returns the message handling interface.
  *
@@ -36,6 +40,8 @@ async function initialize(config = {}) {
         return;
       }
 
+      metrics.inc('pan_messages_routed_total', { type: msg.type, source: 'agent' });
+
       switch (msg.type) {
         case 'control':
           return agentControl.processControl(conn, msg);
@@ -44,6 +50,9 @@ async function initialize(config = {}) {
           return router.deliverBroadcast(conn, msg);
 
         case 'direct':
+          if (msg.to_capability !== undefined && msg.to === undefined) {
+            return panApp.use('capabilityRouter').routeRequest(conn, msg);
+          }
           return router.deliverDirect(conn, msg);
 
         default:
@@ -54,6 +63,7 @@ async function initialize(config = {}) {
     /**
      * Broadcasts a message to all other agents in the specified group,
      * and emits the message on the bus for cross-node relay.
+     * The group's policy is enforced here, on the sender's node.
      *
      * @param {object} fromConn - Connection that sent the broadcast.
      * @param {object} msg - Broadcast message.
@@ -62,27 +72,16 @@ async function initialize(config = {}) {
       const { group: groupId, msg_type: msgType } = msg;
 
       const nodeId = panApp.getNodeId();
-      const groupManager = panApp.use('groupManager');
-      const agentRegistry = panApp.use('agentRegistry');
 
-      const recipients = groupManager.getGroupRecipients(groupId, msgType);
+      const access = panApp.use('groupPolicy').canBroadcast(fromConn, groupId, msgType);
 
-      if (!recipients || recipients.size === 0) {
-        log.debug(`broadcast: no local recipients for ${msgType} in ${groupId}`);
-      } else {
-        for (const connId of recipients) {
-          if (connId === fromConn.id) {
-            continue;
-          }
-
-          const target = agentRegistry.getAgent(connId);
-
-          if (target) {
-            target.send(msg);
-          }
-        }
+      if (!access.allowed) {
+        log.info(`broadcast: ${fromConn.id} (${fromConn.vouchsafe_id}) denied ${msgType} to ${groupId}`);
+        return fromConn.sendError({ type: access.error, message: access.message }, msg);
       }
 
+      router.deliverLocalBroadcast(msg, fromConn.id);
+
       // Relay to other nodes via async message bus
       nodeMessages.emit('outbound:agent_broadcast', {
         from: {
@@ -93,6 +92,43 @@ async function initialize(config = {}) {
       });
     },
 
+    /**
+     * Delivers a broadcast to the agents on this node subscribed to its
+     * group and msg_type. Used for local broadcasts and for broadcasts
+     * relayed in from peers. Every broadcast seen here is also offered to
+     * the group's retained history.
+     *
+     * @param {object} msg - Broadcast message.
+     * @param {string} [excludeConnId] - Connection to skip (usually the sender).
+     */
+    deliverLocalBroadcast(msg, excludeConnId) {
+      const { group: groupId, msg_type: msgType } = msg;
+
+      const groupManager = panApp.use('groupManager');
+      const agentRegistry = panApp.use('agentRegistry');
+
+      groupManager.retainBroadcast(msg);
+
+      const recipients = groupManager.getGroupRecipients(groupId, msgType);
+
+      if (!recipients || recipients.size === 0) {
+        log.debug(`broadcast: no local recipients for ${msgType} in ${groupId}`);
+        return;
+      }
+
+      for (const connId of recipients) {
+        if (connId === excludeConnId) {
+          continue;
+        }
+
+        const target = agentRegistry.getAgent(connId);
+
+        if (target) {
+          target.send(msg);
+        }
+      }
+    },
+
     /**
      * Sends a direct message to a specific agent, either locally or relayed.
      *
@@ -102,33 +138,107 @@ async function initialize(config = {}) {
     deliverDirect(fromConn, msg) {
       const to = msg.to;
       const nodeId = panApp.getNodeId();
-      const agentRegistry = panApp.use('agentRegistry');
 
       if (!to || typeof to !== 'object' || !to.node_id || !to.conn_id) {
         return fromConn.sendError('invalid "to" field in direct message', msg);
       }
 
+      const requestTracker = panApp.use('requestTracker');
+
+      if (msg.expects_reply && !requestTracker.track(fromConn, msg)) {
+        return fromConn.sendError({ type: 'duplicate_msg_id', message: 'request with this msg_id already outstanding' }, msg);
+      }
+
       if (to.node_id === nodeId) {
         // Local delivery
-        const targetAgent = agentRegistry.getAgent(to.conn_id);
-
-        targetAgent.send({
-          type: 'direct',
-          msg_type: msg.msg_type,
-          in_response_to: msg.msg_id,
-          from: {
-            node_id: nodeId,
-            conn_id: fromConn.id
-          },
-          payload: msg.payload
-        });
+        const status = router.deliverLocalDirect(msg);
+
+        if (status !== 'delivered') {
+          requestTracker.cancel(msg.msg_id);
+          fromConn.sendControl({
+            msg_type: 'delivery_failed',
+            payload: {
+              msg_id: msg.msg_id,
+              to,
+              reason: status,
+              node_id: nodeId
+            }
+          }, msg);
+        } else if (msg.ack_required) {
+          fromConn.sendControl({
+            msg_type: 'delivery_ack',
+            payload: {
+              msg_id: msg.msg_id,
+              to,
+              node_id: nodeId
+            }
+          }, msg);
+        }
       } else {
         // Relay to other node via async bus
-        nodeMessages.emit('outbound:agent_direct', {
+        const relay = () => nodeMessages.emit('outbound:agent_direct', {
           from: fromConn,
           message: msg
         });
+
+        if (msg.ack_required) {
+          panApp.use('deliveryTracker').track(fromConn, msg, relay);
+        } else {
+          relay();
+        }
+      }
+    },
+
+    /**
+     * Delivers a direct message to an agent connected to this node.
+     * Used for local sends and for direct messages relayed in from peers.
+     * A resent `ack_required` message that was already delivered is
+     * skipped, but still counts as delivered so it is acknowledged again.
+     * A reply (`in_response_to`) is only delivered if it answers an
+     * outstanding `expects_reply` request of the target agent.
+     *
+     * @param {object} msg - Direct message; msg.from must already be authoritative.
+     * @returns {string} 'delivered', or the reason it was not:
+     *          'unknown_agent' if the target agent is not connected here,
+     *          'request_expired' for a late reply,
+     *          'unknown_request' for a reply to no outstanding request.
+     */
+    deliverLocalDirect(msg) {
+      const agentRegistry = panApp.use('agentRegistry');
+      const targetAgent = agentRegistry.getAgent(msg.to.conn_id);
+
+      if (!targetAgent) {
+        return 'unknown_agent';
+      }
+
+      if (msg.ack_required && !panApp.use('deliveryTracker').isFirstDelivery(msg)) {
+        log.debug(`direct: ${msg.msg_id} already delivered, not delivering again`);
+        return 'delivered';
       }
+
+      if (msg.in_response_to) {
+        const request = panApp.use('requestTracker').completeRequest(msg);
+
+        if (request === 'expired') {
+          log.debug(`direct: dropping late reply to expired request ${msg.in_response_to}`);
+          return 'request_expired';
+        }
+        if (request === 'unknown') {
+          log.debug(`direct: dropping reply to unknown request ${msg.in_response_to}`);
+          return 'unknown_request';
+        }
+      }
+
+      targetAgent.send({
+        type: 'direct',
+        msg_id: msg.msg_id,
+        msg_type: msg.msg_type,
+        in_response_to: msg.in_response_to,
+        from: msg.from,
+        payload: msg.payload
+      });
+
+      return 'delivered';
     },
 
     /**
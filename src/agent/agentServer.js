@@ -25,8 +25,14 @@ const MAX_MESSAGE_BYTES = 61440; // 60KB safe limit for JSON messages
 const cleanupTimeouts = new Map();
 const { validateIncomingAgentMessage } = require('../utils/validators');
 const spamProtector = require('../utils/spamProtector');
+const metrics = require('../utils/metrics');
+const { createHttpHandler } = require('./httpEndpoints');
 const ACTIVE_SOCKETS = {};
 const PENDING_SOCKETS = {};
+
+metrics.defineCounter('pan_spam_violations_total', 'Agent messages dropped by the rate limiter');
+metrics.defineCounter('pan_auth_total', 'Agent authentication attempts, by result');
+metrics.defineHistogram('pan_auth_duration_seconds', 'Time taken to authenticate an agent');
 let get_server_identity;
 let set_server_identity = function (identity) {
     let AGENT_SERVER_IDENTITY = identity;
@@ -45,12 +51,8 @@ let set_server_identity = function (identity) {
  * Applies spam protection, authentication, reconnection, and message routing.
  */
 function handleWebSocket(ws, req, config) {
-  const spamConfig = config.spam_protection || {};
-  const SPAM_WINDOW_SECONDS = spamConfig.window_seconds ?? 10;
-  const SPAM_MESSAGE_LIMIT = spamConfig.message_limit ?? 50;
-  const SPAM_DISCONNECT_THRESHOLD = spamConfig.disconnect_threshold ?? 5;
-  const SPAM_ERROR_RESET_WINDOW = spamConfig.error_reset_window * 1000 ?? 300000;
-  const MAX_ERRORS_BEFORE_DISCONNECT = spamConfig.disconnect_threshold ?? 5;
+  // read per message, so limits changed by reconfigure() apply to open sockets
+  const getSpamConfig = () => config.spam_protection || {};
 
   let now = Date.now();
   ws.socket_id = uuid.v4();
@@ -68,12 +70,14 @@ function handleWebSocket(ws, req, config) {
    */
   ws.on('message', async (msgBuffer) => {
     const now = Date.now();
+    const spamConfig = getSpamConfig();
     const spamResult = spamProtector.track(ws, spamConfig);
     const nodeId = panApp.getNodeId();
 
     // --- Spam check ---
     if (spamResult.violation) {
       ws.spamViolations = (ws.spamViolations || 0) + 1;
+      metrics.inc('pan_spam_violations_total');
 
       rawSendControl(ws, {
         msg_type: 'speed_limit_exceeded',
@@ -118,7 +122,7 @@ function handleWebSocket(ws, req, config) {
           message: 'invalid message received'
         });
 
-        if (ws.msg_errors > MAX_ERRORS_BEFORE_DISCONNECT) {
+        if (ws.msg_errors > (spamConfig.disconnect_threshold ?? 5)) {
           log.error(`Agent ${ws.conn_id} disconnected: too many errors`);
 
           rawSendError(ws, {
@@ -133,7 +137,7 @@ function handleWebSocket(ws, req, config) {
       }
 
       // --- Reset error count if window has passed ---
-      if (ws.msg_errors > 0 && (now - ws.lastErrorTimestamp) > SPAM_ERROR_RESET_WINDOW) {
+      if (ws.msg_errors > 0 && (now - ws.lastErrorTimestamp) > (spamConfig.error_reset_window ?? 300) * 1000) {
         ws.msg_errors = 0;
         log.verbose(`Agent ${ws.conn_id} error count reset`);
       }
@@ -178,7 +182,31 @@ function handleWebSocket(ws, req, config) {
           const agentAuthManager = panApp.use('agentAuthManager');
           log.info('received auth request');
 
+          let directoryEntry = null;
+
+          if (msg.payload.directory !== undefined) {
+            const published = panApp.use('agentDirectory').normalizeEntry(msg.payload.directory);
+
+            if (published.error) {
+              rawSendControl(ws, {
+                  msg_type: 'auth.failed',
+                  payload: {
+                      message: published.error
+                  }
+              }, msg);
+
+              return ws.close();
+            }
+
+            directoryEntry = published.entry;
+          }
+
+          const authStarted = Date.now();
+
           agentAuthManager.submitAuthRequest(msg.payload, (result) => { 
+              metrics.observe('pan_auth_duration_seconds', (Date.now() - authStarted) / 1000);
+              metrics.inc('pan_auth_total', { result: result.success ? 'success' : 'failure' });
+
               if (!result.success) { 
                 rawSendControl(ws, {
                     msg_type: 'auth.failed',
@@ -190,16 +218,28 @@ function handleWebSocket(ws, req, config) {
                 return ws.close(); 
               } 
 
+              if (panApp.use('adminControl')?.isBanned(result.info?.vouchsafe_id)) {
+                log.warn(`[agentServer] Refusing banned identity ${result.info.vouchsafe_id}`);
+                rawSendControl(ws, {
+                    msg_type: 'auth.failed',
+                    payload: {
+                        message: 'banned'
+                    }
+                }, msg);
+
+                return ws.close();
+              }
+
               let new_conn;
               let final_auth_key;
+              let resumed = false;
+              let restored = false;
 
               // --- Resume flow ---
               if (msg.payload.auth_type === 'reconnect' && msg.payload.reconnect?.conn_id && msg.payload.reconnect?.auth_key) { 
                 new_conn = agentRegistry.resumeAgent(msg.payload.reconnect.conn_id, msg.payload.reconnect.auth_key); 
 
                 if (new_conn) { 
-                  new_conn.reconnect(ws); 
-
                   const countdown_timeout = cleanupTimeouts.get(new_conn.id); 
                   if (countdown_timeout) { 
                     clearTimeout(countdown_timeout); 
@@ -207,6 +247,11 @@ function handleWebSocket(ws, req, config) {
                   } 
 
                   final_auth_key = msg.payload.reconnect.auth_key;
+                  resumed = true;
+                } else if ((new_conn = restoreSession(ws, msg.payload.reconnect, result, config))) {
+                  // session saved before a node restart
+                  final_auth_key = new_conn.authKey;
+                  restored = true;
                 } else { 
                     rawSendControl(ws, {
                         msg_type: 'auth.failed',
@@ -221,7 +266,12 @@ function handleWebSocket(ws, req, config) {
               // --- New session flow ---
               else { 
                 const agentName = result.info?.agent_name || msg.payload.agent_name || 'unknown';
-                new_conn = createPanConnection(ws, 'agent', agentName);
+                new_conn = createPanConnection(ws, 'agent', agentName, {
+                  outbox: config.outbox,
+                  vouchsafe_id: result.info?.vouchsafe_id,
+                  purposes: result.info?.purposes,
+                  directory: directoryEntry
+                });
                 final_auth_key = agentRegistry.registerAgent(new_conn);
               } 
 
@@ -235,15 +285,29 @@ function handleWebSocket(ws, req, config) {
 
               log.info(`[agentServer] Agent connected: conn_id=${new_conn.id} auth_type=${msg.payload.auth_type || 'standard'}`);
 
-              return new_conn.sendControl({ 
-                msg_type: 'auth.ok', 
-                payload: { 
-                  node_id: nodeId, 
-                  conn_id: new_conn.id, 
-                  auth_key: final_auth_key, 
-                  auth_type: msg.payload.auth_type || 'standard' 
-                } 
-              }, msg); 
+              const authOk = {
+                msg_type: 'auth.ok',
+                payload: {
+                  node_id: nodeId,
+                  conn_id: new_conn.id,
+                  auth_key: final_auth_key,
+                  auth_type: msg.payload.auth_type || 'standard'
+                }
+              };
+
+              if (restored) {
+                authOk.payload.restored = true;
+              }
+
+              if (!resumed) {
+                return new_conn.sendControl(authOk, msg);
+              }
+
+              // auth.ok goes out on the new socket before the queued messages are replayed
+              new_conn.reconnect(ws, (messagesDropped) => {
+                authOk.payload.messages_dropped = messagesDropped;
+                new_conn.sendControl(authOk, msg);
+              });
           });
 
           return;
@@ -261,6 +325,9 @@ function handleWebSocket(ws, req, config) {
       // --- At this point, the agent is authenticated ---
       const conn = ws.conn;
 
+      conn.stats.messages_in++;
+      conn.stats.bytes_in += msgBuffer.length;
+
       if (conn.type === 'agent') {
         const agentRouter = panApp.use('agentRouter');
 
@@ -320,6 +387,55 @@ function handleWebSocket(ws, req, config) {
   });
 }
 
+/**
+ * Rebuilds an agent session saved by sessionStore before the node
+ * restarted: same conn_id and auth_key, with its groups rejoined as far
+ * as group policy and quotas still allow.
+ *
+ * @returns {object|null} the new connection, or null if there is no such session
+ */
+function restoreSession(ws, reconnect, authResult, config) {
+  const session = panApp.use('sessionStore').claimSession(reconnect.conn_id, reconnect.auth_key);
+
+  if (!session) {
+    return null;
+  }
+
+  if (session.vouchsafe_id && session.vouchsafe_id !== authResult.info?.vouchsafe_id) {
+    log.warn(`[agentServer] Refusing to restore session ${session.conn_id} for a different identity`);
+    return null;
+  }
+
+  const agentRegistry = panApp.use('agentRegistry');
+  const groupManager = panApp.use('groupManager');
+  const groupPolicy = panApp.use('groupPolicy');
+
+  const conn = createPanConnection(ws, 'agent', session.agent_name, {
+    id: session.conn_id,
+    outbox: config.outbox,
+    vouchsafe_id: authResult.info?.vouchsafe_id,
+    purposes: authResult.info?.purposes,
+    directory: session.directory
+  });
+
+  agentRegistry.registerAgent(conn, session.auth_key);
+
+  for (const { group, msg_types: msgTypes, presence } of session.groups || []) {
+    const access = groupPolicy.canJoin(conn, group);
+    const limits = access.allowed ? groupManager.checkJoin(conn.id, group, msgTypes) : access;
+
+    if (!limits.allowed) {
+      log.info(`[agentServer] Not restoring ${conn.id} to group ${group}: ${limits.error}`);
+      continue;
+    }
+
+    groupManager.joinGroup(conn.id, group, msgTypes, { presence });
+  }
+
+  log.info(`[agentServer] Restored session ${conn.id} saved before restart`);
+  return conn;
+}
+
 // performServerMaintenance runs once per second, to do agent server maintenance.
 async function performServerMaintenance(config) {
 
@@ -366,7 +482,10 @@ async function initialize(config = {}) {
       throw new Error(e);
   }
 
-  const httpServer = createServer();
+  const httpServer = config.http_endpoints?.enabled === false ? createServer() : createServer(createHttpHandler({
+    isListening: () => httpServer.listening,
+    getPendingSocketCount: () => Object.keys(PENDING_SOCKETS).length
+  }));
   const wss = new WebSocket.Server({ server: httpServer });
   const port = config.port || DEFAULT_AGENT_PORT;
   let maintenanceInterval;
@@ -409,11 +528,21 @@ async function initialize(config = {}) {
         });
       });
     },
+    /**
+     * Applies settings that can change while the server runs. Currently
+     * only spam_protection; everything else needs a restart.
+     */
+    reconfigure: (newConfig = {}) => {
+      config.spam_protection = newConfig.spam_protection;
+      log.info('[agentServer] Spam protection limits updated');
+    },
     getStatus: () => {
       const agentRegistry = panApp.use('agentRegistry');
       return {
         port,
-        connectedAgents: agentRegistry.getAgentCount?.() || 0
+        connectedAgents: agentRegistry.getAgentCount?.() || 0,
+        pendingSockets: Object.keys(PENDING_SOCKETS).length,
+        listening: httpServer.listening
       };
     }
   };
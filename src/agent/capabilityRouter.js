@@ -0,0 +1,256 @@
+/**
+ * capabilityRouter.js
+ *
+ * Routes agent requests addressed to a capability (`to_capability`) rather
+ * than a connection, to a special agent on this node that provides it.
+ *
+ * - Providers are picked round-robin or least-loaded (fewest outstanding requests).
+ * - The provider's reply, a direct message with `in_response_to` set to the
+ *   request's msg_id, is routed back to the requesting agent. Requests are
+ *   tracked per requester, so two agents may use the same msg_id; a
+ *   provider holding both tells them apart by naming the requester in `to`.
+ * - If a provider disconnects, its outstanding requests fail over to another
+ *   provider of the same capability.
+ */
+
+const panApp = require('../panApp');
+const { log } = require('../utils/log');
+const nodeMessages = require('../utils/nodeMessages');
+
+const DEFAULT_REQUEST_TIMEOUT_SECONDS = 30;
+
+/**
+ * Initializes the capability router.
+ *
+ * @param {object} config - { strategy: 'round_robin' | 'least_loaded', request_timeout_seconds }
+ * @returns {object} capability router API
+ */
+async function initialize(config = {}) {
+  const strategy = config.strategy || 'round_robin';
+  const requestTimeoutMs = (config.request_timeout_seconds || DEFAULT_REQUEST_TIMEOUT_SECONDS) * 1000;
+
+  if (!['round_robin', 'least_loaded'].includes(strategy)) {
+    throw new Error(`Unknown capability_router strategy: ${strategy}`);
+  }
+
+  // conn_id:msg_id of the request → { key, requester, capability, msg, provider, tried, timeout }
+  const outstanding = new Map();
+
+  const requestKey = (connId, msgId) => `${connId}:${msgId}`;
+
+  const roundRobin = new Map(); // capability → next index
+
+  const countOutstanding = (providerId) => {
+    let count = 0;
+    for (const request of outstanding.values()) {
+      if (request.provider === providerId) {
+        count++;
+      }
+    }
+    return count;
+  };
+
+  /**
+   * Picks a provider for a capability, skipping those already tried.
+   *
+   * @returns {string|null} special agent ID
+   */
+  const pickProvider = (capability, tried) => {
+    const specialAgentRegistry = panApp.use('specialAgentRegistry');
+    const candidates = specialAgentRegistry.findAgentsByCapability(capability)
+      .filter((agentId) => !tried.has(agentId));
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    if (strategy === 'least_loaded') {
+      let best = candidates[0];
+      let bestLoad = countOutstanding(best);
+      for (const agentId of candidates.slice(1)) {
+        const load = countOutstanding(agentId);
+        if (load < bestLoad) {
+          best = agentId;
+          bestLoad = load;
+        }
+      }
+      return best;
+    }
+
+    const next = roundRobin.get(capability) || 0;
+    roundRobin.set(capability, next + 1);
+    return candidates[next % candidates.length];
+  };
+
+  const failRequest = (request, reason) => {
+    const agentRegistry = panApp.use('agentRegistry');
+    const requester = agentRegistry.getAgent(request.requester);
+
+    if (!requester) {
+      return;
+    }
+
+    requester.sendControl({
+      msg_type: 'delivery_failed',
+      payload: {
+        msg_id: request.msg.msg_id,
+        to_capability: request.capability,
+        reason,
+        node_id: panApp.getNodeId()
+      }
+    }, request.msg);
+  };
+
+  /**
+   * Sends an outstanding request to the next untried provider,
+   * or fails it if none is left.
+   */
+  const dispatch = (request) => {
+    const specialAgentRegistry = panApp.use('specialAgentRegistry');
+    const providerId = pickProvider(request.capability, request.tried);
+    const provider = providerId && specialAgentRegistry.getAgentConnection(providerId);
+
+    if (!provider) {
+      outstanding.delete(request.key);
+      clearTimeout(request.timeout);
+      return failRequest(request, request.tried.size ? 'provider_disconnected' : 'no_provider');
+    }
+
+    request.provider = providerId;
+    request.tried.add(providerId);
+
+    provider.send({
+      type: 'direct',
+      msg_id: request.msg.msg_id,
+      msg_type: request.msg.msg_type,
+      from: request.msg.from,
+      to: { node_id: panApp.getNodeId(), conn_id: provider.id },
+      to_capability: request.capability,
+      payload: request.msg.payload
+    });
+  };
+
+  /**
+   * Routes a request from an agent to a provider of `msg.to_capability`.
+   *
+   * @param {object} fromConn - Requesting connection.
+   * @param {object} msg - Direct message with `to_capability`.
+   */
+  const routeRequest = (fromConn, msg) => {
+    const key = requestKey(fromConn.id, msg.msg_id);
+
+    if (outstanding.has(key)) {
+      return fromConn.sendError({ type: 'duplicate_msg_id', message: 'request with this msg_id already outstanding' }, msg);
+    }
+
+    const request = {
+      key,
+      requester: fromConn.id,
+      capability: msg.to_capability,
+      msg,
+      provider: null,
+      tried: new Set(),
+      timeout: null
+    };
+
+    outstanding.set(key, request);
+
+    request.timeout = setTimeout(() => {
+      if (outstanding.get(key) === request) {
+        outstanding.delete(key);
+        failRequest(request, 'timeout');
+      }
+    }, requestTimeoutMs);
+
+    dispatch(request);
+  };
+
+  /**
+   * Finds the request a provider's reply answers: the one from the
+   * requester named in `to`, or else the provider's first request with
+   * that msg_id.
+   */
+  const findRequest = (providerId, msg) => {
+    if (msg.to) {
+      const request = outstanding.get(requestKey(msg.to.conn_id, msg.in_response_to));
+      return request && request.provider === providerId ? request : null;
+    }
+    for (const request of outstanding.values()) {
+      if (request.provider === providerId && request.msg.msg_id === msg.in_response_to) {
+        return request;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Checks whether a direct message from a special agent answers one of
+   * the requests we routed to it, and if so delivers it to the requester.
+   *
+   * @param {object} providerConn - The special agent's connection.
+   * @param {object} msg - Direct message with `in_response_to`.
+   * @returns {boolean} true if the message was a reply and has been handled.
+   */
+  const handleProviderReply = (providerConn, msg) => {
+    const request = findRequest(providerConn.id, msg);
+
+    if (!request) {
+      return false;
+    }
+
+    outstanding.delete(request.key);
+    clearTimeout(request.timeout);
+
+    const agentRegistry = panApp.use('agentRegistry');
+    const requester = agentRegistry.getAgent(request.requester);
+
+    if (requester) {
+      requester.send({
+        type: 'direct',
+        msg_type: msg.msg_type,
+        in_response_to: msg.in_response_to,
+        from: msg.from,
+        payload: msg.payload
+      });
+    }
+
+    return true;
+  };
+
+  /**
+   * Fails over the requests a departed provider was handling.
+   *
+   * @param {object} event - { agent_id }
+   */
+  const handleProviderGone = ({ agent_id: agentId }) => {
+    for (const request of outstanding.values()) {
+      if (request.provider === agentId) {
+        log.info(`[capabilityRouter] Provider ${agentId} left, failing over request ${request.msg.msg_id}`);
+        dispatch(request);
+      }
+    }
+  };
+
+  nodeMessages.on('special_agent:disconnected', handleProviderGone);
+
+  return {
+    routeRequest,
+    handleProviderReply,
+
+    /**
+     * Returns the number of requests awaiting a provider reply.
+     */
+    getOutstandingCount: () => outstanding.size,
+
+    shutdown: async () => {
+      nodeMessages.off('special_agent:disconnected', handleProviderGone);
+      for (const request of outstanding.values()) {
+        clearTimeout(request.timeout);
+      }
+      outstanding.clear();
+      roundRobin.clear();
+    }
+  };
+}
+
+module.exports = { initialize };
@@ -0,0 +1,189 @@
+/**
+ * deliveryTracker.js
+ *
+ * At-least-once delivery for direct messages sent with `ack_required`.
+ *
+ * - On the sending node, tracks each acked message sent to another node and
+ *   resends it with exponential backoff until the target's node confirms
+ *   delivery (`delivery_ack`) or reports a failure that retrying won't fix.
+ *   The sending agent receives `delivery_ack` or `delivery_failed`, keyed
+ *   by the message's msg_id.
+ * - On the receiving node, remembers delivered messages (by sender and
+ *   msg_id) so a resent message is acknowledged again but not delivered twice.
+ */
+
+const panApp = require('../panApp');
+const { log } = require('../utils/log');
+const { createSeenCache } = require('../utils/seenCache');
+
+const DEFAULT_ACK_TIMEOUT_MS = 1000;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_DEDUPE_WINDOW_SECONDS = 300;
+
+// Failures that may clear up by the time we resend (routes converge).
+const RETRYABLE_FAILURES = ['no_route'];
+
+/**
+ * Initializes the delivery tracker.
+ *
+ * @param {object} config - { ack_timeout_ms, max_retries, dedupe_window_seconds }
+ * @returns {object} delivery tracker API
+ */
+async function initialize(config = {}) {
+  const ackTimeoutMs = config.ack_timeout_ms || DEFAULT_ACK_TIMEOUT_MS;
+  const maxRetries = config.max_retries ?? DEFAULT_MAX_RETRIES;
+
+  // msg_id → { conn_id, msg, send, attempts, lastFailure, timer }
+  const unacked = new Map();
+
+  const delivered = createSeenCache({
+    window_seconds: config.dedupe_window_seconds ?? DEFAULT_DEDUPE_WINDOW_SECONDS,
+    max_entries: config.dedupe_max_entries
+  });
+
+  const notifySender = (entry, msgType, payload) => {
+    const agentRegistry = panApp.use('agentRegistry');
+    const conn = agentRegistry.getAgent(entry.conn_id);
+
+    if (!conn) {
+      return;
+    }
+
+    conn.sendControl({
+      msg_type: msgType,
+      payload: {
+        msg_id: entry.msg.msg_id,
+        to: entry.msg.to,
+        ...payload
+      }
+    }, entry.msg);
+  };
+
+  const attempt = (entry) => {
+    entry.attempts++;
+    entry.timer = setTimeout(() => onAckTimeout(entry), ackTimeoutMs * 2 ** (entry.attempts - 1));
+    entry.send();
+  };
+
+  const onAckTimeout = (entry) => {
+    const agentRegistry = panApp.use('agentRegistry');
+
+    if (!agentRegistry.getAgent(entry.conn_id)) {
+      unacked.delete(entry.msg.msg_id);
+      return;
+    }
+
+    if (entry.attempts > maxRetries) {
+      unacked.delete(entry.msg.msg_id);
+      log.info(`[deliveryTracker] No ack for ${entry.msg.msg_id} after ${entry.attempts} attempts`);
+      return notifySender(entry, 'delivery_failed', {
+        reason: entry.lastFailure || 'no_ack',
+        node_id: panApp.getNodeId()
+      });
+    }
+
+    log.debug(`[deliveryTracker] Resending ${entry.msg.msg_id} (attempt ${entry.attempts + 1})`);
+    attempt(entry);
+  };
+
+  /**
+   * Sends an acked direct message to another node and keeps resending
+   * it until it is acknowledged.
+   *
+   * @param {object} fromConn - Sending agent's connection.
+   * @param {object} msg - Direct message with `ack_required`.
+   * @param {function} send - Sends one copy of the message.
+   */
+  const track = (fromConn, msg, send) => {
+    if (unacked.has(msg.msg_id)) {
+      return fromConn.sendError({ type: 'duplicate_msg_id', message: 'message with this msg_id is awaiting an ack' }, msg);
+    }
+
+    const entry = { conn_id: fromConn.id, msg, send, attempts: 0, lastFailure: null, timer: null };
+    unacked.set(msg.msg_id, entry);
+    attempt(entry);
+  };
+
+  /**
+   * The target's node confirmed delivery of a message we are tracking.
+   * Acks from any other node are ignored.
+   *
+   * @param {string} msgId
+   * @param {string} nodeId - node that delivered it
+   */
+  const acknowledge = (msgId, nodeId) => {
+    const entry = unacked.get(msgId);
+
+    if (!entry) {
+      return;
+    }
+
+    if (entry.msg.to.node_id !== nodeId) {
+      log.warn(`[deliveryTracker] Ignoring ack for ${msgId} from ${nodeId}, which is not its target's node`);
+      return;
+    }
+
+    unacked.delete(msgId);
+    clearTimeout(entry.timer);
+
+    notifySender(entry, 'delivery_ack', { node_id: nodeId });
+  };
+
+  /**
+   * A delivery failure was reported for a direct message. Failures that
+   * a resend might get past are absorbed here and retried.
+   *
+   * @param {string} msgId
+   * @param {string} reason - delivery_failed reason
+   * @returns {boolean} true if the failure was absorbed and should not
+   *          be passed on to the sender yet.
+   */
+  const handleFailure = (msgId, reason) => {
+    const entry = unacked.get(msgId);
+
+    if (!entry) {
+      return false;
+    }
+
+    if (RETRYABLE_FAILURES.includes(reason)) {
+      entry.lastFailure = reason;
+      return true;
+    }
+
+    unacked.delete(msgId);
+    clearTimeout(entry.timer);
+    return false;
+  };
+
+  /**
+   * Records a delivery of an acked message on the receiving side. Messages
+   * are told apart by sender and msg_id, so one sender can't suppress
+   * another's message by reusing its msg_id.
+   *
+   * @param {object} msg - Direct message; msg.from must already be authoritative.
+   * @returns {boolean} false if this sender's msg_id has already been delivered.
+   */
+  const isFirstDelivery = (msg) => !delivered.checkAndAdd(`${msg.from.node_id}:${msg.from.conn_id}:${msg.msg_id}`);
+
+  return {
+    track,
+    acknowledge,
+    handleFailure,
+    isFirstDelivery,
+
+    /**
+     * Returns the number of sent messages still awaiting an ack.
+     */
+    getUnackedCount: () => unacked.size,
+
+    shutdown: async () => {
+      for (const entry of unacked.values()) {
+        clearTimeout(entry.timer);
+      }
+      unacked.clear();
+      delivered.clear();
+    }
+  };
+}
+
+module.exports = { initialize };
@@ -0,0 +1,169 @@
+/**
+ * groupHistory.js
+ *
+ * Retained broadcasts for groups, so agents joining a group can catch up
+ * on recent traffic instead of waiting for the next broadcast.
+ *
+ * Two retention modes, set per group:
+ * - `last`: the last `max_messages` broadcasts to the group.
+ * - `per_msg_type`: the last broadcast of each msg_type (MQTT-style
+ *   retained messages), up to `max_messages` msg_types.
+ *
+ * Retention is also bounded in memory: each group keeps at most
+ * `max_bytes` of serialized messages, and all groups together at most
+ * `max_total_bytes`. The oldest retained messages go first.
+ *
+ * Config:
+ * {
+ *   mode: 'last',                 // defaults for every group
+ *   max_messages: 0,              // 0 disables retention
+ *   max_bytes: 65536,
+ *   max_total_bytes: 16777216,
+ *   groups: {
+ *     '<group id>': { mode: 'per_msg_type', max_messages: 50, max_bytes: 262144 }
+ *   }
+ * }
+ */
+
+const { log } = require('../utils/log');
+
+const RETENTION_MODES = ['last', 'per_msg_type'];
+
+const DEFAULT_MAX_BYTES = 64 * 1024;
+const DEFAULT_MAX_TOTAL_BYTES = 16 * 1024 * 1024;
+
+/**
+ * Creates a group history store.
+ *
+ * @param {object} config - see above
+ * @returns {object} group history API
+ */
+function createGroupHistory(config = {}) {
+  const defaults = {
+    mode: config.mode || 'last',
+    max_messages: config.max_messages || 0,
+    max_bytes: config.max_bytes || DEFAULT_MAX_BYTES
+  };
+  const maxTotalBytes = config.max_total_bytes || DEFAULT_MAX_TOTAL_BYTES;
+  const groupSettings = config.groups || {};
+
+  for (const [groupId, settings] of Object.entries({ default: defaults, ...groupSettings })) {
+    if (settings.mode !== undefined && !RETENTION_MODES.includes(settings.mode)) {
+      throw new Error(`group history for ${groupId}: mode must be one of ${RETENTION_MODES.join(', ')}`);
+    }
+  }
+
+  const stores = new Map(); // groupId → { entries: [{ msg, bytes }], bytes }
+
+  // Every retained entry in the order it was stored, for evicting the
+  // oldest across all groups when max_total_bytes is exceeded.
+  const retained = new Set(); // { groupId, msg, bytes }
+
+  let totalBytes = 0;
+
+  const settingsFor = (groupId) => ({ ...defaults, ...groupSettings[groupId] });
+
+  const removeEntry = (store, entry) => {
+    const index = store.entries.indexOf(entry);
+
+    if (index !== -1) {
+      store.entries.splice(index, 1);
+    }
+
+    store.bytes -= entry.bytes;
+    totalBytes -= entry.bytes;
+    retained.delete(entry);
+
+    if (store.entries.length === 0) {
+      stores.delete(entry.groupId);
+    }
+  };
+
+  /**
+   * Retains a broadcast, if its group keeps history.
+   *
+   * @param {object} msg - Broadcast message as delivered to agents.
+   */
+  const retain = (msg) => {
+    const settings = settingsFor(msg.group);
+
+    if (settings.max_messages <= 0) {
+      return;
+    }
+
+    const bytes = Buffer.byteLength(JSON.stringify(msg));
+
+    if (bytes > settings.max_bytes) {
+      log.debug(`[groupHistory] Not retaining ${msg.msg_id}: ${bytes} bytes exceeds the group limit`);
+      return;
+    }
+
+    const store = stores.get(msg.group) || { entries: [], bytes: 0 };
+
+    if (settings.mode === 'per_msg_type') {
+      const previous = store.entries.find((entry) => entry.msg.msg_type === msg.msg_type);
+
+      if (previous) {
+        removeEntry(store, previous);
+      }
+    }
+
+    const entry = { groupId: msg.group, msg, bytes };
+
+    stores.set(msg.group, store);
+    store.entries.push(entry);
+    store.bytes += bytes;
+    totalBytes += bytes;
+    retained.add(entry);
+
+    while (store.entries.length > settings.max_messages || store.bytes > settings.max_bytes) {
+      removeEntry(store, store.entries[0]);
+    }
+
+    for (const oldest of retained) {
+      if (totalBytes <= maxTotalBytes) {
+        break;
+      }
+      removeEntry(stores.get(oldest.groupId), oldest);
+    }
+  };
+
+  /**
+   * Returns up to `limit` of a group's retained messages, oldest first.
+   *
+   * @param {string} groupId
+   * @param {number} limit
+   * @param {function} [filter] - (msg) → boolean, applied before the limit
+   * @returns {object[]} messages
+   */
+  const getHistory = (groupId, limit, filter = () => true) => {
+    const store = stores.get(groupId);
+
+    if (!store || limit <= 0) {
+      return [];
+    }
+
+    return store.entries
+      .map((entry) => entry.msg)
+      .filter(filter)
+      .slice(-limit);
+  };
+
+  return {
+    retain,
+    getHistory,
+
+    /**
+     * Returns { groups, messages, bytes } currently retained.
+     */
+    getStats: () => ({ groups: stores.size, messages: retained.size, bytes: totalBytes }),
+
+    clear: () => {
+      stores.clear();
+      retained.clear();
+      totalBytes = 0;
+    }
+  };
+}
+
+module.exports = { createGroupHistory, RETENTION_MODES };
@@ -6,31 +6,163 @@
  * Each agent can join one or more groups and subscribe to specific message types within those groups.
  * Groups are keyed by groupId, and each group maps message types to sets of connection IDs.
  * Also tracks reverse mapping from agent connection IDs to their subscriptions for efficient cleanup.
+ *
+ * A subscription may also be a pattern: `*` matches every msg_type, and
+ * `chat.*` matches every msg_type starting with `chat.`. Patterns are kept
+ * apart from exact msg_types, so groups without patterns keep the plain
+ * exact lookup.
+ *
+ * Membership changes are announced on the node message bus as
+ * `group:member_joined` / `group:member_left` ({ group, conn_id }).
+ *
+ * Groups can retain recent broadcasts (see groupHistory.js) for agents
+ * that ask for `history` when they join.
+ *
+ * Joins are limited by configurable quotas: groups per node, groups per
+ * agent, msg_types per agent in a group, and members per group. A quota
+ * of 0 means no cap. `checkJoin` reports a join that would break one as a
+ * typed error.
  */
 
-const MAX_MSG_TYPES = 100;
+const nodeMessages = require('../utils/nodeMessages');
+const { createGroupHistory } = require('./groupHistory');
+
+const DEFAULT_MAX_GROUPS = 10000;
+const DEFAULT_MAX_GROUPS_PER_AGENT = 100;
+const DEFAULT_MAX_MSG_TYPES = 100;
+
+const VALID_PATTERN = /^(?:[\w@]+\.)*\*$/u;
+
+const isPattern = (msgType) => msgType.endsWith('*');
+
+// '*' → '', 'chat.*' → 'chat.'
+const patternPrefix = (pattern) => pattern.slice(0, -1);
 
 /**
  * Initializes the group manager and returns the group management API.
  *
- * @param {object} config - Optional config (unused currently).
+ * @param {object} config - { max_groups, max_groups_per_agent, max_msg_types_per_group,
+ *        max_members_per_group, groups: { '<group id>': { max_members } },
+ *        history: retention settings for groupHistory }
  * @returns {object} Group manager interface
  */
 async function initialize(config = {}) {
+  const history = createGroupHistory(config.history);
+
+  let maxGroups, maxGroupsPerAgent, maxMsgTypes, defaultMaxMembers, groupLimits;
+
+  /**
+   * Sets the join limits. They can change while the node runs; agents
+   * already over a lowered limit keep their groups. Missing limits take
+   * their defaults; an explicit 0 lifts the cap, including a group's
+   * max_members under a node-wide max_members_per_group. Throws on a
+   * negative or non-numeric limit, leaving the current limits in place.
+   *
+   * @param {object} limits - the group_manager config section
+   */
+  const setLimits = (limits = {}) => {
+    const groupOverrides = limits.groups || {};
+
+    const checkLimit = (name, value) => {
+      if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+        throw new Error(`group_manager.${name} must be a whole number, 0 or more`);
+      }
+    };
+
+    ['max_groups', 'max_groups_per_agent', 'max_msg_types_per_group', 'max_members_per_group']
+      .forEach((name) => checkLimit(name, limits[name]));
+    Object.entries(groupOverrides)
+      .forEach(([groupId, group]) => checkLimit(`groups.${groupId}.max_members`, group?.max_members));
+
+    maxGroups = limits.max_groups ?? DEFAULT_MAX_GROUPS;
+    maxGroupsPerAgent = limits.max_groups_per_agent ?? DEFAULT_MAX_GROUPS_PER_AGENT;
+    maxMsgTypes = limits.max_msg_types_per_group ?? DEFAULT_MAX_MSG_TYPES;
+    defaultMaxMembers = limits.max_members_per_group ?? 0;
+    groupLimits = groupOverrides;
+  };
+
+  setLimits(config);
+
   const groups = new Map(); // groupId → msgType → Set(connIds)
 
+  const groupPatterns = new Map(); // groupId → prefix → Set(connIds)
+
   const agentSubscriptions = new Map(); // connId → groupId → Set(msgTypes)
 
+  const groupMembers = new Map(); // groupId → Set(connIds)
+
+  const presenceSubscribers = new Map(); // groupId → Set(connIds) wanting member_joined/member_left
+
+  const denied = (error, message) => ({ allowed: false, error, message });
+
+  // whether `count` is over `limit`; a limit of 0 is no cap
+  const overLimit = (count, limit) => limit > 0 && count > limit;
+
+  /**
+   * Checks whether a join is valid and within the configured limits.
+   * Joining a group the agent is already in only counts its new msg_types.
+   *
+   * @param {string} connId
+   * @param {string} groupId
+   * @param {string[]} msgTypes
+   * @returns {object} { allowed, error, message }
+   */
+  const checkJoin = (connId, groupId, msgTypes) => {
+    if (!Array.isArray(msgTypes) || msgTypes.length === 0) {
+      return denied('invalid_msg_types', 'msg_types must be a non-empty array');
+    }
+
+    for (const msgType of msgTypes) {
+      if (typeof msgType !== 'string' || (msgType.includes('*') && !VALID_PATTERN.test(msgType))) {
+        return denied('invalid_msg_types', `Invalid msg_type subscription: ${msgType}`);
+      }
+    }
+
+    const existing = agentSubscriptions.get(connId)?.get(groupId);
+
+    if (!existing) {
+      const members = groupMembers.get(groupId);
+      const maxMembers = groupLimits[groupId]?.max_members ?? defaultMaxMembers;
+
+      if (!members && overLimit(groupMembers.size + 1, maxGroups)) {
+        return denied('max_groups_reached', `This node has reached its limit of ${maxGroups} groups`);
+      }
+
+      if (overLimit((agentSubscriptions.get(connId)?.size || 0) + 1, maxGroupsPerAgent)) {
+        return denied('agent_group_limit', `Agents may join at most ${maxGroupsPerAgent} groups`);
+      }
+
+      if (overLimit((members?.size || 0) + 1, maxMembers)) {
+        return denied('group_full', `This group is limited to ${maxMembers} members`);
+      }
+    }
+
+    // Patterns count as one subscription each, however many types they match
+    const combined = new Set([...(existing || []), ...msgTypes]);
+
+    if (overLimit(combined.size, maxMsgTypes)) {
+      return denied('msg_type_limit', `Exceeded max ${maxMsgTypes} msg_types for this agent in this group`);
+    }
+
+    return { allowed: true };
+  };
+
   /**
    * Registers a connection as a subscriber to specific msgTypes within a group.
+   * Throws if the join fails checkJoin; the error's `code` is the check's error.
    *
    * @param {string} connId - Connection ID of the agent.
    * @param {string} groupId - Group to join.
-   * @param {string[]} msgTypes - Message types to subscribe to.
+   * @param {string[]} msgTypes - Message types or patterns to subscribe to.
+   * @param {object} [options] - { presence }: whether to receive membership changes.
    */
-  const joinGroup = (connId, groupId, msgTypes) => {
-    if (!Array.isArray(msgTypes) || msgTypes.length === 0) {
-      throw new Error('msgTypes must be a non-empty array');
+  const joinGroup = (connId, groupId, msgTypes, options = {}) => {
+    const check = checkJoin(connId, groupId, msgTypes);
+
+    if (!check.allowed) {
+      const err = new Error(check.message);
+      err.code = check.error;
+      throw err;
     }
 
     if (!groups.has(groupId)) {
@@ -52,17 +184,44 @@ async function initialize(config = {}) {
     const existingTypes = agentGroupSubs.get(groupId);
 
     msgTypes.forEach((msgType) => {
-      if (!groupMap.has(msgType)) {
-        groupMap.set(msgType, new Set());
+      let key = msgType;
+      let subscriptions = groupMap;
+
+      if (isPattern(msgType)) {
+        if (!groupPatterns.has(groupId)) {
+          groupPatterns.set(groupId, new Map());
+        }
+        key = patternPrefix(msgType);
+        subscriptions = groupPatterns.get(groupId);
       }
 
-      groupMap.get(msgType).add(connId);
+      if (!subscriptions.has(key)) {
+        subscriptions.set(key, new Set());
+      }
+
+      subscriptions.get(key).add(connId);
 
       existingTypes.add(msgType);
     });
 
-    if (existingTypes.size > MAX_MSG_TYPES) {
-      throw new Error('Exceeded max 100 msg_types for this agent in this group');
+    if (options.presence === true) {
+      if (!presenceSubscribers.has(groupId)) {
+        presenceSubscribers.set(groupId, new Set());
+      }
+      presenceSubscribers.get(groupId).add(connId);
+    } else if (options.presence === false) {
+      presenceSubscribers.get(groupId)?.delete(connId);
+    }
+
+    if (!groupMembers.has(groupId)) {
+      groupMembers.set(groupId, new Set());
+    }
+
+    const members = groupMembers.get(groupId);
+
+    if (!members.has(connId)) {
+      members.add(connId);
+      nodeMessages.emit('group:member_joined', { group: groupId, conn_id: connId });
     }
   };
 
@@ -82,16 +241,19 @@ async function initialize(config = {}) {
     }
 
     const msgTypes = agentGroupSubs.get(groupId);
+    const patternMap = groupPatterns.get(groupId);
 
     if (msgTypes) {
       for (const msgType of msgTypes) {
-        const set = groupMap.get(msgType);
+        const subscriptions = isPattern(msgType) ? patternMap : groupMap;
+        const key = isPattern(msgType) ? patternPrefix(msgType) : msgType;
+        const set = subscriptions?.get(key);
 
         if (set) {
           set.delete(connId);
 
           if (set.size === 0) {
-            groupMap.delete(msgType);
+            subscriptions.delete(key);
           }
         }
       }
@@ -99,17 +261,40 @@ async function initialize(config = {}) {
       agentGroupSubs.delete(groupId);
     }
 
-    if (groupMap.size === 0) {
+    if (patternMap && patternMap.size === 0) {
+      groupPatterns.delete(groupId);
+    }
+
+    if (groupMap.size === 0 && !groupPatterns.has(groupId)) {
       groups.delete(groupId);
     }
 
     if (agentGroupSubs.size === 0) {
       agentSubscriptions.delete(connId);
     }
+
+    const watchers = presenceSubscribers.get(groupId);
+
+    if (watchers) {
+      watchers.delete(connId);
+      if (watchers.size === 0) {
+        presenceSubscribers.delete(groupId);
+      }
+    }
+
+    const members = groupMembers.get(groupId);
+
+    if (members?.delete(connId)) {
+      if (members.size === 0) {
+        groupMembers.delete(groupId);
+      }
+      nodeMessages.emit('group:member_left', { group: groupId, conn_id: connId });
+    }
   };
 
   /**
-   * Returns the set of connection IDs subscribed to a given group and message type.
+   * Returns the set of connection IDs subscribed to a given group and message type,
+   * directly or through a pattern.
    *
    * @param {string} groupId
    * @param {string} msgType
@@ -117,8 +302,101 @@ async function initialize(config = {}) {
    */
   const getGroupRecipients = (groupId, msgType) => {
     const groupMap = groups.get(groupId);
+    const exact = groupMap?.get(msgType);
+    const patternMap = groupPatterns.get(groupId);
+
+    if (!patternMap) {
+      return exact || new Set();
+    }
+
+    const recipients = new Set(exact);
+
+    for (const [prefix, connIds] of patternMap) {
+      if (msgType.startsWith(prefix)) {
+        connIds.forEach((connId) => recipients.add(connId));
+      }
+    }
+
+    return recipients;
+  };
+
+  /**
+   * Returns the connection IDs of the local members of a group.
+   *
+   * @param {string} groupId
+   * @returns {string[]} connection IDs
+   */
+  const getGroupMembers = (groupId) => {
+    const members = groupMembers.get(groupId);
+
+    return members ? Array.from(members) : [];
+  };
+
+  /**
+   * Returns the number of groups with members on this node.
+   *
+   * @returns {number}
+   */
+  const getGroupCount = () => groupMembers.size;
+
+  /**
+   * Returns the local members of a group that asked for presence events.
+   *
+   * @param {string} groupId
+   * @returns {Set<string>} connection IDs
+   */
+  const getPresenceSubscribers = (groupId) => {
+    return presenceSubscribers.get(groupId) || new Set();
+  };
+
+  /**
+   * Keeps a broadcast in its group's history, if the group retains any.
+   *
+   * @param {object} msg - Broadcast message.
+   */
+  const retainBroadcast = (msg) => history.retain(msg);
+
+  /**
+   * Returns up to `limit` retained broadcasts from a group, oldest first,
+   * limited to the msg_types the agent is subscribed to there.
+   *
+   * @param {string} connId
+   * @param {string} groupId
+   * @param {number} limit
+   * @returns {object[]} broadcast messages
+   */
+  const getHistory = (connId, groupId, limit) => {
+    const msgTypes = agentSubscriptions.get(connId)?.get(groupId);
+
+    if (!msgTypes) {
+      return [];
+    }
+
+    const subscribed = (msg) => msgTypes.has(msg.msg_type) ||
+      Array.from(msgTypes).some((msgType) => isPattern(msgType) && msg.msg_type.startsWith(patternPrefix(msgType)));
+
+    return history.getHistory(groupId, limit, subscribed);
+  };
+
+  /**
+   * Returns everything the given connection has joined, in the form
+   * joinGroup takes it.
+   *
+   * @param {string} connId
+   * @returns {object[]} [{ group, msg_types, presence }]
+   */
+  const getAgentSubscriptions = (connId) => {
+    const subs = agentSubscriptions.get(connId);
+
+    if (!subs) {
+      return [];
+    }
 
-    return groupMap?.get(msgType) || new Set();
+    return Array.from(subs, ([groupId, msgTypes]) => ({
+      group: groupId,
+      msg_types: Array.from(msgTypes),
+      presence: presenceSubscribers.get(groupId)?.has(connId) === true
+    }));
   };
 
   /**
@@ -147,14 +425,27 @@ async function initialize(config = {}) {
   };
 
   return {
+    checkJoin,
     joinGroup,
     leaveGroup,
     getGroupRecipients,
+    getGroupMembers,
+    getGroupCount,
+    getPresenceSubscribers,
     getAgentGroups,
+    getAgentSubscriptions,
     removeAgentFromAllGroups,
+    retainBroadcast,
+    getHistory,
+    getHistoryStats: () => history.getStats(),
+    setLimits,
     shutdown: async () => {
+      history.clear();
       groups.clear();
+      groupPatterns.clear();
       agentSubscriptions.clear();
+      groupMembers.clear();
+      presenceSubscribers.clear();
     }
   };
 }
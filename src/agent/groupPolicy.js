@@ -0,0 +1,178 @@
+/**
+ * groupPolicy.js
+ *
+ * Per-group access control, based on the Vouchsafe identity an agent
+ * authenticated with.
+ *
+ * Policies are read from a JSON5 file and reloaded when it changes (checked
+ * at most every `cache_time` seconds). Groups without a policy, and the
+ * join / broadcast sections a policy leaves out, are open to everyone.
+ *
+ * Policy file:
+ * {
+ *   default_policy: { ... },          // optional, applies to unlisted groups
+ *   groups: {
+ *     '<group id>': {
+ *       join: [ { issuers: ['urn:vouchsafe:...'] }, { purposes: ['ops-read'] } ],
+ *       broadcast: [ { purposes: ['ops-write'], msg_types: ['status', 'alert'] } ]
+ *     }
+ *   }
+ * }
+ *
+ * A rule matches an agent whose vouchsafe_id is one of `issuers`, or that
+ * holds one of `purposes` through its trust chain. A broadcast rule with
+ * `msg_types` only allows publishing those msg_types.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const JSON5 = require('json5');
+const { log } = require('../utils/log');
+
+const DEFAULT_CACHE_TIME_SECONDS = 30;
+
+const ALLOWED = { allowed: true };
+
+/**
+ * Initializes the group policy checker.
+ *
+ * @param {object} config - { policy_file, cache_time }
+ * @returns {object} group policy API
+ */
+async function initialize(config = {}) {
+  const policyFile = config.policy_file ? path.resolve(config.policy_file) : null;
+  const cacheMs = (config.cache_time || DEFAULT_CACHE_TIME_SECONDS) * 1000;
+
+  let policies = { groups: {} };
+  let lastChecked = 0;
+  let lastMtime = 0;
+
+  /**
+   * Loads the policy file if it changed. On a bad file, the previous
+   * policies are kept.
+   */
+  const loadPolicies = (force = false) => {
+    if (!policyFile) {
+      return;
+    }
+
+    const now = Date.now();
+
+    if (!force && now - lastChecked < cacheMs) {
+      return;
+    }
+
+    lastChecked = now;
+
+    try {
+      const mtime = fs.statSync(policyFile).mtimeMs;
+
+      if (!force && mtime === lastMtime) {
+        return;
+      }
+
+      const parsed = JSON5.parse(fs.readFileSync(policyFile, 'utf-8'));
+      policies = { ...parsed, groups: parsed.groups || {} };
+      lastMtime = mtime;
+      log.info(`[groupPolicy] Loaded policies for ${Object.keys(policies.groups).length} groups`);
+    } catch (err) {
+      log.error(`[groupPolicy] Failed to load ${policyFile}, keeping previous policies:`, err);
+    }
+  };
+
+  const getPolicy = (groupId) => {
+    loadPolicies();
+    return policies.groups[groupId] || policies.default_policy || null;
+  };
+
+  const ruleMatches = (rule, conn) => {
+    if (Array.isArray(rule.issuers) && conn.vouchsafe_id && rule.issuers.includes(conn.vouchsafe_id)) {
+      return true;
+    }
+
+    if (Array.isArray(rule.purposes) && Array.isArray(conn.purposes)) {
+      return rule.purposes.some((purpose) => conn.purposes.includes(purpose));
+    }
+
+    return false;
+  };
+
+  /**
+   * Checks whether an agent may join a group.
+   *
+   * @param {object} conn - Agent connection (vouchsafe_id, purposes).
+   * @param {string} groupId
+   * @returns {object} { allowed, error, message }
+   */
+  const canJoin = (conn, groupId) => {
+    const rules = getPolicy(groupId)?.join;
+
+    if (!Array.isArray(rules)) {
+      return ALLOWED;
+    }
+
+    if (rules.some((rule) => ruleMatches(rule, conn))) {
+      return ALLOWED;
+    }
+
+    return {
+      allowed: false,
+      error: 'join_not_permitted',
+      message: 'Your identity is not permitted to join this group'
+    };
+  };
+
+  /**
+   * Checks whether an agent may broadcast a msg_type to a group.
+   *
+   * @param {object} conn - Agent connection (vouchsafe_id, purposes).
+   * @param {string} groupId
+   * @param {string} msgType
+   * @returns {object} { allowed, error, message }
+   */
+  const canBroadcast = (conn, groupId, msgType) => {
+    const rules = getPolicy(groupId)?.broadcast;
+
+    if (!Array.isArray(rules)) {
+      return ALLOWED;
+    }
+
+    const matching = rules.filter((rule) => ruleMatches(rule, conn));
+
+    if (matching.length === 0) {
+      return {
+        allowed: false,
+        error: 'broadcast_not_permitted',
+        message: 'Your identity is not permitted to broadcast to this group'
+      };
+    }
+
+    if (matching.some((rule) => !Array.isArray(rule.msg_types) || rule.msg_types.includes(msgType))) {
+      return ALLOWED;
+    }
+
+    return {
+      allowed: false,
+      error: 'msg_type_not_permitted',
+      message: `Your identity may not publish ${msgType} to this group`
+    };
+  };
+
+  loadPolicies(true);
+
+  return {
+    canJoin,
+    canBroadcast,
+
+    /**
+     * Rereads the policy file now.
+     */
+    reload: () => loadPolicies(true),
+
+    shutdown: async () => {
+      policies = { groups: {} };
+    }
+  };
+}
+
+module.exports = { initialize };
@@ -0,0 +1,103 @@
+/**
+ * groupPresence.js
+ *
+ * Tells group members who joined and left.
+ *
+ * - Local membership changes come from groupManager on the message bus
+ *   (`group:member_joined` / `group:member_left`).
+ * - Members that joined with `presence: true` receive `member_joined` /
+ *   `member_left` control messages with the member's conn_id, node_id and
+ *   agent name.
+ * - Local changes are flooded to peers, so members on other nodes hear
+ *   about them too.
+ */
+
+const panApp = require('../panApp');
+const { log } = require('../utils/log');
+const nodeMessages = require('../utils/nodeMessages');
+
+const PRESENCE_EVENTS = ['member_joined', 'member_left'];
+
+/**
+ * Initializes group presence.
+ *
+ * @param {object} config - { relay_to_peers: true }
+ * @returns {object} group presence API
+ */
+async function initialize(config = {}) {
+  const relayToPeers = config.relay_to_peers !== false;
+
+  /**
+   * Sends a presence event to the local members of a group that asked for
+   * them, except the member it is about.
+   */
+  const deliver = (event, group, member) => {
+    const groupManager = panApp.use('groupManager');
+    const agentRegistry = panApp.use('agentRegistry');
+    const nodeId = panApp.getNodeId();
+
+    for (const connId of groupManager.getPresenceSubscribers(group)) {
+      if (connId === member.conn_id && member.node_id === nodeId) {
+        continue;
+      }
+
+      const conn = agentRegistry.getAgent(connId);
+
+      if (conn) {
+        conn.sendControl({
+          msg_type: event,
+          payload: { group, ...member }
+        });
+      }
+    }
+  };
+
+  const handleLocalChange = (event) => ({ group, conn_id: connId }) => {
+    const agentRegistry = panApp.use('agentRegistry');
+    const member = {
+      conn_id: connId,
+      node_id: panApp.getNodeId(),
+      agent_name: agentRegistry.getAgent(connId)?.name
+    };
+
+    deliver(event, group, member);
+
+    if (relayToPeers) {
+      nodeMessages.emit('outbound:group_presence', { event, group, member });
+    }
+  };
+
+  const onMemberJoined = handleLocalChange('member_joined');
+  const onMemberLeft = handleLocalChange('member_left');
+
+  nodeMessages.on('group:member_joined', onMemberJoined);
+  nodeMessages.on('group:member_left', onMemberLeft);
+
+  return {
+    /**
+     * Delivers a presence event relayed in from a peer.
+     *
+     * @param {object} presence - { event, group, member: { conn_id, node_id, agent_name } }
+     */
+    handleRemotePresence: ({ event, group, member } = {}) => {
+      if (!PRESENCE_EVENTS.includes(event) || typeof group !== 'string' ||
+          typeof member?.conn_id !== 'string' || typeof member?.node_id !== 'string') {
+        log.warn('[groupPresence] Ignoring malformed presence event from peer');
+        return;
+      }
+
+      deliver(event, group, {
+        conn_id: member.conn_id,
+        node_id: member.node_id,
+        agent_name: member.agent_name
+      });
+    },
+
+    shutdown: async () => {
+      nodeMessages.off('group:member_joined', onMemberJoined);
+      nodeMessages.off('group:member_left', onMemberLeft);
+    }
+  };
+}
+
+module.exports = { initialize };
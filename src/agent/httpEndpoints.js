@@ -0,0 +1,101 @@
+/**
+ * httpEndpoints.js
+ *
+ * Plain HTTP endpoints served by the agent server's HTTP server, next to
+ * the WebSocket upgrade:
+ *
+ * - `GET /healthz`: the process is up and serving requests.
+ * - `GET /readyz`: every subsystem is initialized and both the agent and
+ *   peer servers are listening. 503 with the reasons otherwise.
+ * - `GET /status`: node ID plus the agent and peer server status.
+ * - `GET /metrics`: Prometheus text format (see utils/metrics.js).
+ */
+
+const panApp = require('../panApp');
+const metrics = require('../utils/metrics');
+
+// Set by startNode in this order; the node is ready once all are present.
+const REQUIRED_SUBSYSTEMS = ['peerServer', 'agentRouter', 'groupManager', 'agentServer'];
+
+metrics.defineGauge('pan_agents_connected', 'Agent sessions on this node, including ones waiting to resume',
+  () => panApp.use('agentRegistry').getAgentCount());
+
+metrics.defineGauge('pan_peers_connected', 'Directly connected peer nodes',
+  () => panApp.use('peerRegistry').getPeerCount());
+
+metrics.defineGauge('pan_groups', 'Groups with members on this node',
+  () => panApp.use('groupManager').getGroupCount());
+
+const sendJson = (res, statusCode, body) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+/**
+ * Creates the HTTP request handler.
+ *
+ * @param {object} server - { isListening: () => boolean, getPendingSocketCount: () => number }
+ * @returns {function} (req, res) request handler
+ */
+function createHttpHandler(server) {
+  metrics.defineGauge('pan_agent_sockets_pending', 'Agent sockets that have not finished authenticating',
+    () => server.getPendingSocketCount());
+
+  const checkReady = () => {
+    const reasons = REQUIRED_SUBSYSTEMS
+      .filter((name) => !panApp.use(name))
+      .map((name) => `${name} not initialized`);
+
+    if (!server.isListening()) {
+      reasons.push('agent server not listening');
+    }
+
+    if (panApp.use('peerServer') && !panApp.use('peerServer').getStatus().listening) {
+      reasons.push('peer server not listening');
+    }
+
+    return reasons;
+  };
+
+  const routes = {
+    '/healthz': (req, res) => sendJson(res, 200, { status: 'ok' }),
+
+    '/readyz': (req, res) => {
+      const reasons = checkReady();
+
+      if (reasons.length > 0) {
+        return sendJson(res, 503, { status: 'not_ready', reasons });
+      }
+      sendJson(res, 200, { status: 'ready' });
+    },
+
+    '/status': (req, res) => sendJson(res, 200, {
+      node_id: panApp.getNodeId(),
+      agent_server: panApp.use('agentServer')?.getStatus() || null,
+      peer_server: panApp.use('peerServer')?.getStatus() || null
+    }),
+
+    '/metrics': (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(metrics.render());
+    }
+  };
+
+  return (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const route = routes[pathname];
+
+    if (!route) {
+      return sendJson(res, 404, { error: 'not_found' });
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.setHeader('Allow', 'GET, HEAD');
+      return sendJson(res, 405, { error: 'method_not_allowed' });
+    }
+
+    route(req, res);
+  };
+}
+
+module.exports = { createHttpHandler };
@@ -7,20 +7,26 @@
  * - Send control and error messages
  * - Reply to messages
  * - Swap out the underlying socket on reconnect
+ * - Queue messages in a bounded outbox while the socket is down, and
+ *   replay them in order on reconnect
  * - Track and limit malformed message errors
  */
 
 const uuid = require('uuid');
 const { log } = require('../utils/log');
 
+const DEFAULT_OUTBOX_MAX_MESSAGES = 1000;
+const DEFAULT_OUTBOX_MAX_BYTES = 1024 * 1024;
+const DEFAULT_OUTBOX_MAX_AGE_SECONDS = 120;
+
 /**
- * Sends a control message over a raw WebSocket connection.
+ * Builds a control message.
  *
- * @param {WebSocket} ws - Target socket
  * @param {object} data - Payload with msg_type and optional msg_id
  * @param {object} original - Original message for context (optional)
+ * @returns {object} control message
  */
-function rawSendControl(ws, data, original = {}) {
+function buildControl(data, original = {}) {
     let new_msg = {
         ...data,
         type: "control",
@@ -32,20 +38,18 @@ function rawSendControl(ws, data, original = {}) {
         new_msg.msg_id = uuid.v4();
     }
 
-    log.verbose("Sending Data:", new_msg);
-
-    ws.send(JSON.stringify(new_msg));
+    return new_msg;
 }
 
 /**
- * Sends an error response over a raw WebSocket connection.
+ * Builds an error message (a control message with msg_type "error").
  *
- * @param {WebSocket} ws - Target socket
  * @param {object} error - Error object with type and message
  * @param {object} original - Original message for context (optional)
+ * @returns {object} control message
  */
-function rawSendError(ws, error, original = {}) {
-    let errorPayload = { ...error };
+function buildError(error, original = {}) {
+    let errorPayload = typeof error === 'string' ? { message: error } : { ...error };
 
     delete errorPayload.type;
 
@@ -53,12 +57,38 @@ function rawSendError(ws, error, original = {}) {
 
     log.warn('Error: ', error, original);
 
-    rawSendControl(ws, {
+    return buildControl({
         msg_type: 'error',
         payload: errorPayload
     }, original);
 }
 
+/**
+ * Sends a control message over a raw WebSocket connection.
+ *
+ * @param {WebSocket} ws - Target socket
+ * @param {object} data - Payload with msg_type and optional msg_id
+ * @param {object} original - Original message for context (optional)
+ */
+function rawSendControl(ws, data, original = {}) {
+    const new_msg = buildControl(data, original);
+
+    log.verbose("Sending Data:", new_msg);
+
+    ws.send(JSON.stringify(new_msg));
+}
+
+/**
+ * Sends an error response over a raw WebSocket connection.
+ *
+ * @param {WebSocket} ws - Target socket
+ * @param {object} error - Error object with type and message
+ * @param {object} original - Original message for context (optional)
+ */
+function rawSendError(ws, error, original = {}) {
+    ws.send(JSON.stringify(buildError(error, original)));
+}
+
 /**
  * Creates a new PAN connection object that wraps a WebSocket and provides
  * common messaging methods for agents or nodes.
@@ -66,10 +96,20 @@ function rawSendError(ws, error, original = {}) {
  * @param {WebSocket} ws - Underlying socket
  * @param {string} type - Either 'agent' or 'node'
  * @param {string} name - Agent or node name (used for logging/identity)
+ * @param {object} options - { outbox: { max_messages, max_bytes, max_age_seconds },
+ *        vouchsafe_id, purposes, directory, id } where vouchsafe_id and purposes
+ *        describe the identity the agent authenticated with, directory is its
+ *        published directory entry, and id is the conn_id of a session being
+ *        restored (a new one is generated otherwise).
  * @returns {object} PAN connection instance
  */
-function createPanConnection(ws, type, name) {
-    const id = uuid.v4();
+function createPanConnection(ws, type, name, options = {}) {
+    const id = options.id || uuid.v4();
+
+    const outboxConfig = options.outbox || {};
+    const outboxMaxMessages = outboxConfig.max_messages ?? DEFAULT_OUTBOX_MAX_MESSAGES;
+    const outboxMaxBytes = outboxConfig.max_bytes ?? DEFAULT_OUTBOX_MAX_BYTES;
+    const outboxMaxAgeMs = (outboxConfig.max_age_seconds ?? DEFAULT_OUTBOX_MAX_AGE_SECONDS) * 1000;
 
     const conn = {
         id,
@@ -77,6 +117,23 @@ function createPanConnection(ws, type, name) {
         name,
         ws,
         groups: new Set(),
+        vouchsafe_id: options.vouchsafe_id,
+        purposes: options.purposes || [],
+        directory: options.directory || null,
+
+        // traffic counters; messages_in / bytes_in are counted by agentServer
+        stats: {
+            connected_at: Date.now(),
+            messages_in: 0,
+            bytes_in: 0,
+            messages_out: 0,
+            bytes_out: 0
+        },
+
+        // messages sent while the socket was down: { data, bytes, queuedAt }
+        outbox: [],
+        outboxBytes: 0,
+        messagesDropped: 0,
 
         /**
          * Sends a generic message over the socket.
@@ -89,21 +146,65 @@ function createPanConnection(ws, type, name) {
 
             log.verbose("Sending Data:", data);
 
-            this.ws.send(JSON.stringify(data));
+            this._write(JSON.stringify(data));
         },
 
         /**
          * Sends a control message (wrapped as type "control").
          */
         sendControl(data, original = {}) {
-            return rawSendControl(this.ws, data, original);
+            const msg = buildControl(data, original);
+
+            log.verbose("Sending Data:", msg);
+
+            this._write(JSON.stringify(msg));
         },
 
         /**
          * Sends an error message (wrapped as type "error").
          */
         sendError(error, original = {}) {
-            return rawSendError(this.ws, error, original);
+            this._write(JSON.stringify(buildError(error, original)));
+        },
+
+        /**
+         * Writes a serialized message to the socket, or queues it in the
+         * outbox while the socket is not open.
+         */
+        _write(data) {
+            // sizes in UTF-8 bytes, as sent, not string length
+            const bytes = Buffer.byteLength(data);
+
+            this.stats.messages_out++;
+            this.stats.bytes_out += bytes;
+
+            if (this.ws.readyState === this.ws.OPEN) {
+                this.ws.send(data);
+                return;
+            }
+
+            this.outbox.push({ data, bytes, queuedAt: Date.now() });
+            this.outboxBytes += bytes;
+
+            this._trimOutbox();
+        },
+
+        /**
+         * Drops the oldest queued messages until the outbox is within its
+         * size limits and holds nothing older than max_age_seconds.
+         */
+        _trimOutbox() {
+            const expireBefore = Date.now() - outboxMaxAgeMs;
+
+            while (this.outbox.length > 0 && (
+                this.outbox.length > outboxMaxMessages ||
+                this.outboxBytes > outboxMaxBytes ||
+                this.outbox[0].queuedAt < expireBefore
+            )) {
+                const dropped = this.outbox.shift();
+                this.outboxBytes -= dropped.bytes;
+                this.messagesDropped++;
+            }
         },
 
         /**
@@ -122,14 +223,46 @@ function createPanConnection(ws, type, name) {
 
             log.verbose('responding to ' + msg.msg_id, response);
 
-            this.ws.send(JSON.stringify(response));
+            this._write(JSON.stringify(response));
         },
 
         /**
-         * Replaces the current WebSocket with a new one (used on resume).
+         * Replaces the current WebSocket with a new one (used on resume),
+         * then replays the outbox in order.
+         *
+         * @param {WebSocket} newWs - The agent's new socket
+         * @param {function} [onResumed] - Called with the number of messages
+         *        dropped while disconnected, before the replay, so the caller
+         *        can send its own reply first.
+         * @returns {number} messages dropped while disconnected
          */
-        reconnect(newWs) {
+        reconnect(newWs, onResumed) {
             this.ws = newWs;
+            newWs.pan = this;
+
+            this._trimOutbox();
+
+            const messagesDropped = this.messagesDropped;
+            this.messagesDropped = 0;
+
+            if (onResumed) {
+                onResumed(messagesDropped);
+            }
+
+            if (this.outbox.length > 0) {
+                log.info(`[panConnection] Replaying ${this.outbox.length} queued messages to ${this.id}`);
+            }
+
+            // straight to the socket: queued messages were counted in stats
+            // when first written. Whatever is left if the socket goes down
+            // again stays queued for the next resume.
+            while (this.outbox.length > 0 && this.ws.readyState === this.ws.OPEN) {
+                const entry = this.outbox.shift();
+                this.outboxBytes -= entry.bytes;
+                this.ws.send(entry.data);
+            }
+
+            return messagesDropped;
         },
 
         /**
@@ -0,0 +1,180 @@
+/**
+ * requestTracker.js
+ *
+ * Tracks direct messages sent with `expects_reply` until the target answers.
+ *
+ * - A reply is a direct message from the request's target, addressed to
+ *   the requester, with `in_response_to` set to the request's msg_id.
+ * - If no reply arrives within the timeout, the requester receives a
+ *   `request_timeout` control message keyed by the request's msg_id.
+ * - A reply that arrives after its request expired is dropped, and its
+ *   sender gets `delivery_failed` with reason `request_expired`. Expired
+ *   requests are remembered for max_timeout_seconds.
+ * - A reply to a request that was never tracked, or was already answered,
+ *   is dropped the same way with reason `unknown_request`.
+ *
+ * Requests are tracked on the requester's node, which is where their
+ * replies are delivered. That holds for requests to agents on other nodes
+ * too: the reply is relayed back to the requester's node and checked
+ * there, so a reply with no record on that node answers nothing.
+ */
+
+const panApp = require('../panApp');
+const { log } = require('../utils/log');
+
+const DEFAULT_TIMEOUT_SECONDS = 30;
+const DEFAULT_MAX_TIMEOUT_SECONDS = 300;
+
+/**
+ * Initializes the request tracker.
+ *
+ * @param {object} config - { default_timeout_seconds, max_timeout_seconds }
+ * @returns {object} request tracker API
+ */
+async function initialize(config = {}) {
+  const defaultTimeoutMs = (config.default_timeout_seconds || DEFAULT_TIMEOUT_SECONDS) * 1000;
+  const maxTimeoutMs = (config.max_timeout_seconds || DEFAULT_MAX_TIMEOUT_SECONDS) * 1000;
+
+  // request msg_id → { requester, to, timer }
+  const outstanding = new Map();
+
+  // request msg_id → { requester, to, forget_at }, oldest first
+  const expired = new Map();
+
+  const forgetExpired = () => {
+    const now = Date.now();
+
+    for (const [msgId, request] of expired) {
+      if (request.forget_at > now) {
+        break;
+      }
+      expired.delete(msgId);
+    }
+  };
+
+  // a reply has to come from the request's target, addressed to the requester
+  const answers = (request, msg) => request.requester === msg.to.conn_id &&
+    request.to.node_id === msg.from.node_id && request.to.conn_id === msg.from.conn_id;
+
+  const expire = (msgId, msg, timeoutMs) => {
+    const request = outstanding.get(msgId);
+
+    if (!request) {
+      return;
+    }
+
+    outstanding.delete(msgId);
+
+    forgetExpired();
+    expired.set(msgId, {
+      requester: request.requester,
+      to: request.to,
+      forget_at: Date.now() + maxTimeoutMs
+    });
+
+    const agentRegistry = panApp.use('agentRegistry');
+    const requester = agentRegistry.getAgent(request.requester);
+
+    if (!requester) {
+      return;
+    }
+
+    log.debug(`[requestTracker] Request ${msgId} timed out after ${timeoutMs}ms`);
+
+    requester.sendControl({
+      msg_type: 'request_timeout',
+      payload: {
+        msg_id: msgId,
+        to: request.to,
+        timeout_ms: timeoutMs
+      }
+    }, msg);
+  };
+
+  /**
+   * Starts tracking a request.
+   *
+   * @param {object} fromConn - Requesting connection.
+   * @param {object} msg - Direct message with `expects_reply`; may set
+   *        `reply_timeout_ms`, capped at max_timeout_seconds.
+   * @returns {boolean} false if a request with this msg_id is already outstanding.
+   */
+  const track = (fromConn, msg) => {
+    if (outstanding.has(msg.msg_id)) {
+      return false;
+    }
+
+    const timeoutMs = Math.min(msg.reply_timeout_ms || defaultTimeoutMs, maxTimeoutMs);
+    const request = {
+      requester: fromConn.id,
+      to: msg.to,
+      timer: setTimeout(() => expire(msg.msg_id, msg, timeoutMs), timeoutMs)
+    };
+
+    outstanding.set(msg.msg_id, request);
+    return true;
+  };
+
+  /**
+   * Stops tracking a request that could not be delivered.
+   *
+   * @param {string} msgId
+   */
+  const cancel = (msgId) => {
+    const request = outstanding.get(msgId);
+
+    if (request) {
+      clearTimeout(request.timer);
+      outstanding.delete(msgId);
+    }
+  };
+
+  /**
+   * Matches a reply against the tracked requests. A matching reply
+   * completes its request.
+   *
+   * @param {object} msg - Direct message with `in_response_to`.
+   * @returns {string} 'completed' if it answers an outstanding request,
+   *          'expired' if it answers one that has timed out (drop it), or
+   *          'unknown' if it answers nothing tracked here (drop it).
+   */
+  const completeRequest = (msg) => {
+    const request = outstanding.get(msg.in_response_to);
+
+    if (request && answers(request, msg)) {
+      clearTimeout(request.timer);
+      outstanding.delete(msg.in_response_to);
+      return 'completed';
+    }
+
+    forgetExpired();
+    const expiredRequest = expired.get(msg.in_response_to);
+
+    if (expiredRequest && answers(expiredRequest, msg)) {
+      return 'expired';
+    }
+
+    return 'unknown';
+  };
+
+  return {
+    track,
+    cancel,
+    completeRequest,
+
+    /**
+     * Returns the number of requests awaiting a reply.
+     */
+    getOutstandingCount: () => outstanding.size,
+
+    shutdown: async () => {
+      for (const request of outstanding.values()) {
+        clearTimeout(request.timer);
+      }
+      outstanding.clear();
+      expired.clear();
+    }
+  };
+}
+
+module.exports = { initialize };
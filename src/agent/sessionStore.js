@@ -0,0 +1,167 @@
+/**
+ * sessionStore.js
+ *
+ * Keeps agent sessions across node restarts.
+ *
+ * - Periodically (and on shutdown) saves every agent session: conn_id,
+ *   auth_key, agent name, identity, directory entry and group subscriptions.
+ * - After a restart, an agent presenting `auth_type: 'reconnect'` with a
+ *   saved conn_id / auth_key gets its session back, with its groups
+ *   rejoined, as long as it returns within `resume_window_seconds`.
+ *
+ * Messages in flight when the node stopped are not kept.
+ *
+ * Backends:
+ * - `file` (default): a JSON file, written atomically.
+ * - `none`: nothing is persisted.
+ *
+ * The store is optional: a node without a session_store section persists
+ * nothing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const panApp = require('../panApp');
+const { log } = require('../utils/log');
+
+const DEFAULT_SESSION_FILE = 'data/agent_sessions.json';
+const DEFAULT_SAVE_INTERVAL_SECONDS = 5;
+const DEFAULT_RESUME_WINDOW_SECONDS = 120;
+
+/**
+ * File backend: all sessions in one JSON file.
+ */
+function createFileBackend(config) {
+  const file = path.resolve(config.file || DEFAULT_SESSION_FILE);
+
+  return {
+    load: () => {
+      if (!fs.existsSync(file)) {
+        return [];
+      }
+      const saved = JSON.parse(fs.readFileSync(file, 'utf-8'));
+      return Array.isArray(saved.sessions) ? saved.sessions : [];
+    },
+
+    save: (sessions) => {
+      const tmpFile = `${file}.tmp`;
+      fs.writeFileSync(tmpFile, JSON.stringify({ saved_at: Date.now(), sessions }, null, 2), 'utf-8');
+      fs.renameSync(tmpFile, file);
+    }
+  };
+}
+
+const BACKENDS = {
+  file: createFileBackend,
+  none: () => ({ load: () => [], save: () => {} })
+};
+
+/**
+ * Initializes the session store and loads sessions saved by the last run.
+ *
+ * @param {object} [config] - { backend, file, save_interval_seconds, resume_window_seconds };
+ *        without it, nothing is persisted.
+ * @returns {object} session store API
+ */
+async function initialize(config) {
+  if (!config) {
+    return initialize({ backend: 'none' });
+  }
+
+  const backendName = config.backend || 'file';
+
+  if (!BACKENDS[backendName]) {
+    throw new Error(`[sessionStore] Unknown backend: ${backendName}`);
+  }
+
+  const backend = BACKENDS[backendName](config);
+  const saveIntervalMs = (config.save_interval_seconds || DEFAULT_SAVE_INTERVAL_SECONDS) * 1000;
+  const resumeWindowMs = (config.resume_window_seconds || DEFAULT_RESUME_WINDOW_SECONDS) * 1000;
+
+  // conn_id → saved session, until its agent comes back or the window closes
+  const restorable = new Map();
+
+  try {
+    for (const session of backend.load()) {
+      restorable.set(session.conn_id, session);
+    }
+    if (restorable.size > 0) {
+      log.info(`[sessionStore] ${restorable.size} agent sessions can be resumed`);
+    }
+  } catch (err) {
+    log.error('[sessionStore] Failed to load saved sessions:', err);
+  }
+
+  const restoreDeadline = Date.now() + resumeWindowMs;
+  let lastSaved = null;
+
+  const snapshot = () => {
+    const agentRegistry = panApp.use('agentRegistry');
+    const groupManager = panApp.use('groupManager');
+    const sessions = agentRegistry.getAgents().map((conn) => ({
+      conn_id: conn.id,
+      auth_key: conn.authKey,
+      agent_name: conn.name,
+      vouchsafe_id: conn.vouchsafe_id,
+      directory: conn.directory,
+      groups: groupManager.getAgentSubscriptions(conn.id)
+    }));
+
+    // Sessions nobody has reclaimed yet are kept until the window closes
+    if (Date.now() < restoreDeadline) {
+      sessions.push(...restorable.values());
+    }
+
+    return sessions;
+  };
+
+  const save = () => {
+    try {
+      const sessions = snapshot();
+      const serialized = JSON.stringify(sessions);
+
+      if (serialized === lastSaved) {
+        return;
+      }
+
+      backend.save(sessions);
+      lastSaved = serialized;
+    } catch (err) {
+      log.error('[sessionStore] Failed to save sessions:', err);
+    }
+  };
+
+  const saveInterval = setInterval(save, saveIntervalMs);
+
+  /**
+   * Claims a session saved before the last restart.
+   *
+   * @param {string} connId
+   * @param {string} authKey
+   * @returns {object|null} { conn_id, auth_key, agent_name, vouchsafe_id, directory, groups }
+   *          or null if there is no such session or the window has closed.
+   */
+  const claimSession = (connId, authKey) => {
+    const session = restorable.get(connId);
+
+    if (!session || session.auth_key !== authKey || Date.now() > restoreDeadline) {
+      return null;
+    }
+
+    restorable.delete(connId);
+    return session;
+  };
+
+  return {
+    claimSession,
+    save,
+
+    shutdown: async () => {
+      clearInterval(saveInterval);
+      save();
+      restorable.clear();
+    }
+  };
+}
+
+module.exports = { initialize };
@@ -0,0 +1,365 @@
+#!/usr/bin/env node
+/**
+ * pan.js
+ *
+ * Command-line tool for setting up a PAN node: identities, trusted issuer
+ * files, vouch tokens and config checks.
+ *
+ *   pan identity create <label> [--out file] [--force]
+ *   pan identity show <identity-file>
+ *   pan trust add <trust-file> <urn> <purpose...>
+ *   pan trust remove <trust-file> <urn> [purpose...]
+ *   pan trust list <trust-file>
+ *   pan token attest <identity-file> [--purpose p] [--expires seconds]
+ *   pan token vouch <identity-file> <subject-token> --purpose p [--expires seconds]
+ *   pan config validate [config-file]
+ *
+ * Trust files are the `{ trusted_issuers: { urn: [purposes] } }` JSON files
+ * named by `trusted_peers_config_file`, `trusted_agents_config_file` and
+ * `trusted_special_agents_config_file`. A running node picks up changes
+ * within its trust cache time, or at once with the `reload_trust` admin
+ * command.
+ */
+
+const fs = require('fs');
+const { parseArgs } = require('util');
+const JSON5 = require('json5');
+const {
+  createVouchsafeIdentity,
+  createAttestation,
+  createVouchToken,
+  validateVouchToken
+} = require('vouchsafe');
+const { validateConfig } = require('../configSchema');
+
+const KNOWN_PURPOSES = ['agent-connect', 'peer-connect', 'special-agent-connect', 'pan-admin'];
+
+const USAGE = `Usage:
+  pan identity create <label> [--out file] [--force]
+  pan identity show <identity-file>
+  pan trust add <trust-file> <urn> <purpose...>
+  pan trust remove <trust-file> <urn> [purpose...]
+  pan trust list <trust-file>
+  pan token attest <identity-file> [--purpose p] [--expires seconds]
+  pan token vouch <identity-file> <subject-token> --purpose p [--expires seconds]
+  pan config validate [config-file]
+
+Purposes used by PAN: ${KNOWN_PURPOSES.join(', ')}`;
+
+class UsageError extends Error {}
+
+// --- File helpers ---
+
+function writeFileAtomic(file, data, mode) {
+  const tmpFile = `${file}.tmp`;
+  fs.writeFileSync(tmpFile, data, { encoding: 'utf-8', mode });
+  fs.renameSync(tmpFile, file);
+}
+
+function readIdentity(file) {
+  const identity = JSON5.parse(fs.readFileSync(file, 'utf-8'));
+
+  if (typeof identity.urn !== 'string' || !identity.keypair?.privateKey) {
+    throw new Error(`${file} is not a Vouchsafe identity with a private key`);
+  }
+  return identity;
+}
+
+function readTrustFile(file, { create = false } = {}) {
+  if (create && !fs.existsSync(file)) {
+    return { trusted_issuers: {} };
+  }
+
+  const trust = JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+  if (!trust || typeof trust.trusted_issuers !== 'object' || Array.isArray(trust.trusted_issuers)) {
+    throw new Error(`${file} has no trusted_issuers object`);
+  }
+  return trust;
+}
+
+function writeTrustFile(file, trust) {
+  writeFileAtomic(file, `${JSON.stringify(trust, null, 4)}\n`);
+}
+
+function checkUrn(urn) {
+  if (typeof urn !== 'string' || !urn.startsWith('urn:vouchsafe:')) {
+    throw new UsageError(`Not a Vouchsafe URN: ${urn}`);
+  }
+}
+
+function warnUnknownPurposes(purposes) {
+  purposes
+    .filter((purpose) => !KNOWN_PURPOSES.includes(purpose))
+    .forEach((purpose) => console.warn(`warning: '${purpose}' is not a purpose PAN checks`));
+}
+
+function parseExpires(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const seconds = Number(value);
+
+  if (!Number.isInteger(seconds) || seconds <= 0) {
+    throw new UsageError('--expires must be a whole number of seconds');
+  }
+  return Math.floor(Date.now() / 1000) + seconds;
+}
+
+// --- Commands ---
+
+async function identityCreate(args, options) {
+  const [label] = args;
+
+  if (!label) {
+    throw new UsageError('identity create needs a label');
+  }
+
+  const out = options.out || `${label}.json`;
+
+  if (fs.existsSync(out) && !options.force) {
+    throw new Error(`${out} already exists; use --force to replace it`);
+  }
+
+  const identity = await createVouchsafeIdentity(label);
+
+  // the private key is in here: readable by the owner only
+  writeFileAtomic(out, `${JSON.stringify(identity, null, 4)}\n`, 0o600);
+  console.log(`Wrote ${out}`);
+  console.log(identity.urn);
+}
+
+async function identityShow(args) {
+  const [file] = args;
+
+  if (!file) {
+    throw new UsageError('identity show needs an identity file');
+  }
+
+  const identity = readIdentity(file);
+  console.log(identity.urn);
+}
+
+async function trustAdd(args) {
+  const [file, urn, ...purposes] = args;
+
+  if (!file || !urn || purposes.length === 0) {
+    throw new UsageError('trust add needs a trust file, a URN and at least one purpose');
+  }
+  checkUrn(urn);
+  warnUnknownPurposes(purposes);
+
+  const trust = readTrustFile(file, { create: true });
+  const existing = trust.trusted_issuers[urn] || [];
+
+  trust.trusted_issuers[urn] = [...new Set([...existing, ...purposes])];
+  writeTrustFile(file, trust);
+  console.log(`${urn}: ${trust.trusted_issuers[urn].join(', ')}`);
+}
+
+async function trustRemove(args) {
+  const [file, urn, ...purposes] = args;
+
+  if (!file || !urn) {
+    throw new UsageError('trust remove needs a trust file and a URN');
+  }
+
+  const trust = readTrustFile(file);
+
+  if (!trust.trusted_issuers[urn]) {
+    throw new Error(`${urn} is not in ${file}`);
+  }
+
+  const remaining = trust.trusted_issuers[urn].filter((purpose) => !purposes.includes(purpose));
+
+  // no purposes given, or none left: drop the issuer entirely
+  if (purposes.length === 0 || remaining.length === 0) {
+    delete trust.trusted_issuers[urn];
+    console.log(`${urn}: removed`);
+  } else {
+    trust.trusted_issuers[urn] = remaining;
+    console.log(`${urn}: ${remaining.join(', ')}`);
+  }
+
+  writeTrustFile(file, trust);
+}
+
+async function trustList(args) {
+  const [file] = args;
+
+  if (!file) {
+    throw new UsageError('trust list needs a trust file');
+  }
+
+  const trust = readTrustFile(file);
+
+  for (const [urn, purposes] of Object.entries(trust.trusted_issuers)) {
+    console.log(`${urn}: ${[].concat(purposes).join(', ')}`);
+  }
+}
+
+async function tokenAttest(args, options) {
+  const [file] = args;
+
+  if (!file) {
+    throw new UsageError('token attest needs an identity file');
+  }
+
+  const identity = readIdentity(file);
+  const claims = {};
+
+  if (options.purpose) {
+    claims.purpose = options.purpose.join(' ');
+  }
+  if (options.expires !== undefined) {
+    claims.exp = parseExpires(options.expires);
+  }
+
+  console.log(await createAttestation(identity.urn, identity.keypair, claims));
+}
+
+async function tokenVouch(args, options) {
+  const [file, subjectToken] = args;
+
+  if (!file || !subjectToken) {
+    throw new UsageError('token vouch needs an identity file and a token issued by the subject');
+  }
+  if (!options.purpose) {
+    throw new UsageError('token vouch needs at least one --purpose');
+  }
+  warnUnknownPurposes(options.purpose);
+
+  const identity = readIdentity(file);
+
+  // fails on a malformed or expired subject token
+  await validateVouchToken(subjectToken);
+
+  const claims = { purpose: options.purpose.join(' ') };
+
+  if (options.expires !== undefined) {
+    claims.exp = parseExpires(options.expires);
+  }
+
+  console.log(await createVouchToken(subjectToken, identity.urn, identity.keypair, claims));
+}
+
+/**
+ * Checks a config file against the config schema (the same check the
+ * node runs at startup), and that the identity and trust files it names
+ * are readable.
+ *
+ * @returns {object} { errors, warnings }
+ */
+function checkConfigFile(configFile) {
+  let config;
+
+  try {
+    config = JSON5.parse(fs.readFileSync(configFile, 'utf-8'));
+  } catch (err) {
+    return { errors: [`${configFile}: ${err.message}`], warnings: [] };
+  }
+
+  const { errors: problems, warnings } = validateConfig(config);
+
+  // relative paths in the config are resolved from where the node runs
+  const checkFile = (key, file, read) => {
+    if (file === undefined) {
+      return;
+    }
+    if (typeof file !== 'string') {
+      return problems.push(`${key} must be a file name`);
+    }
+    try {
+      read(file);
+    } catch (err) {
+      problems.push(`${key} (${file}): ${err.message}`);
+    }
+  };
+
+  checkFile('peer_server.identity.identity_file', config.peer_server?.identity?.identity_file, readIdentity);
+  checkFile('agent_server.identity.identity_file', config.agent_server?.identity?.identity_file, readIdentity);
+  checkFile('peer_server.trusted_peers_config_file', config.peer_server?.trusted_peers_config_file, readTrustFile);
+  checkFile('peer_server.trusted_special_agents_config_file',
+    config.peer_server?.trusted_special_agents_config_file, readTrustFile);
+  checkFile('agent_auth_manager.methods.local.trusted_agents_config_file',
+    config.agent_auth_manager?.methods?.local?.trusted_agents_config_file, readTrustFile);
+
+  return { errors: problems, warnings };
+}
+
+async function configValidate(args) {
+  const configFile = args[0] || process.env.PAN_CONFIG || 'config.json5';
+  const { errors, warnings } = checkConfigFile(configFile);
+
+  warnings.forEach((warning) => console.warn(`warning: ${warning}`));
+
+  if (errors.length > 0) {
+    errors.forEach((problem) => console.error(`  - ${problem}`));
+    throw new Error(`${configFile} has ${errors.length} problem(s)`);
+  }
+
+  console.log(`${configFile} is valid`);
+}
+
+const COMMANDS = {
+  'identity create': identityCreate,
+  'identity show': identityShow,
+  'trust add': trustAdd,
+  'trust remove': trustRemove,
+  'trust list': trustList,
+  'token attest': tokenAttest,
+  'token vouch': tokenVouch,
+  'config validate': configValidate
+};
+
+function parseCommandLine(argv) {
+  try {
+    return parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        out: { type: 'string', short: 'o' },
+        force: { type: 'boolean', short: 'f' },
+        purpose: { type: 'string', short: 'p', multiple: true },
+        expires: { type: 'string', short: 'e' },
+        help: { type: 'boolean', short: 'h' }
+      }
+    });
+  } catch (err) {
+    // unknown options, missing option values and the like
+    if (err.code?.startsWith('ERR_PARSE_ARGS')) {
+      throw new UsageError(err.message);
+    }
+    throw err;
+  }
+}
+
+async function main(argv) {
+  const { values: options, positionals } = parseCommandLine(argv);
+
+  const [group, action, ...args] = positionals;
+  const command = COMMANDS[`${group} ${action}`];
+
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? 0 : 1;
+  }
+
+  await command(args, options);
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((err) => {
+      console.error(`pan: ${err.message}`);
+      if (err instanceof UsageError) {
+        console.error(USAGE);
+      }
+      process.exit(err instanceof UsageError ? 2 : 1);
+    });
+}
+
+module.exports = { main, checkConfigFile, UsageError };
@@ -0,0 +1,791 @@
+/**
+ * panClient.js
+ *
+ * Client for agents connecting to a PAN node's agent server. Runs in Node
+ * (using the `ws` package) and in the browser (using the global WebSocket).
+ *
+ * Handles the connection protocol so agents don't have to:
+ * - Sends `helo` and verifies the server's `helo_token` against the
+ *   expected server URN before sending any credentials.
+ * - Authenticates with a Vouchsafe token and keeps the `conn_id` / `auth_key`
+ *   from `auth.ok`.
+ * - Fills in `msg_id`, `from` and `ttl` on every outgoing message.
+ * - Correlates replies (`in_response_to`) with requests, with timeouts.
+ * - Reconnects automatically, resuming the session with `auth_type: 'reconnect'`
+ *   while the node is still holding it, or starting a new session (and
+ *   rejoining groups) once the grace window has passed.
+ *
+ * Usage:
+ * const client = new PanClient({ url, server_urn, token });
+ * await client.connect();
+ * await client.joinGroup(groupId, ['chat']);
+ * client.on('broadcast', (msg) => ...);
+ * const reply = await client.request({ node_id, conn_id }, 'lookup', { key });
+ */
+
+const uuid = require('uuid');
+const { validateVouchToken } = require('vouchsafe');
+
+const NULL_ID = '00000000-0000-0000-0000-000000000000';
+
+const DEFAULT_REQUEST_TIMEOUT_MS = 30000;
+const DEFAULT_RECONNECT_DELAY_MS = 1000;
+const MAX_RECONNECT_DELAY_MS = 30000;
+
+// Requests wait this much longer than the timeout the node enforces, so
+// the node's request_timeout normally arrives first.
+const REQUEST_TIMEOUT_GRACE_MS = 1000;
+
+// agentServer holds a disconnected session for 2 minutes. Resume attempts
+// stop a little short of that so we don't race the cleanup.
+const RESUME_GRACE_MS = 110 * 1000;
+
+function clientError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  if (details) {
+    err.details = details;
+  }
+  return err;
+}
+
+function getWebSocketClass(options) {
+  if (options.WebSocket) {
+    return options.WebSocket;
+  }
+  if (typeof WebSocket !== 'undefined') {
+    return WebSocket;
+  }
+  return require('ws');
+}
+
+class PanClient {
+  /**
+   * @param {object} options
+   * @param {string} options.url - Agent server URL, e.g. ws://localhost:5295
+   * @param {string} options.server_urn - Vouchsafe URN the server must prove it holds.
+   * @param {string|function} options.token - Vouchsafe agent-connect token, or an
+   *        (async) function returning a token or { token, tokens } for each connect.
+   * @param {string[]} [options.tokens] - Vouch tokens supporting `token`.
+   * @param {string} [options.agent_name] - Name to present to the node.
+   * @param {object} [options.directory] - { name, tags, metadata }: list this
+   *        agent in the node's agent directory, under `name` if given.
+   * @param {boolean} [options.reconnect=true] - Reconnect automatically.
+   * @param {number} [options.request_timeout_ms=30000] - Default timeout for requests.
+   * @param {function} [options.WebSocket] - WebSocket implementation to use.
+   */
+  constructor(options = {}) {
+    if (typeof options.url !== 'string') {
+      throw new Error('PanClient requires a url');
+    }
+    if (typeof options.server_urn !== 'string') {
+      throw new Error('PanClient requires the server_urn of the node it connects to');
+    }
+    if (!options.token) {
+      throw new Error('PanClient requires a token');
+    }
+
+    this.options = options;
+    this.WebSocketClass = getWebSocketClass(options);
+    this.requestTimeoutMs = options.request_timeout_ms || DEFAULT_REQUEST_TIMEOUT_MS;
+    this.autoReconnect = options.reconnect !== false;
+
+    this.ws = null;
+    this.state = 'closed'; // closed, helo, auth, ready
+    this.nodeId = null;
+    this.connId = null;
+    this.authKey = null;
+    this.serverInfo = null;
+
+    this.closing = false;
+    this.disconnectedAt = null;
+    this.reconnectDelay = DEFAULT_RECONNECT_DELAY_MS;
+    this.reconnectTimer = null;
+    this.connectWaiter = null;
+
+    this.pending = new Map(); // msg_id → { resolve, reject, timer, kind }
+    this.groups = new Map();  // groupId → join_group payload, rejoined on a new session
+    this.listeners = new Map();
+  }
+
+  // --- Events ---
+
+  /**
+   * Registers an event listener. Events:
+   * - connected ({ node_id, conn_id, resumed, restored, messages_dropped }):
+   *   messages_dropped counts messages the node could not hold for us while we
+   *   were away; restored means the node restarted and messages were lost.
+   * - disconnected ({ code, reason })
+   * - session_lost (): the node dropped our session; a new one was started.
+   * - broadcast (msg), direct (msg), control (msg): unsolicited messages.
+   * - member_joined / member_left ({ group, conn_id, node_id, agent_name }):
+   *   for groups joined with `presence: true`.
+   * - kicked ({ reason }): an administrator removed us; we do not reconnect.
+   * - error (err)
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+    return this;
+  }
+
+  off(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+    return this;
+  }
+
+  emit(event, ...args) {
+    const listeners = this.listeners.get(event);
+
+    if (!listeners || listeners.size === 0) {
+      return false;
+    }
+
+    for (const listener of [...listeners]) {
+      try {
+        listener(...args);
+      } catch (err) {
+        if (event !== 'error') {
+          this.emit('error', err);
+        }
+      }
+    }
+    return true;
+  }
+
+  // --- Connection ---
+
+  /**
+   * Connects and authenticates.
+   *
+   * @returns {Promise<object>} { node_id, conn_id }
+   */
+  connect() {
+    if (this.state === 'ready') {
+      return Promise.resolve({ node_id: this.nodeId, conn_id: this.connId });
+    }
+
+    this.closing = false;
+
+    if (!this.connectWaiter) {
+      let resolve, reject;
+      const promise = new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+      });
+      this.connectWaiter = { promise, resolve, reject };
+
+      if (this.state === 'closed' && !this.reconnectTimer) {
+        this._openSocket();
+      }
+    }
+
+    return this.connectWaiter.promise;
+  }
+
+  /**
+   * Ends the session: tells the node to clean up and closes the socket.
+   */
+  disconnect() {
+    this.closing = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    if (this.state === 'ready') {
+      this._send({ type: 'control', msg_type: 'disconnect', payload: {} });
+    }
+
+    this.authKey = null;
+    this._rejectAllPending(clientError('disconnected', 'client disconnected'));
+    this._settleConnect(clientError('disconnected', 'client disconnected'));
+
+    if (this.ws) {
+      this.ws.close();
+    }
+  }
+
+  isConnected() {
+    return this.state === 'ready';
+  }
+
+  _openSocket() {
+    const ws = new this.WebSocketClass(this.options.url);
+    this.ws = ws;
+    this.state = 'helo';
+
+    ws.addEventListener('open', () => {
+      this._sendRaw(ws, {
+        type: 'control',
+        msg_type: 'helo',
+        msg_id: uuid.v4(),
+        from: { node_id: NULL_ID, conn_id: NULL_ID },
+        ttl: 1,
+        payload: {}
+      });
+    });
+
+    ws.addEventListener('message', (event) => {
+      if (ws !== this.ws) {
+        return;
+      }
+
+      let msg;
+      try {
+        const data = typeof event.data === 'string' ? event.data : event.data.toString();
+        msg = JSON.parse(data);
+      } catch (err) {
+        this.emit('error', clientError('bad_message', 'received invalid JSON from node'));
+        return;
+      }
+
+      this._handleMessage(msg).catch((err) => this.emit('error', err));
+    });
+
+    ws.addEventListener('error', () => {
+      // a close event always follows; reconnection is handled there
+    });
+
+    ws.addEventListener('close', (event) => {
+      if (ws === this.ws) {
+        this._handleClose(event);
+      }
+    });
+  }
+
+  async _handleMessage(msg) {
+    switch (this.state) {
+      case 'helo':
+        return this._handleHelo(msg);
+      case 'auth':
+        return this._handleAuthReply(msg);
+      case 'ready':
+        return this._dispatch(msg);
+    }
+  }
+
+  async _handleHelo(msg) {
+    if (msg.type !== 'control' || msg.msg_type !== 'helo') {
+      return this._fail(clientError('protocol_error', `expected helo, got ${msg.msg_type}`));
+    }
+
+    const { i_am: iAm, helo_token: heloToken } = msg.payload || {};
+    let decoded;
+
+    try {
+      decoded = await validateVouchToken(heloToken);
+    } catch (err) {
+      return this._fail(clientError('untrusted_server', `invalid helo_token: ${err.message}`));
+    }
+
+    if (decoded.iss !== this.options.server_urn || iAm !== this.options.server_urn ||
+        decoded.purpose !== 'agent-helo') {
+      return this._fail(clientError('untrusted_server',
+        `server identified as ${decoded.iss}, expected ${this.options.server_urn}`));
+    }
+
+    this.serverInfo = {
+      urn: decoded.iss,
+      server_name: decoded.server_name,
+      welcome_message: decoded.welcome_message
+    };
+
+    let auth;
+
+    try {
+      auth = await this._getAuth();
+    } catch (err) {
+      return this._fail(clientError('token_failed', `could not get an auth token: ${err.message}`));
+    }
+
+    const resuming = this.authKey && this.disconnectedAt &&
+      (Date.now() - this.disconnectedAt) < RESUME_GRACE_MS;
+
+    const payload = {
+      token: auth.token,
+      tokens: auth.tokens,
+      agent_name: this.options.agent_name,
+      directory: this.options.directory
+    };
+
+    if (resuming) {
+      payload.auth_type = 'reconnect';
+      payload.reconnect = { conn_id: this.connId, auth_key: this.authKey };
+    }
+
+    this.state = 'auth';
+    this._sendRaw(this.ws, {
+      type: 'control',
+      msg_type: 'auth',
+      msg_id: uuid.v4(),
+      from: { node_id: NULL_ID, conn_id: NULL_ID },
+      ttl: 1,
+      payload
+    });
+  }
+
+  async _getAuth() {
+    let auth = this.options.token;
+
+    if (typeof auth === 'function') {
+      auth = await auth();
+    }
+
+    if (typeof auth === 'string') {
+      return { token: auth, tokens: this.options.tokens };
+    }
+
+    return { token: auth.token, tokens: auth.tokens || this.options.tokens };
+  }
+
+  _handleAuthReply(msg) {
+    if (msg.type !== 'control') {
+      return;
+    }
+
+    if (msg.msg_type === 'auth.failed') {
+      const message = msg.payload?.message || 'authorization failed';
+
+      if (this.authKey) {
+        // Our session is gone; the node closes this socket and we
+        // start over with a fresh session.
+        this.authKey = null;
+        this.emit('session_lost');
+        return;
+      }
+
+      return this._fail(clientError('auth_failed', message));
+    }
+
+    if (msg.msg_type !== 'auth.ok') {
+      return;
+    }
+
+    const { node_id: nodeId, conn_id: connId, auth_key: authKey, auth_type: authType } = msg.payload;
+    const resumed = authType === 'reconnect';
+    const restored = msg.payload.restored === true;
+
+    this.nodeId = nodeId;
+    this.connId = connId;
+    this.authKey = authKey;
+    this.state = 'ready';
+    this.disconnectedAt = null;
+    this.reconnectDelay = DEFAULT_RECONNECT_DELAY_MS;
+
+    this._settleConnect(null, { node_id: nodeId, conn_id: connId });
+    this.emit('connected', {
+      node_id: nodeId,
+      conn_id: connId,
+      resumed,
+      restored,
+      messages_dropped: msg.payload.messages_dropped || 0
+    });
+
+    // A session restored after a node restart has its groups back already,
+    // unless policy changed meanwhile; rejoining is harmless either way.
+    if (!resumed || restored) {
+      this._rejoinGroups();
+    }
+  }
+
+  _rejoinGroups() {
+    for (const joinPayload of this.groups.values()) {
+      this.sendControl('join_group', joinPayload)
+        .catch((err) => this.emit('error', err));
+    }
+  }
+
+  /**
+   * Gives up on the current socket with a fatal error: no reconnect.
+   */
+  _fail(err) {
+    this.closing = true;
+    this._settleConnect(err);
+    this.emit('error', err);
+    if (this.ws) {
+      this.ws.close();
+    }
+  }
+
+  _handleClose(event) {
+    const wasReady = this.state === 'ready';
+
+    this.state = 'closed';
+
+    if (wasReady) {
+      this.disconnectedAt = Date.now();
+      this.emit('disconnected', { code: event.code, reason: event.reason });
+    }
+
+    if (this.closing || !this.autoReconnect) {
+      this._settleConnect(clientError('closed', 'connection closed'));
+      return;
+    }
+
+    const delay = this.reconnectDelay;
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, MAX_RECONNECT_DELAY_MS);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this._openSocket();
+    }, delay);
+  }
+
+  _settleConnect(err, result) {
+    const waiter = this.connectWaiter;
+
+    if (!waiter) {
+      return;
+    }
+
+    this.connectWaiter = null;
+
+    if (err) {
+      waiter.reject(err);
+    } else {
+      waiter.resolve(result);
+    }
+  }
+
+  // --- Incoming messages ---
+
+  _dispatch(msg) {
+    const pending = msg.in_response_to && this.pending.get(msg.in_response_to);
+
+    switch (msg.type) {
+      case 'control':
+        if (pending) {
+          if (msg.msg_type === 'error' || msg.msg_type === 'delivery_failed' ||
+              msg.msg_type === 'request_timeout') {
+            return this._settlePending(msg.in_response_to,
+              clientError(msg.payload?.error_type || msg.msg_type, msg.payload?.message || msg.msg_type, msg.payload));
+          }
+          if (pending.kind === 'control' || (pending.kind === 'ack' && msg.msg_type === 'delivery_ack')) {
+            return this._settlePending(msg.in_response_to, null, msg);
+          }
+        }
+        if (msg.msg_type === 'member_joined' || msg.msg_type === 'member_left') {
+          return this.emit(msg.msg_type, msg.payload);
+        }
+        if (msg.msg_type === 'kicked') {
+          this.closing = true;
+          return this.emit('kicked', msg.payload);
+        }
+        return this.emit('control', msg);
+
+      case 'direct':
+        if (pending && pending.kind === 'request') {
+          return this._settlePending(msg.in_response_to, null, msg);
+        }
+        return this.emit('direct', msg);
+
+      case 'broadcast':
+        return this.emit('broadcast', msg);
+    }
+  }
+
+  _settlePending(msgId, err, result) {
+    const pending = this.pending.get(msgId);
+
+    if (!pending) {
+      return;
+    }
+
+    this.pending.delete(msgId);
+    clearTimeout(pending.timer);
+
+    if (err) {
+      pending.reject(err);
+    } else {
+      pending.resolve(result);
+    }
+  }
+
+  _rejectAllPending(err) {
+    for (const msgId of [...this.pending.keys()]) {
+      this._settlePending(msgId, err);
+    }
+  }
+
+  _awaitReply(msgId, kind, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._settlePending(msgId, clientError('timeout', `no reply to ${msgId} within ${timeoutMs}ms`));
+      }, timeoutMs);
+
+      this.pending.set(msgId, { resolve, reject, timer, kind });
+    });
+  }
+
+  // --- Outgoing messages ---
+
+  _sendRaw(ws, msg) {
+    ws.send(JSON.stringify(msg));
+  }
+
+  /**
+   * Completes and sends a message from this agent.
+   *
+   * @returns {string} msg_id of the sent message
+   */
+  _send(msg) {
+    if (this.state !== 'ready') {
+      throw clientError('not_connected', 'client is not connected');
+    }
+
+    const fullMsg = {
+      ...msg,
+      msg_id: msg.msg_id || uuid.v4(),
+      from: { node_id: this.nodeId, conn_id: this.connId },
+      ttl: msg.ttl ?? 1
+    };
+
+    this._sendRaw(this.ws, fullMsg);
+    return fullMsg.msg_id;
+  }
+
+  /**
+   * Sends a control message and waits for the node's reply.
+   *
+   * @param {string} msgType - e.g. 'join_group', 'ping_request'
+   * @param {object} payload
+   * @param {object} [options] - { ttl, timeout_ms }
+   * @returns {Promise<object>} the reply message
+   */
+  sendControl(msgType, payload = {}, options = {}) {
+    const msgId = uuid.v4();
+    const reply = this._awaitReply(msgId, 'control', options.timeout_ms || this.requestTimeoutMs);
+
+    try {
+      this._send({ type: 'control', msg_type: msgType, msg_id: msgId, ttl: options.ttl, payload });
+    } catch (err) {
+      this._settlePending(msgId, err);
+    }
+
+    return reply;
+  }
+
+  /**
+   * Joins a group, receiving broadcasts of the given msg_types.
+   * The subscription is restored automatically if a new session is needed.
+   *
+   * @param {string} group - Group ID (UUID)
+   * @param {string[]} msgTypes - msg_types to receive; patterns like `chat.*` or `*` match families of types
+   * @param {object} [options]
+   * @param {boolean} [options.presence] - Emit `member_joined` / `member_left` for this group.
+   * @param {number} [options.history] - Replay up to this many retained broadcasts; they
+   *        arrive as `broadcast` events with `retained: true`.
+   * @returns {Promise<object>} join_group_reply payload
+   */
+  async joinGroup(group, msgTypes, options = {}) {
+    const joinPayload = { group, msg_types: msgTypes };
+
+    if (options.presence) {
+      joinPayload.presence = true;
+    }
+
+    const reply = await this.sendControl('join_group',
+      options.history ? { ...joinPayload, history: options.history } : joinPayload);
+
+    if (reply.payload?.status !== 'ok') {
+      throw clientError(reply.payload?.error || 'join_failed', reply.payload?.message || 'join_group failed', reply.payload);
+    }
+
+    this.groups.set(group, joinPayload);
+    return reply.payload;
+  }
+
+  /**
+   * Lists the group's members on the node we are connected to.
+   *
+   * @param {string} group - Group ID
+   * @returns {Promise<object[]>} [{ conn_id, node_id, agent_name }]
+   */
+  async listGroupMembers(group) {
+    const reply = await this.sendControl('list_group_members', { group });
+
+    if (reply.payload?.status !== 'ok') {
+      throw clientError(reply.payload?.error || 'list_failed', reply.payload?.message || 'list_group_members failed', reply.payload);
+    }
+
+    return reply.payload.members;
+  }
+
+  /**
+   * Leaves a group.
+   *
+   * @param {string} group - Group ID
+   * @returns {Promise<object>} leave_group_reply payload
+   */
+  async leaveGroup(group) {
+    this.groups.delete(group);
+
+    const reply = await this.sendControl('leave_group', { group });
+
+    if (reply.payload?.status !== 'ok') {
+      throw clientError(reply.payload?.error || 'leave_failed', reply.payload?.message || 'leave_group failed', reply.payload);
+    }
+
+    return reply.payload;
+  }
+
+  /**
+   * Finds agents in the directory.
+   *
+   * @param {object} query - { name, vouchsafe_id, tag, metadata }; at least one
+   *        is required. metadata matches entries holding each of its values.
+   * @param {object} [options] - { scope: 'mesh' (default) or 'local' }
+   * @returns {Promise<object[]>} [{ node_id, conn_id, agent_name, vouchsafe_id, tags, metadata }]
+   */
+  async lookupAgent(query, options = {}) {
+    return this._directoryQuery('lookup_agent', { ...query, scope: options.scope });
+  }
+
+  /**
+   * Lists the agents in the directory.
+   *
+   * @param {object} [options] - { tag, scope: 'mesh' (default) or 'local' }
+   * @returns {Promise<object[]>} [{ node_id, conn_id, agent_name, vouchsafe_id, tags, metadata }]
+   */
+  async listAgents(options = {}) {
+    return this._directoryQuery('list_agents', { tag: options.tag, scope: options.scope });
+  }
+
+  async _directoryQuery(msgType, payload) {
+    const reply = await this.sendControl(msgType, payload);
+
+    if (reply.payload?.status !== 'ok') {
+      throw clientError(reply.payload?.error || 'query_failed', reply.payload?.message || `${msgType} failed`, reply.payload);
+    }
+
+    return reply.payload.agents;
+  }
+
+  /**
+   * Runs an admin command on the node. Needs an identity vouched for the
+   * node's admin purpose.
+   *
+   * @param {string} command - e.g. 'list_agents', 'kick_agent', 'set_log_level'
+   * @param {object} [args] - command arguments, e.g. { conn_id, reason }
+   * @returns {Promise<object>} admin_response payload
+   */
+  async admin(command, args = {}) {
+    const reply = await this.sendControl('admin_request', { ...args, command });
+
+    if (reply.payload?.status !== 'ok') {
+      throw clientError(reply.payload?.error || 'admin_failed', reply.payload?.message || `${command} failed`, reply.payload);
+    }
+
+    return reply.payload;
+  }
+
+  /**
+   * Broadcasts a message to a group.
+   *
+   * @param {string} group - Group ID
+   * @param {string} msgType
+   * @param {object} payload
+   * @param {object} [options] - { ttl }
+   * @returns {string} msg_id
+   */
+  broadcast(group, msgType, payload = {}, options = {}) {
+    return this._send({ type: 'broadcast', group, msg_type: msgType, ttl: options.ttl, payload });
+  }
+
+  /**
+   * Sends a direct message to an agent, or to a capability provider.
+   *
+   * @param {object} to - { node_id, conn_id } or { capability }
+   * @param {string} msgType
+   * @param {object} payload
+   * @param {object} [options] - { ttl, in_response_to, msg_id, ack_required,
+   *        expects_reply, reply_timeout_ms }
+   * @returns {string} msg_id
+   */
+  sendDirect(to, msgType, payload = {}, options = {}) {
+    const msg = {
+      type: 'direct',
+      msg_id: options.msg_id,
+      msg_type: msgType,
+      ttl: options.ttl,
+      in_response_to: options.in_response_to,
+      ack_required: options.ack_required,
+      expects_reply: options.expects_reply,
+      reply_timeout_ms: options.reply_timeout_ms,
+      payload
+    };
+
+    if (to.capability) {
+      msg.to_capability = to.capability;
+    } else {
+      msg.to = { node_id: to.node_id, conn_id: to.conn_id };
+    }
+
+    return this._send(msg);
+  }
+
+  /**
+   * Sends a direct message with `ack_required` and waits until the node
+   * confirms it reached the target agent. The node resends it as needed;
+   * rejects if it reports the message undeliverable, or on timeout.
+   *
+   * @param {object} to - { node_id, conn_id }
+   * @param {string} msgType
+   * @param {object} payload
+   * @param {object} [options] - { ttl, timeout_ms }
+   * @returns {Promise<object>} the delivery_ack payload
+   */
+  async sendDirectAcked(to, msgType, payload = {}, options = {}) {
+    const msgId = uuid.v4();
+    const ack = this._awaitReply(msgId, 'ack', options.timeout_ms || this.requestTimeoutMs);
+
+    try {
+      this.sendDirect(to, msgType, payload, { ...options, msg_id: msgId, ack_required: true });
+    } catch (err) {
+      this._settlePending(msgId, err);
+    }
+
+    return (await ack).payload;
+  }
+
+  /**
+   * Sends a direct message with `expects_reply` and waits for the direct
+   * reply to it. Rejects if the node reports the message undeliverable,
+   * or on timeout.
+   *
+   * @param {object} to - { node_id, conn_id } or { capability }
+   * @param {string} msgType
+   * @param {object} payload
+   * @param {object} [options] - { ttl, timeout_ms }
+   * @returns {Promise<object>} the reply message
+   */
+  request(to, msgType, payload = {}, options = {}) {
+    const msgId = uuid.v4();
+    const timeoutMs = options.timeout_ms || this.requestTimeoutMs;
+    const reply = this._awaitReply(msgId, 'request', timeoutMs + REQUEST_TIMEOUT_GRACE_MS);
+
+    try {
+      this.sendDirect(to, msgType, payload, { ...options, msg_id: msgId, expects_reply: true, reply_timeout_ms: timeoutMs });
+    } catch (err) {
+      this._settlePending(msgId, err);
+    }
+
+    return reply;
+  }
+
+  /**
+   * Replies to a direct message received from another agent.
+   *
+   * @param {object} msg - The message being answered
+   * @param {string} msgType
+   * @param {object} payload
+   * @param {object} [options] - { ttl }
+   * @returns {string} msg_id
+   */
+  reply(msg, msgType, payload = {}, options = {}) {
+    return this.sendDirect(msg.from, msgType, payload, { ...options, in_response_to: msg.msg_id });
+  }
+}
+
+module.exports = { PanClient };
@@ -0,0 +1,320 @@
+/**
+ * configSchema.js
+ *
+ * Declares every section of the node config: the keys each subsystem
+ * reads, their types and defaults. startNode validates the config against
+ * it before any subsystem starts, so a bad config fails with one report
+ * listing every problem instead of a crash somewhere during startup.
+ *
+ * - Wrong types, out-of-range numbers and missing required keys are errors.
+ * - Keys nothing reads are warnings: usually a typo or an old name.
+ * - Defaults fill in missing keys of sections that are present. They match
+ *   the defaults in each subsystem; absent optional sections stay absent.
+ *
+ * Field specs: { type, required, default, min, enum, keys, values, items, check }
+ * - type: 'string' | 'boolean' | 'integer' | 'number' | 'object' | 'array' | 'any'
+ * - keys: schema of an object's known keys
+ * - values: spec for every value of an object used as a map (e.g. group ids)
+ * - items: spec for every array element
+ * - check(value): returns a problem message, or nothing
+ */
+
+const { RETENTION_MODES } = require('./agent/groupHistory');
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug', 'verbose', 'silly'];
+const AUTH_METHOD_TYPES = ['local', 'special-agent'];
+
+// Top-level keys that are easy to get wrong, with what is read instead
+const RENAMED_SECTIONS = {
+  client_server: 'agent_server'
+};
+
+const string = (extra) => ({ type: 'string', ...extra });
+const boolean = (extra) => ({ type: 'boolean', ...extra });
+const integer = (extra) => ({ type: 'integer', min: 0, ...extra });
+const positive = (extra) => ({ type: 'number', min: 0, ...extra });
+const object = (keys, extra) => ({ type: 'object', keys, ...extra });
+
+const identityKeys = {
+  identity_file: string({ required: true })
+};
+
+const historyKeys = {
+  mode: string({ enum: RETENTION_MODES, default: 'last' }),
+  max_messages: integer({ default: 0 }),
+  max_bytes: integer({ default: 64 * 1024 })
+};
+
+const SCHEMA = {
+  logging: object({
+    log_level: string({ enum: LOG_LEVELS, default: 'info' })
+  }),
+
+  peer_server: object({
+    port: integer({ default: 5874 }),
+    trusted_peers_config_file: string({ required: true }),
+    trusted_special_agents_config_file: string(),
+    identity: object({
+      ...identityKeys,
+      peer_name: string(),
+      vouch_tokens: { type: 'array', items: string(), default: [] }
+    }),
+    bootstrap_peers: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'any',
+        check: (peer) => (typeof peer === 'string' || typeof peer?.url === 'string'
+          ? undefined
+          : 'must be a URL or { url, urn }')
+      }
+    },
+    bootstrap_retry_seconds: positive({ default: 10 })
+  }, { required: true }),
+
+  peer_router: object({
+    node_identifier: string(),
+    persist_path: string({ default: 'persisted_node_id.txt' }),
+    crash_on_corrupt: boolean(),
+    dedupe_window_seconds: positive(),
+    dedupe_max_entries: integer(),
+    route_advertise_seconds: positive({ default: 15 }),
+    route_timeout_seconds: positive(),
+    max_hops: integer({
+      default: 32,
+      min: 1,
+      check: (hops) => (hops <= 255 ? undefined : 'must be at most 255, the largest peer message ttl')
+    })
+  }),
+
+  agent_server: object({
+    port: integer({ default: 5295 }),
+    connect_timeout: positive({ default: 3 }),
+    identity: object({
+      ...identityKeys,
+      server_name: string(),
+      welcome_message: string(),
+      helo_claims: object({}, { values: { type: 'any' } })
+    }, { required: true }),
+    outbox: object({
+      max_messages: integer({ default: 1000 }),
+      max_bytes: integer({ default: 1024 * 1024 }),
+      max_age_seconds: positive({ default: 120 })
+    }),
+    http_endpoints: object({
+      enabled: boolean({ default: true })
+    }),
+    spam_protection: object({
+      window_seconds: positive({ default: 10 }),
+      message_limit: integer({ default: 50 }),
+      disconnect_threshold: integer({ default: 5 }),
+      max_refill_seconds: positive(),
+      error_reset_window: positive({ default: 300 })
+    })
+  }, { required: true }),
+
+  agent_auth_manager: object({
+    order: { type: 'array', items: string(), default: ['local'] },
+    max_tries: integer({ default: 2 }),
+    timeout_ms: integer({ default: 3000 }),
+    methods: object({}, {
+      values: object({
+        type: string({ enum: AUTH_METHOD_TYPES, required: true }),
+        allow_untrusted_agents: boolean(),
+        trusted_agents_config_file: string(),
+        capability: string()
+      })
+    })
+  }),
+
+  peer_registry: object({}),
+  special_agent_registry: object({}),
+  agent_registry: object({}),
+  agent_router: object({}),
+
+  delivery_tracker: object({
+    ack_timeout_ms: integer({ default: 1000 }),
+    max_retries: integer({ default: 3 }),
+    dedupe_window_seconds: positive({ default: 300 }),
+    dedupe_max_entries: integer()
+  }),
+
+  request_tracker: object({
+    default_timeout_seconds: positive({ default: 30 }),
+    max_timeout_seconds: positive({ default: 300 })
+  }),
+
+  capability_router: object({
+    strategy: string({ enum: ['round_robin', 'least_loaded'], default: 'round_robin' }),
+    request_timeout_seconds: positive({ default: 30 })
+  }),
+
+  group_policy: object({
+    policy_file: string(),
+    cache_time: positive({ default: 30 })
+  }),
+
+  // 0 lifts any of these caps
+  group_manager: object({
+    max_groups: integer({ default: 10000 }),
+    max_groups_per_agent: integer({ default: 100 }),
+    max_msg_types_per_group: integer({ default: 100 }),
+    max_members_per_group: integer({ default: 0 }),
+    groups: object({}, {
+      values: object({ max_members: integer() })
+    }),
+    history: object({
+      ...historyKeys,
+      max_total_bytes: integer({ default: 16 * 1024 * 1024 }),
+      groups: object({}, { values: object(historyKeys) })
+    })
+  }),
+
+  group_presence: object({
+    relay_to_peers: boolean({ default: true })
+  }),
+
+  agent_directory: object({
+    query_timeout_ms: integer({ default: 1000 }),
+    max_results: integer({ default: 100 })
+  }),
+
+  admin: object({
+    purpose: string({ default: 'pan-admin' })
+  }),
+
+  session_store: object({
+    backend: string({ enum: ['file', 'none'], default: 'file' }),
+    file: string({ default: 'data/agent_sessions.json' }),
+    save_interval_seconds: positive({ default: 5 }),
+    resume_window_seconds: positive({ default: 120 })
+  })
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  boolean: 'true or false',
+  integer: 'a whole number',
+  number: 'a number',
+  object: 'an object',
+  array: 'an array'
+};
+
+const describeType = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+function typeMatches(type, value) {
+  switch (type) {
+    case 'any':
+      return true;
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Checks one value against its spec. Fills in defaults of object keys.
+ *
+ * @returns {*} the value, with defaults applied
+ */
+function validateValue(spec, value, keyPath, report) {
+  if (!typeMatches(spec.type, value)) {
+    report.errors.push(`${keyPath} must be ${TYPE_NAMES[spec.type]}, not ${describeType(value)}`);
+    return value;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    report.errors.push(`${keyPath} must be one of ${spec.enum.join(', ')}, not ${JSON.stringify(value)}`);
+  }
+
+  if (spec.min !== undefined && value < spec.min) {
+    report.errors.push(`${keyPath} must be ${spec.min} or more`);
+  }
+
+  const problem = spec.check?.(value);
+  if (problem) {
+    report.errors.push(`${keyPath} ${problem}`);
+  }
+
+  if (spec.type === 'array' && spec.items) {
+    return value.map((item, i) => validateValue(spec.items, item, `${keyPath}[${i}]`, report));
+  }
+
+  if (spec.type === 'object') {
+    return validateObject(spec, value, keyPath, report);
+  }
+
+  return value;
+}
+
+function validateObject(spec, value, keyPath, report) {
+  const keys = spec.keys || {};
+  const result = {};
+
+  for (const [key, item] of Object.entries(value)) {
+    const itemPath = keyPath ? `${keyPath}.${key}` : key;
+    const itemSpec = keys[key] || spec.values;
+
+    if (!itemSpec) {
+      const renamed = !keyPath && RENAMED_SECTIONS[key];
+      report.warnings.push(`${itemPath} is not a known setting${renamed ? `; did you mean ${renamed}?` : ''}`);
+      result[key] = item;
+      continue;
+    }
+
+    result[key] = validateValue(itemSpec, item, itemPath, report);
+  }
+
+  for (const [key, keySpec] of Object.entries(keys)) {
+    if (value[key] !== undefined) {
+      continue;
+    }
+
+    const itemPath = keyPath ? `${keyPath}.${key}` : key;
+
+    if (keySpec.required) {
+      report.errors.push(`${itemPath} is required`);
+    } else if (keySpec.default !== undefined) {
+      result[key] = structuredClone(keySpec.default);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Validates a node config.
+ *
+ * @param {object} config - the whole config, as read from config.json5
+ * @returns {object} { config, errors, warnings }: the config with defaults
+ *          applied, and the problems found, as 'key.path message' strings
+ */
+function validateConfig(config) {
+  const report = { errors: [], warnings: [] };
+
+  if (!typeMatches('object', config)) {
+    report.errors.push(`config must be an object, not ${describeType(config)}`);
+    return { config, ...report };
+  }
+
+  const validated = validateObject({ keys: SCHEMA }, config, '', report);
+
+  // every method in the auth order has to be configured
+  const auth = validated.agent_auth_manager;
+  if (auth?.methods && Array.isArray(auth.order)) {
+    auth.order
+      .filter((name) => typeof name === 'string' && !auth.methods[name])
+      .forEach((name) => report.errors.push(`agent_auth_manager.order names '${name}', which is not in agent_auth_manager.methods`));
+  }
+
+  return { config: validated, ...report };
+}
+
+module.exports = { validateConfig, SCHEMA };
@@ -7,7 +7,9 @@ const VALID_AGENT_MESSAGE_TYPES = [
 ];
 
 const VALID_PEER_MESSAGE_TYPES = [
-    'peer_control'
+    'peer_control',
+    'peer_broadcast',
+    'peer_direct'
 ];
 
 const VALID_SPECIAL_AGENT_MESSAGE_TYPES = [
@@ -8,13 +8,15 @@
  * and stop functions for the node.
  *
  * If run directly from the command line, it starts the node using the config file.
- * Also handles graceful shutdown on SIGTERM.
+ * Also handles graceful shutdown on SIGTERM, and reloads the config on SIGHUP.
  */
 const fs = require('fs');
 const path = require('path');
 const JSON5 = require('json5');
-const { initializeLogger, getLogger, log } = require('./utils/log');
+const { initializeLogger, getLogger, setLogLevel, log } = require('./utils/log');
+const { forceReloadAll } = require('./node/vouchsafeTrust');
 const panApp = require('./panApp');
+const { validateConfig } = require('./configSchema');
 
 const nodeMessages = require('./utils/nodeMessages');
 const peerServer = require('./peer/peerServer');
@@ -26,29 +28,182 @@ const peerRegistry = require('./peer/peerRegistry');
 const agentRegistry = require('./agent/agentRegistry');
 const specialAgentRegistry = require('./peer/specialAgentRegistry');
 const agentAuthManager = require('./node/agentAuthManager');
+const capabilityRouter = require('./agent/capabilityRouter');
+const deliveryTracker = require('./agent/deliveryTracker');
+const requestTracker = require('./agent/requestTracker');
+const groupPolicy = require('./agent/groupPolicy');
+const groupPresence = require('./agent/groupPresence');
+const sessionStore = require('./agent/sessionStore');
+const agentDirectory = require('./agent/agentDirectory');
+const adminControl = require('./agent/adminControl');
 
 let nodeStarted = false;
+let runningConfig = null; // validated config the node runs with, updated by reloadConfig()
 
 // Load config from disk using JSON5 (allows comments and trailing commas)
 /**
  * Reads and parses the configuration file from disk.
- * Returns the config object or exits the process if parsing fails.
+ * Throws if the file can't be read or parsed.
  */
-function loadConfigFromDisk() {
+function readConfigFile() {
   const configFile = process.env.PAN_CONFIG || 'config.json5';
   const configPath = path.resolve(__dirname, configFile);
 
+  const raw = fs.readFileSync(configPath, 'utf-8'); // Read file as UTF-8 text
+  const parsed = JSON5.parse(raw); // Parse JSON5 into JS object
+  log.info(`✅ Loaded config from ${configPath}`);
+  return parsed;
+}
+
+/**
+ * Reads the configuration file from disk.
+ * Returns the config object or exits the process if parsing fails.
+ */
+function loadConfigFromDisk() {
   try {
-    const raw = fs.readFileSync(configPath, 'utf-8'); // Read file as UTF-8 text
-    const parsed = JSON5.parse(raw); // Parse JSON5 into JS object
-    log.info(`✅ Loaded config from ${configPath}`);
-    return parsed;
+    return readConfigFile();
   } catch (err) {
-    log.error(`❌ Failed to read config file at ${configPath}:`, err);
+    log.error(`❌ Failed to read config file:`, err);
     process.exit(1); // Exit if reading/parsing fails
   }
 }
 
+const applyAgentServer = (config) => panApp.use('agentServer').reconfigure(config.agent_server);
+const applyPeerServer = (config) => panApp.use('peerServer').reconfigure(config.peer_server);
+const applyGroupLimits = (config) => panApp.use('groupManager').setLimits(config.group_manager);
+
+// Settings reloadConfig() can apply to a running node, by key path. A
+// change anywhere under one of these paths is applied; any other change
+// needs a restart.
+const RELOADABLE_SETTINGS = {
+  'logging.log_level': (config) => setLogLevel(config.logging?.log_level || 'info'),
+  'agent_server.spam_protection': applyAgentServer,
+  'agent_auth_manager': (config) => panApp.use('agentAuthManager').reconfigure(config.agent_auth_manager),
+  'peer_server.bootstrap_peers': applyPeerServer,
+  'peer_server.bootstrap_retry_seconds': applyPeerServer,
+  'group_manager.max_groups': applyGroupLimits,
+  'group_manager.max_groups_per_agent': applyGroupLimits,
+  'group_manager.max_msg_types_per_group': applyGroupLimits,
+  'group_manager.max_members_per_group': applyGroupLimits,
+  'group_manager.groups': applyGroupLimits
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Lists the key paths whose values differ between two configs. Arrays
+ * count as single values.
+ */
+function changedPaths(before, after, prefix = '') {
+  if ((before === undefined || isPlainObject(before)) && (after === undefined || isPlainObject(after)) &&
+      (before !== undefined || after !== undefined)) {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+    return [...keys].flatMap((key) => changedPaths(before?.[key], after?.[key], prefix ? `${prefix}.${key}` : key));
+  }
+  return JSON.stringify(before) === JSON.stringify(after) ? [] : [prefix];
+}
+
+function copyPath(target, source, keyPath) {
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  let from = source;
+  let to = target;
+
+  for (const key of keys) {
+    from = from?.[key];
+    to = to[key] = isPlainObject(to[key]) ? to[key] : {};
+  }
+
+  if (from?.[last] === undefined) {
+    delete to[last];
+  } else {
+    to[last] = structuredClone(from[last]);
+  }
+}
+
+/**
+ * Rereads the config file and applies what can change while the node runs
+ * (see RELOADABLE_SETTINGS) without dropping connections. Trusted issuer
+ * files and the group policy file are reread as well. Changes that need a
+ * restart are logged and otherwise ignored. A config that fails validation
+ * is not applied at all.
+ *
+ * Settings are applied by independent appliers. If one fails, its settings
+ * keep their running values and are reported as failed; the others still
+ * apply. The running config records only what took effect, so the failed
+ * settings are retried on the next reload.
+ *
+ * @param {Object|null} providedConfig - Optionally use this instead of the config file.
+ * @returns {object|null} { applied, failed, restartRequired } key paths, or
+ *          null if the config could not be read or failed validation
+ */
+function reloadConfig(providedConfig = null) {
+  if (!nodeStarted) {
+    log.warn('⚠️ PAN Node not running.');
+    return null;
+  }
+
+  let newConfig;
+
+  try {
+    newConfig = providedConfig || readConfigFile();
+  } catch (err) {
+    log.error('❌ Config reload failed, keeping the running config:', err);
+    return null;
+  }
+
+  const { config, errors, warnings } = validateConfig(newConfig);
+
+  warnings.forEach((warning) => log.warn(`⚠️  Config: ${warning}`));
+
+  if (errors.length > 0) {
+    log.error(`❌ Config reload failed, keeping the running config:\n  - ${errors.join('\n  - ')}`);
+    return null;
+  }
+
+  const applied = [];
+  const failed = [];
+  const restartRequired = [];
+  const appliers = new Map(); // applier → key paths it applies
+
+  for (const keyPath of changedPaths(runningConfig, config)) {
+    const setting = Object.keys(RELOADABLE_SETTINGS)
+      .find((prefix) => keyPath === prefix || keyPath.startsWith(`${prefix}.`));
+
+    if (setting) {
+      const apply = RELOADABLE_SETTINGS[setting];
+      appliers.set(apply, [...(appliers.get(apply) || []), keyPath]);
+    } else {
+      restartRequired.push(keyPath);
+    }
+  }
+
+  for (const [apply, keyPaths] of appliers) {
+    try {
+      apply(config);
+    } catch (err) {
+      log.error(`❌ Could not apply ${keyPaths.join(', ')}, keeping the running values:`, err);
+      failed.push(...keyPaths);
+      continue;
+    }
+
+    keyPaths.forEach((keyPath) => copyPath(runningConfig, config, keyPath));
+    applied.push(...keyPaths);
+  }
+
+  forceReloadAll();
+  panApp.use('groupPolicy').reload();
+
+  log.info(`🔄 Config reloaded. Applied: ${applied.length > 0 ? applied.join(', ') : 'no changes'}. ` +
+    'Trust and group policy files reread.');
+
+  if (restartRequired.length > 0) {
+    log.warn(`⚠️  Config changes that need a restart to take effect: ${restartRequired.join(', ')}`);
+  }
+
+  return { applied, failed, restartRequired };
+}
+
 /**
  * Starts the PAN node. Loads config, initializes all subsystems,
  * and sets up global PAN object.
@@ -61,11 +216,22 @@ async function startNode(providedConfig = null) {
     return;
   }
 
-  const config = providedConfig || loadConfigFromDisk();
+  // Check the whole config before anything starts; see configSchema.js
+  const { config, errors, warnings } = validateConfig(providedConfig || loadConfigFromDisk());
 
-  log.info('🧠 Starting PAN Node...');
+  if (errors.length === 0) {
+    initializeLogger(config.logging); // Initialize logging with config settings
+  }
 
-  initializeLogger(config.logging); // Initialize logging with config settings
+  warnings.forEach((warning) => log.warn(`⚠️  Config: ${warning}`));
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  runningConfig = structuredClone(config);
+
+  log.info('🧠 Starting PAN Node...');
 
   // Initialize each subsystem with its respective config section
   log.info('🔧 Initializing peer registry...');
@@ -90,9 +256,33 @@ async function startNode(providedConfig = null) {
   log.info('⚙  Initializing agent router...');
   panApp.setSubsystem('agentRouter', await agentRouter.initialize(config.agent_router || {}));
 
+  log.info('⚙  Initializing delivery tracker...');
+  panApp.setSubsystem('deliveryTracker', await deliveryTracker.initialize(config.delivery_tracker || {}));
+
+  log.info('⚙  Initializing request tracker...');
+  panApp.setSubsystem('requestTracker', await requestTracker.initialize(config.request_tracker || {}));
+
+  log.info('⚙  Initializing capability router...');
+  panApp.setSubsystem('capabilityRouter', await capabilityRouter.initialize(config.capability_router || {}));
+
+  log.info('🔧 Initializing group policy...');
+  panApp.setSubsystem('groupPolicy', await groupPolicy.initialize(config.group_policy || {}));
+
   log.info('🔧 Initializing group manager...');
   panApp.setSubsystem('groupManager', await groupManager.initialize(config.group_manager));
 
+  log.info('🔧 Initializing group presence...');
+  panApp.setSubsystem('groupPresence', await groupPresence.initialize(config.group_presence || {}));
+
+  log.info('🔧 Initializing agent directory...');
+  panApp.setSubsystem('agentDirectory', await agentDirectory.initialize(config.agent_directory || {}));
+
+  log.info('🔧 Initializing admin control...');
+  panApp.setSubsystem('adminControl', await adminControl.initialize(config.admin || {}));
+
+  log.info('🔧 Initializing session store...');
+  panApp.setSubsystem('sessionStore', await sessionStore.initialize(config.session_store));
+
   log.info('🌐 Initializing agent server...');
   panApp.setSubsystem('agentServer', await agentServer.initialize(config.agent_server));
   log.info('✅ Agent server ready');
@@ -121,11 +311,19 @@ async function stopNode() {
 
   // List of subsystems that support shutdown
   const subsystems = [
+    'sessionStore',  // first, so it saves sessions before they are torn down
     'peerServer',
     'agentServer',
     'peerRouter',
     'agentRouter',
+    'capabilityRouter',
+    'deliveryTracker',
+    'requestTracker',
     'groupManager',
+    'groupPolicy',
+    'groupPresence',
+    'agentDirectory',
+    'adminControl',
     'agentRegistry',
     'agentAuthManager',
   ];
@@ -144,6 +342,7 @@ async function stopNode() {
   await Promise.all(shutdowns); // Wait for all shutdowns to complete
 
   nodeStarted = false;
+  runningConfig = null;
   log.info('⛔ PAN Node stopped.');
 }
 
@@ -158,6 +357,11 @@ if (require.main === module) {
     });
   });
 
+  process.on('SIGHUP', function() {
+    log.info('🔄 SIGHUP received, reloading config...');
+    reloadConfig();
+  });
+
   startNode().catch(err => {
     log.error('❌ PAN Node startup failed:', err);
     process.exit(1);
@@ -167,5 +371,6 @@ if (require.main === module) {
 // Expose control functions for testing or external use
 module.exports = {
   startNode,
-  stopNode
+  stopNode,
+  reloadConfig
 };
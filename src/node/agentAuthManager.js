@@ -6,20 +6,24 @@
  * Supports pluggable authentication methods (e.g. local, special-agent relay),
  * with retries, timeouts, and per-request callback handling.
  *
- * In the future, all auth requests will be relayed to a special agent and
- * validated via Vouchsafe tokens — this file will serve as the dispatcher.
+ * The `special-agent` method relays the auth payload to a connected special
+ * agent advertising the `auth` capability, and waits for its `auth_reply`.
+ * A refusal, or the agent disconnecting before it answers, ends the attempt
+ * at once, so the next try goes ahead without waiting for the timeout.
  */
 
 const uuid = require('uuid');
 const jwt = require('jsonwebtoken');
 const { log } = require('../utils/log');
-const { getTrustValidator } = require('./vouchsafeTrust');
-// import { relayAuthToAgent } from './relayAgent.js'; // Future: enable dynamic dispatch to an auth agent
+const panApp = require('../panApp');
+const nodeMessages = require('../utils/nodeMessages');
+const { getTrustValidator, replaceTrustValidator } = require('./vouchsafeTrust');
 
 const pendingAuthRequests = new Map(); // auth_request_id → { callback, tries }
-const pendingConnectTimeouts = {}; // track auth timeouts
+const pendingConnectTimeouts = new Set(); // track auth timeouts
+const pendingRelays = new Map(); // auth_request_id → { agentId, resolve, reject }
 
-let config = {
+const DEFAULT_CONFIG = {
     order: ['local'],
     max_tries: 2,
     timeout_ms: 3000,
@@ -32,6 +36,8 @@ let config = {
     }
 };
 
+let config = DEFAULT_CONFIG;
+
 let methods = {};
 
 /**
@@ -46,22 +52,53 @@ async function initialize(userConfig = {}) {
         ...userConfig
     };
     // load the local trust validator on initialize
-    methods.local = getTrustValidator('local', { path: config.methods.local.trusted_agents_config_file });
+    if (config.methods.local) {
+        methods.local = getTrustValidator('local', { path: config.methods.local.trusted_agents_config_file });
+    }
+
+    nodeMessages.on('special_agent:disconnected', handleAuthAgentGone);
 
     log.info('[agentAuthManager] Initialized with methods:', config.order.join(' → '));
 
     return {
         shutdown,
-        submitAuthRequest
+        submitAuthRequest,
+        handleAuthAgentReply,
+        reconfigure
     };
 }
 
+/**
+ * Replaces the auth settings (order, tries, timeout, methods) while the
+ * node runs. Auth requests already under way finish with the old settings.
+ *
+ * @param {object} userConfig - the agent_auth_manager config section
+ */
+function reconfigure(userConfig = {}) {
+    const previousTrustFile = config.methods.local?.trusted_agents_config_file;
+
+    config = {
+        ...DEFAULT_CONFIG,
+        ...userConfig
+    };
+
+    const trustFile = config.methods.local?.trusted_agents_config_file;
+    if (trustFile && trustFile !== previousTrustFile) {
+        methods.local = replaceTrustValidator('local', { path: trustFile });
+    }
+
+    log.info('[agentAuthManager] Reconfigured with methods:', config.order.join(' → '));
+}
+
 async function shutdown() {
     log.info('[agentAuthManager] Shutting Down')
+    nodeMessages.off('special_agent:disconnected', handleAuthAgentGone);
     // clean up connect timeouts on shutdown
-    Object.keys(pendingConnectTimeouts).forEach((timeout) => {
+    pendingConnectTimeouts.forEach((timeout) => {
         clearTimeout(timeout);
     });
+    pendingConnectTimeouts.clear();
+    pendingRelays.clear();
 }
 
 /**
@@ -125,16 +162,24 @@ async function attemptAuth(authRequestId, authPayload) {
                 throw new Error(`Unknown auth type: ${methodConfig.type}`);
         }
 
+        let connect_timeout;
         const timeoutPromise = new Promise((_, reject) => {
-            let connect_timeout = setTimeout(() => {
-                delete pendingConnectTimeouts[connect_timeout];
-                console.log('connect timeout', connect_timeout);
+            connect_timeout = setTimeout(() => {
+                pendingConnectTimeouts.delete(connect_timeout);
                 reject(new Error('Auth timeout'))
             }, config.timeout_ms);
-            pendingConnectTimeouts[connect_timeout] = connect_timeout;
+            pendingConnectTimeouts.add(connect_timeout);
         });
 
-        const result = await Promise.race([authPromise, timeoutPromise]);
+        let result;
+        try {
+            result = await Promise.race([authPromise, timeoutPromise]);
+        } finally {
+            clearTimeout(connect_timeout);
+            pendingConnectTimeouts.delete(connect_timeout);
+            // a relay that timed out must not complete a later attempt
+            pendingRelays.delete(authRequestId);
+        }
 
         finishAuthRequest(authRequestId, result);
     } catch (err) {
@@ -172,17 +217,52 @@ function finishAuthRequest(authRequestId, result) {
 /**
  * Handles replies from an external agent providing the result of a delegated auth request.
  *
- * @param {object} msg - The relay message from the auth agent.
+ * Replies are only accepted from the special agent the request was sent to,
+ * and only while that attempt is still pending.
+ *
+ * @param {object} msg - The `auth_reply` message from the auth agent.
+ *        The payload may list the `purposes` the agent's identity holds.
+ * @param {string} agentId - ID of the special agent that sent the reply.
  */
-function handleAuthAgentReply(msg) {
-    const { auth_request_id, success, node_id, conn_id, auth_key } = msg.payload;
-
-    finishAuthRequest(auth_request_id, {
-        success,
-        node_id,
-        conn_id,
-        auth_key
-    });
+function handleAuthAgentReply(msg, agentId) {
+    const { auth_request_id, success, agent_name, vouchsafe_id, purposes, error } = msg.payload || {};
+    const relay = pendingRelays.get(auth_request_id);
+
+    if (!relay || relay.agentId !== agentId) {
+        log.warn(`[agentAuthManager] Ignoring unexpected auth_reply from ${agentId}`);
+        return;
+    }
+
+    pendingRelays.delete(auth_request_id);
+
+    if (success === true) {
+        relay.resolve({
+            success: true,
+            info: {
+                agent_name,
+                vouchsafe_id,
+                purposes: Array.isArray(purposes) ? purposes : []
+            }
+        });
+    } else {
+        // a failed attempt: the next try, if any, goes ahead right away
+        relay.reject(new Error(typeof error === 'string' ? error : 'Access Denied'));
+    }
+}
+
+/**
+ * Fails the relayed auth requests a departed special agent was handling,
+ * rather than leaving them to time out.
+ *
+ * @param {object} event - { agent_id }
+ */
+function handleAuthAgentGone({ agent_id: agentId }) {
+    for (const [authRequestId, relay] of pendingRelays) {
+        if (relay.agentId === agentId) {
+            pendingRelays.delete(authRequestId);
+            relay.reject(new Error('Auth agent disconnected'));
+        }
+    }
 }
 
 // --- Internal local-only fallback auth method ---
@@ -218,68 +298,96 @@ async function performLocalAuth(authPayload, methodConfig) {
         };
     }
 
-//    log.warn("XXXXX", methodConfig);
+    // step two, see whether we trust it, and for which purposes.
+    let trustResult = { trusted: false };
+
+    try {
+        trustResult = await methods.local.isTokenTrusted(authPayload.token, authPayload.tokens, ['agent-connect']);
+    } catch (err) {
+        log.warn('Local auth trust check error: ', err);
+    }
+
+    if (trustResult.trusted) {
+        return {
+            success: true,
+            info: {
+                agent_name: trustResult.decoded.identifier || trustResult.decoded.iss,
+                vouchsafe_id: trustResult.decoded.iss,
+                purposes: trustResult.purposes || []
+            },
+            token: trustResult.decoded
+        };
+    }
+
+    // Untrusted agents may still connect if allowed, but with no purposes:
+    // purposes in a self-issued token are not vouched for by anyone.
     if (methodConfig.allow_untrusted_agents) {
         return {
             success: true,
             info: {
                 agent_name: decoded.identifier || decoded.iss,
-                vouchsafe_id: decoded.iss
+                vouchsafe_id: decoded.iss,
+                purposes: []
             },
             token: decoded
         };
-    };
-    
-//    log.warn("YYYYY Attempting trust test", decoded);
-    let trustResult;
-    // If we are here, the token validated, but we don't know if we trust it.
-    try {
-        trustResult = await methods.local.isTokenTrusted(authPayload.token, authPayload.tokens, ['agent-connect']);
-        if (trustResult.trusted) {
-            return {
-                success: true,
-                info: {
-                    agent_name: trustResult.decoded.identifier || trustResult.decoded.iss,
-                    vouchsafe_id: trustResult.decoded.iss
-                },
-                token: trustResult.decoded
-            };
-        } else {
-            log.warn('Local auth failed, issuer not trusted for agent-connect. ');
-            return {
-                success: false,
-                error: 'Access Denied'
-            };
-        }
-    } catch (err) {
-        log.warn('Local auth failed, trust check error: ', err);
-        return {
-            success: false,
-            error: 'Access Denied'
-        };
     }
 
-    // we shouldn't be able to get here... but just in case.
+    log.warn('Local auth failed, issuer not trusted for agent-connect. ');
     return {
         success: false,
         error: 'Access Denied'
     };
 }
 
-// --- Stubbed out relay method for future implementation ---
+// --- Special agent relay method ---
 
 /**
- * Placeholder for relaying auth requests to an external agent.
+ * Relays an auth request to a special agent providing the auth capability.
  *
- * Future: send request to special agent that verifies Vouchsafe token.
+ * Each attempt picks the next available agent, so a retry of the same
+ * request goes to a different agent when there is more than one.
+ * Resolves when the agent accepts via handleAuthAgentReply, and rejects
+ * when it refuses or disconnects; the caller enforces timeout_ms.
  *
  * @param {string} authRequestId
  * @param {object} authPayload
- * @param {object} methodConfig
+ * @param {object} methodConfig - May set `capability` (default 'auth').
  */
 async function relayAuthToAgent(authRequestId, authPayload, methodConfig) {
-    // TODO: Implement actual agent relay logic for Vouchsafe verification
-    throw new Error('No agent available');
+    const specialAgentRegistry = panApp.use('specialAgentRegistry');
+    const capability = methodConfig.capability || 'auth';
+    const candidates = specialAgentRegistry.findAgentsByCapability(capability);
+
+    if (candidates.length === 0) {
+        throw new Error('No agent available');
+    }
+
+    const pending = pendingAuthRequests.get(authRequestId);
+    const agentId = candidates[(pending.tries - 1) % candidates.length];
+    const agentConn = specialAgentRegistry.getAgentConnection(agentId);
+
+    if (!agentConn) {
+        throw new Error('No agent available');
+    }
+
+    const nodeId = panApp.getNodeId();
+
+    return new Promise((resolve, reject) => {
+        pendingRelays.set(authRequestId, { agentId, resolve, reject });
+
+        agentConn.sendMessage({
+            type: 'agent_control',
+            msg_type: 'auth_request',
+            msg_id: uuid.v4(),
+            from: { node_id: nodeId, conn_id: nodeId },
+            ttl: 0,
+            payload: {
+                auth_request_id: authRequestId,
+                auth: authPayload
+            }
+        });
+    });
 }
 
 module.exports = { 
@@ -25,6 +25,13 @@ function getTrustValidator(name, config) {
     return TRUST_VALIDATORS[name];
 }
 
+/**
+ * Replaces a named validator, e.g. when its trust file path changes.
+ */
+function replaceTrustValidator(name, config) {
+    TRUST_VALIDATORS[name] = createTrustValidator(config);
+    return TRUST_VALIDATORS[name];
+}
 
 function createTrustValidator(config) {
   let lastLoaded = 0;
@@ -107,5 +114,16 @@ function createTrustValidator(config) {
   };
 }
 
-module.exports = { getTrustValidator, createTrustValidator };
+/**
+ * Rereads the trust file of every validator created so far.
+ *
+ * @returns {string[]} names of the validators reloaded
+ */
+function forceReloadAll() {
+    const names = Object.keys(TRUST_VALIDATORS);
+    names.forEach((name) => TRUST_VALIDATORS[name].forceReload());
+    return names;
+}
+
+module.exports = { getTrustValidator, replaceTrustValidator, createTrustValidator, forceReloadAll };
 
@@ -1,24 +1,45 @@
-const { validateIncomingAgentMessage } = require('../utils/validators');
+const uuid = require('uuid');
+const { validateIncomingSpecialAgentMessage } = require('../utils/validators');
 const { log } = require('../utils/log');
 const panApp = require('../panApp');
 
+/**
+ * A special agent connected on the peer port.
+ *
+ * Exposes the same send / sendControl / sendError interface as a
+ * panConnection, so it can live in agentRegistry and be targeted by
+ * direct messages and group broadcasts like any other agent. Control
+ * messages to and from special agents use the `agent_control` type.
+ *
+ * Groups are named two ways. join_group, leave_group and
+ * list_group_members take the plain group id, as they do for agents, and
+ * broadcasts delivered to a special agent carry the plain id too. Only the
+ * broadcasts a special agent sends name the group as `<node_id>:<group>`,
+ * since the peer port is not tied to one node's groups; the node accepts
+ * its own and strips the prefix before delivery.
+ */
 class AgentConnection {
-    constructor(ws, agentId, agentType, capabilities) {
+    constructor(ws, agentType, capabilities, details = {}) {
+        this.id = uuid.v4();
+        this.type = 'special';
         this.ws = ws;
-        this.agentId = agentId;
+        this.agentId = this.id;
         this.agentType = agentType;
         this.capabilities = capabilities;
+        this.name = details.agent_name || agentType;
+        this.vouchsafe_id = details.vouchsafe_id;
+        this.purposes = details.purposes || [];
 
         this.pendingReplies = new Map();
         this.localNodeId = panApp.getNodeId();
 
         ws.on('message', this._onMessage.bind(this));
         ws.on('close', () => {
-            log.info(`[agent] Agent disconnected: ${agentId} (${agentType})`);
+            log.info(`[agent] Agent disconnected: ${this.agentId} (${agentType})`);
         });
     }
 
-    _onMessage(data) {
+    async _onMessage(data) {
         let msg;
         try {
             msg = JSON.parse(data.toString());
@@ -28,35 +49,126 @@ class AgentConnection {
             return;
         }
 
-        if (validateIncomingAgentMessage(msg, this.localNodeId)) {
-            log.warn(`[agent] Protocol violation from agent ${this.agentId}: ${errors.join('; ')}`);
+        if (!validateIncomingSpecialAgentMessage(msg, this.localNodeId)) {
+            log.warn(`[agent] Protocol violation from agent ${this.agentId}`);
             this.ws.close();
             return;
         }
+
+        if (msg.from.conn_id !== this.id || msg.from.node_id !== this.localNodeId) {
+            log.error(`[agent] Special agent ${this.agentId} tried to send with a different from field, closing connection`);
+            this.ws.close();
+            return;
+        }
+
+        // Rewrite msg.from to be authoritative
+        msg.from = {
+            node_id: this.localNodeId,
+            conn_id: this.id
+        };
+
+        try {
+            await this._routeMessage(msg);
+        } catch (err) {
+            log.error(err);
+            this.sendError({ type: 'message_failure', message: 'Message could not be processed' }, msg);
+        }
     }
 
-    
-    sendMessage(msg) {
-        const errors = validateAgentMessage(msg, this.localNodeId);
-        if (errors) {
-            log.warn(`[agent] Protocol violation in sendMessage: ${this.agentId}: ${errors.join('; ')}`);
-        } else {
-            if (this.ws.readyState === this.ws.OPEN) {
-                this.ws.send(JSON.stringify(msg));
+    _routeMessage(msg) {
+        const agentRouter = panApp.use('agentRouter');
+
+        switch (msg.type) {
+            case 'agent_control':
+                if (msg.msg_type === 'auth_reply') {
+                    const agentAuthManager = panApp.use('agentAuthManager');
+                    return agentAuthManager.handleAuthAgentReply(msg, this.agentId);
+                }
+                return agentRouter.handleMessage(this, { ...msg, type: 'control' });
+
+            case 'direct': {
+                const capabilityRouter = panApp.use('capabilityRouter');
+                if (msg.in_response_to && capabilityRouter.handleProviderReply(this, msg)) {
+                    return;
+                }
+                if (!msg.to) {
+                    return this.sendError({
+                        type: 'unknown_request',
+                        message: 'in_response_to does not match an outstanding request'
+                    }, msg);
+                }
+                return agentRouter.deliverDirect(this, msg);
             }
-        } 
+
+            case 'broadcast': {
+                // <node_id>:<group>, see the class comment; only this
+                // node's groups are accepted.
+                const groupNodeId = msg.group.slice(0, 36);
+                if (groupNodeId !== this.localNodeId) {
+                    return this.sendError({
+                        type: 'invalid_group',
+                        message: 'special agents can only broadcast to groups on their own node'
+                    }, msg);
+                }
+                return agentRouter.deliverBroadcast(this, { ...msg, group: msg.group.slice(37) });
+            }
+        }
     }
 
-    sendWelcome(nodeId, sessionNonce) {
-        const welcomeMsg = {
+    /**
+     * Sends a message as-is. Assigns a msg_id if missing.
+     */
+    send(data) {
+        if (!data.msg_id) {
+            data.msg_id = uuid.v4();
+        }
+        this.sendMessage(data);
+    }
+
+    sendMessage(msg) {
+        if (this.ws.readyState === this.ws.OPEN) {
+            this.ws.send(JSON.stringify(msg));
+        }
+    }
+
+    /**
+     * Sends a control message (wrapped as type "agent_control").
+     */
+    sendControl(data, original = {}) {
+        this.sendMessage({
+            ...data,
             type: 'agent_control',
+            msg_id: data.msg_id || uuid.v4(),
+            from: { node_id: this.localNodeId, conn_id: this.localNodeId },
+            ttl: 0,
+            in_response_to: original.msg_id || undefined
+        });
+    }
+
+    /**
+     * Sends an error message (an agent_control with msg_type "error").
+     */
+    sendError(error, original = {}) {
+        const errorPayload = typeof error === 'string' ? { message: error } : { ...error };
+
+        delete errorPayload.type;
+        errorPayload.error_type = error.type || 'unknown';
+
+        this.sendControl({
+            msg_type: 'error',
+            payload: errorPayload
+        }, original);
+    }
+
+    sendWelcome(nodeId, sessionNonce) {
+        this.sendControl({
             msg_type: 'welcome',
             payload: {
                 node_id: nodeId,
+                conn_id: this.id,
                 session_nonce: sessionNonce
             }
-        };
-        this.sendMessage(welcomeMsg);
+        });
     }
 
     close() {
@@ -67,4 +179,3 @@ class AgentConnection {
 }
 
 module.exports = { AgentConnection };
-
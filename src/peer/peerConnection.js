@@ -1,12 +1,51 @@
+
+const uuid = require('uuid');
 const { validateIncomingPeerMessage } = require('../utils/validators');
 const { log } = require('../utils/log');
+const panApp = require('../panApp');
+
+/**
+ * Sends a peer_control message over a raw WebSocket connection.
+ * Used during the handshake, before a PeerConnection exists.
+ *
+ * @param {WebSocket} ws - Target socket
+ * @param {object} data - Message fields, must include msg_type and payload
+ * @param {object} original - Original message for context (optional)
+ */
+function rawSendPeerControl(ws, data, original = {}) {
+    const nodeId = panApp.getNodeId();
+
+    let new_msg = {
+        ttl: 0,
+        ...data,
+        type: 'peer_control',
+        msg_id: data.msg_id || uuid.v4(),
+        from: { node_id: nodeId, conn_id: nodeId },
+        in_response_to: original.msg_id || undefined,
+    };
+
+    log.verbose('[peer] Sending Data:', new_msg);
+
+    if (ws.readyState === ws.OPEN) {
+        ws.send(JSON.stringify(new_msg));
+    }
+}
 
 class PeerConnection {
-    constructor(ws, nodeId, router, details) {
+    /**
+     * @param {WebSocket} ws - Authenticated peer socket
+     * @param {string} nodeId - The remote node's node_id
+     * @param {object} router - Router receiving incoming messages (peerRouter)
+     * @param {object} details - Peer identity details from the handshake
+     * @param {string} direction - 'inbound' if the peer dialed us, 'outbound' if we dialed it
+     */
+    constructor(ws, nodeId, router, details, direction = 'inbound') {
         this.ws = ws;
         this.nodeId = nodeId;
         this.router = router;
         this.details = details;
+        this.direction = direction;
+        this.connectedAt = Date.now();
 
         ws.on('message', this._onMessage.bind(this));
         ws.on('close', () => {
@@ -25,7 +64,7 @@ class PeerConnection {
         }
 
         if (!validateIncomingPeerMessage(msg)) {
-            log.warn(`[peer] Protocol violation from peer ${this.nodeId}: ${errors.join('; ')}`);
+            log.warn(`[peer] Protocol violation from peer ${this.nodeId}`);
             this.ws.close();
             return;
         }
@@ -33,12 +72,32 @@ class PeerConnection {
         this.router.handleIncomingMessage(this.nodeId, msg);
     }
 
+    /**
+     * Returns the node_id of whichever side dialed this connection.
+     * Both ends compute the same value, which lets them agree on
+     * which of two duplicate connections to keep.
+     */
+    getDialerNodeId() {
+        return this.direction === 'outbound' ? panApp.getNodeId() : this.nodeId;
+    }
+
+    isOpen() {
+        return this.ws.readyState === this.ws.OPEN;
+    }
+
     sendMessage(msg) {
         if (this.ws.readyState === this.ws.OPEN) {
             this.ws.send(JSON.stringify(msg));
         }
     }
 
+    /**
+     * Sends a peer_control message to this peer.
+     */
+    sendControl(data, original = {}) {
+        return rawSendPeerControl(this.ws, data, original);
+    }
+
     close() {
         if (this.ws.readyState === this.ws.OPEN) {
             this.ws.close();
@@ -46,5 +105,4 @@ class PeerConnection {
     }
 }
 
-module.exports = { PeerConnection };
-
+module.exports = { PeerConnection, rawSendPeerControl };
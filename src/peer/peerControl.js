@@ -0,0 +1,491 @@
+// peer/peerControl.js
+//
+// Handlers for peer_control messages addressed to this node.
+// Link-local control (hello, routing) and routed control (delivery
+// acks and failures, ...) both end up here once peerRouter has decided the
+// message is for us.
+//
+// Pings and traceroute probes are the exception: they are handled at
+// every hop so each node can record itself and report ttl expiry.
+const uuid = require('uuid');
+const panApp = require('../panApp');
+const { log } = require('../utils/log');
+
+const PING_TIMEOUT_MS = 10000;
+
+const TRACEROUTE_TIMEOUT_MS = 10000;
+
+const pendingPings = new Map(); // ping_id → { conn_id, msg, sent, timeout }
+
+const pendingTraces = new Map(); // trace_id → { conn_id, msg, sent, hops, final, timeout }
+
+// --- Ping ---
+
+/**
+ * Handles `outbound:agent_ping` from agentControl: starts a ping on
+ * behalf of a local agent. The reply is sent back to the agent as a
+ * `ping_response` control message.
+ *
+ * The ping gets this node's hop budget; one the agent sent with ttl 0
+ * does not leave the node.
+ *
+ * @param {object} event - { from, message }
+ */
+function startAgentPing({ from, message }) {
+    const nodeId = panApp.getNodeId();
+    const pingId = uuid.v4();
+
+    const timeout = setTimeout(() => {
+        finishPing(pingId, { status: 'timeout', node_id: message.payload.dest_node_id });
+    }, PING_TIMEOUT_MS);
+
+    pendingPings.set(pingId, {
+        conn_id: from.id,
+        msg: message,
+        sent: Date.now(),
+        timeout
+    });
+
+    // Handle it as if it had just arrived here; the origin is hop zero.
+    handlePing(nodeId, {
+        type: 'peer_control',
+        msg_type: 'ping',
+        msg_id: uuid.v4(),
+        from: { node_id: nodeId, conn_id: nodeId },
+        ttl: message.ttl > 0 ? panApp.use('peerRouter').getMaxHops() : 0,
+        payload: {
+            ping_id: pingId,
+            dest_node_id: message.payload.dest_node_id,
+            msg: message.payload.msg,
+            path: []
+        }
+    });
+}
+
+/**
+ * Sends the result of a ping back to the node that started it.
+ */
+function replyToPing(msg, path, status) {
+    const peerRouter = panApp.use('peerRouter');
+
+    peerRouter.sendToNode(msg.from.node_id, {
+        msg_type: 'ping_response',
+        payload: {
+            ping_id: msg.payload.ping_id,
+            status,
+            node_id: panApp.getNodeId(),
+            hops: path.length - 1,
+            path,
+            msg: msg.payload.msg
+        }
+    });
+}
+
+/**
+ * A ping passing through (or arriving at) this node. Answers it if we are
+ * the destination, otherwise forwards it one hop, or reports why it can't go on.
+ */
+function handlePing(peerId, msg) {
+    const nodeId = panApp.getNodeId();
+    const peerRouter = panApp.use('peerRouter');
+    const { ping_id, dest_node_id, path } = msg.payload;
+
+    if (typeof ping_id !== 'string' || typeof dest_node_id !== 'string' || !Array.isArray(path)) {
+        log.warn(`[peerControl] Malformed ping from ${peerId}`);
+        return;
+    }
+
+    if (path.includes(nodeId)) {
+        log.warn(`[peerControl] Dropping looped ping ${ping_id}`);
+        return;
+    }
+
+    const hopPath = [...path, nodeId];
+
+    if (dest_node_id === nodeId) {
+        return replyToPing(msg, hopPath, 'ok');
+    }
+
+    if (!(msg.ttl > 0)) {
+        return replyToPing(msg, hopPath, 'ttl_expired');
+    }
+
+    const route = peerRouter.getRoute(dest_node_id);
+
+    if (!route) {
+        return replyToPing(msg, hopPath, 'unreachable');
+    }
+
+    route.peer.sendMessage({
+        ...msg,
+        ttl: msg.ttl - 1,
+        payload: { ...msg.payload, path: hopPath }
+    });
+}
+
+function handlePingResponse(peerId, msg) {
+    const { ping_id, status, node_id, hops, path } = msg.payload;
+
+    finishPing(ping_id, { status, node_id, hops, path });
+}
+
+/**
+ * Completes a pending ping and reports the result to the agent that sent it.
+ */
+function finishPing(pingId, result) {
+    const pending = pendingPings.get(pingId);
+
+    if (!pending) {
+        return;
+    }
+
+    clearTimeout(pending.timeout);
+    pendingPings.delete(pingId);
+
+    const agentRegistry = panApp.use('agentRegistry');
+    const conn = agentRegistry.getAgent(pending.conn_id);
+
+    if (!conn) {
+        return;
+    }
+
+    conn.sendControl({
+        msg_type: 'ping_response',
+        payload: {
+            ...result,
+            rtt_ms: Date.now() - pending.sent,
+            msg: pending.msg.payload.msg
+        }
+    }, pending.msg);
+}
+
+// --- Message Handlers ---
+
+/**
+ * A direct message one of our agents sent could not be delivered.
+ * Pass the failure on to the agent, keyed by the original msg_id,
+ * unless the message is acked and will be resent.
+ */
+function handleDeliveryFailed(peerId, msg) {
+    const deliveryTracker = panApp.use('deliveryTracker');
+    if (deliveryTracker.handleFailure(msg.payload.msg_id, msg.payload.reason)) {
+        log.debug(`[peerControl] delivery_failed (${msg.payload.reason}) for ${msg.payload.msg_id}, will retry`);
+        return;
+    }
+
+    panApp.use('requestTracker').cancel(msg.payload.msg_id);
+
+    const agentRegistry = panApp.use('agentRegistry');
+    const conn = agentRegistry.getAgent(msg.to?.conn_id);
+
+    if (!conn) {
+        log.debug(`[peerControl] delivery_failed for unknown agent ${msg.to?.conn_id}`);
+        return;
+    }
+
+    conn.sendControl({
+        msg_type: 'delivery_failed',
+        payload: {
+            msg_id: msg.payload.msg_id,
+            to: msg.payload.to,
+            reason: msg.payload.reason,
+            node_id: msg.from.node_id
+        }
+    }, { msg_id: msg.payload.msg_id });
+}
+
+/**
+ * The target's node delivered an `ack_required` message one of our
+ * agents sent.
+ */
+function handleDeliveryAck(peerId, msg) {
+    const deliveryTracker = panApp.use('deliveryTracker');
+    deliveryTracker.acknowledge(msg.payload.msg_id, msg.from.node_id);
+}
+
+/**
+ * A group membership change flooded from another node.
+ */
+function handleGroupPresence(peerId, msg) {
+    const peerRouter = panApp.use('peerRouter');
+
+    if (msg.to || !peerRouter.acceptFlooded(peerId, msg)) {
+        return;
+    }
+
+    panApp.use('groupPresence').handleRemotePresence(msg.payload);
+}
+
+/**
+ * Another node is looking for agents. Answer with our matches, if any.
+ */
+function handleDirectoryQuery(peerId, msg) {
+    const peerRouter = panApp.use('peerRouter');
+    const { query_id, query } = msg.payload || {};
+
+    if (msg.to || !peerRouter.acceptFlooded(peerId, msg)) {
+        return;
+    }
+
+    const agentDirectory = panApp.use('agentDirectory');
+    const parsed = query && typeof query === 'object' ? agentDirectory.parseQuery(query) : {};
+
+    if (typeof query_id !== 'string' || !parsed.query) {
+        log.warn(`[peerControl] Malformed directory_query from ${msg.from.node_id}`);
+        return;
+    }
+
+    const agents = agentDirectory.search(parsed.query);
+
+    if (agents.length > 0) {
+        peerRouter.sendToNode(msg.from.node_id, {
+            msg_type: 'directory_reply',
+            payload: { query_id, agents }
+        });
+    }
+}
+
+function handleDirectoryReply(peerId, msg) {
+    panApp.use('agentDirectory').addRemoteResults(msg.payload?.query_id, msg.payload?.agents);
+}
+
+/**
+ * A directly connected peer sent us its routing table.
+ */
+function handleRouteAdvertisement(peerId, msg) {
+    if (msg.to) {
+        log.warn(`[peerControl] Ignoring routed route_advertisement from ${msg.from.node_id}`);
+        return;
+    }
+
+    const peerRouter = panApp.use('peerRouter');
+    peerRouter.updateRoutingTable(peerId, msg.payload);
+}
+
+// --- Traceroute ---
+
+/**
+ * Handles `outbound:agent_traceroute` from agentControl. A single probe
+ * walks the route to the destination; every node it passes reports back
+ * to us, and the collected hops go to the agent as a `traceroute_response`.
+ *
+ * Each hop is reported with `rtt_ms`, measured here from sending the probe
+ * to receiving that hop's report, and `latency_ms`, the part of it added
+ * by that hop: its rtt_ms less the previous hop's. The probe gets this
+ * node's hop budget; one the agent sent with ttl 0 does not leave the node.
+ *
+ * @param {object} event - { from, message }
+ */
+function startAgentTraceroute({ from, message }) {
+    const nodeId = panApp.getNodeId();
+    const traceId = uuid.v4();
+
+    const timeout = setTimeout(() => {
+        finishTraceroute(traceId, 'timeout');
+    }, TRACEROUTE_TIMEOUT_MS);
+
+    pendingTraces.set(traceId, {
+        conn_id: from.id,
+        msg: message,
+        sent: Date.now(),
+        hops: new Map(),
+        final: null,
+        timeout
+    });
+
+    handleTraceroute(nodeId, {
+        type: 'peer_control',
+        msg_type: 'traceroute',
+        msg_id: uuid.v4(),
+        from: { node_id: nodeId, conn_id: nodeId },
+        ttl: message.ttl > 0 ? panApp.use('peerRouter').getMaxHops() : 0,
+        payload: {
+            trace_id: traceId,
+            dest_node_id: message.payload.dest_node_id,
+            hop: 0,
+            peer_name: null
+        }
+    });
+}
+
+/**
+ * A traceroute probe reaching this node. Reports this hop to the origin
+ * and passes the probe on, stamped with the next hop's peer name as this
+ * node knows it from the peer handshake.
+ */
+function handleTraceroute(peerId, msg) {
+    const nodeId = panApp.getNodeId();
+    const peerRouter = panApp.use('peerRouter');
+    const { trace_id, dest_node_id, hop, peer_name } = msg.payload;
+
+    if (typeof trace_id !== 'string' || typeof dest_node_id !== 'string' || !Number.isInteger(hop)) {
+        log.warn(`[peerControl] Malformed traceroute probe from ${peerId}`);
+        return;
+    }
+
+    let status = 'transit';
+    let route = null;
+
+    if (dest_node_id === nodeId) {
+        status = 'reached';
+    } else if (!(msg.ttl > 0)) {
+        status = 'ttl_expired';
+    } else {
+        route = peerRouter.getRoute(dest_node_id);
+        if (!route) {
+            status = 'unreachable';
+        }
+    }
+
+    peerRouter.sendToNode(msg.from.node_id, {
+        msg_type: 'traceroute_hop',
+        payload: {
+            trace_id,
+            hop,
+            node_id: nodeId,
+            peer_name,
+            status
+        }
+    });
+
+    if (route) {
+        route.peer.sendMessage({
+            ...msg,
+            ttl: msg.ttl - 1,
+            payload: {
+                ...msg.payload,
+                hop: hop + 1,
+                peer_name: route.peer.details?.peer_name || null
+            }
+        });
+    }
+}
+
+function handleTracerouteHop(peerId, msg) {
+    const { trace_id, hop, node_id, peer_name, status } = msg.payload;
+    const pending = pendingTraces.get(trace_id);
+
+    if (!pending || !Number.isInteger(hop)) {
+        return;
+    }
+
+    // hop 0 is this node; it is only reported when the probe never left.
+    if (hop > 0) {
+        pending.hops.set(hop, {
+            hop,
+            node_id,
+            peer_name,
+            rtt_ms: Date.now() - pending.sent
+        });
+    }
+
+    if (status !== 'transit') {
+        pending.final = { hop, status };
+    }
+
+    // Reports travel back independently, so the last hop may arrive first.
+    if (pending.final && pending.hops.size >= pending.final.hop) {
+        finishTraceroute(trace_id, pending.final.status);
+    }
+}
+
+/**
+ * Completes a pending traceroute and reports it to the agent that asked.
+ */
+function finishTraceroute(traceId, status) {
+    const pending = pendingTraces.get(traceId);
+
+    if (!pending) {
+        return;
+    }
+
+    clearTimeout(pending.timeout);
+    pendingTraces.delete(traceId);
+
+    const agentRegistry = panApp.use('agentRegistry');
+    const conn = agentRegistry.getAgent(pending.conn_id);
+
+    if (!conn) {
+        return;
+    }
+
+    // Reports race each other back, so a hop can seem quicker than the one
+    // before it; its latency then counts as 0.
+    let previousRtt = 0;
+    const hops = Array.from(pending.hops.values())
+        .sort((a, b) => a.hop - b.hop)
+        .map((hop) => {
+            const latency = Math.max(hop.rtt_ms - previousRtt, 0);
+            previousRtt = Math.max(hop.rtt_ms, previousRtt);
+            return { ...hop, latency_ms: latency };
+        });
+
+    conn.sendControl({
+        msg_type: 'traceroute_response',
+        payload: {
+            status,
+            dest_node_id: pending.msg.payload.dest_node_id,
+            hops
+        }
+    }, pending.msg);
+}
+
+function processPeerControl(peerId, msg) {
+    switch (msg.msg_type) {
+        case 'route_advertisement':
+            handleRouteAdvertisement(peerId, msg);
+            break;
+        case 'delivery_failed':
+            handleDeliveryFailed(peerId, msg);
+            break;
+        case 'delivery_ack':
+            handleDeliveryAck(peerId, msg);
+            break;
+        case 'group_presence':
+            handleGroupPresence(peerId, msg);
+            break;
+        case 'directory_query':
+            handleDirectoryQuery(peerId, msg);
+            break;
+        case 'directory_reply':
+            handleDirectoryReply(peerId, msg);
+            break;
+        case 'ping':
+            handlePing(peerId, msg);
+            break;
+        case 'ping_response':
+            handlePingResponse(peerId, msg);
+            break;
+        case 'traceroute':
+            handleTraceroute(peerId, msg);
+            break;
+        case 'traceroute_hop':
+            handleTracerouteHop(peerId, msg);
+            break;
+        default:
+            log.warn(`[peerControl] Unknown peer_control msg_type from ${peerId}: ${msg.msg_type}`);
+            break;
+    }
+}
+
+/**
+ * Abandons in-flight pings and traceroutes on shutdown.
+ */
+function shutdown() {
+    for (const pending of pendingPings.values()) {
+        clearTimeout(pending.timeout);
+    }
+    pendingPings.clear();
+
+    for (const pending of pendingTraces.values()) {
+        clearTimeout(pending.timeout);
+    }
+    pendingTraces.clear();
+}
+
+module.exports = {
+    processPeerControl,
+    startAgentPing,
+    startAgentTraceroute,
+    shutdown
+};
@@ -23,10 +23,35 @@ function initialize(config = {}) {
         peers.set(nodeId, peerConnection);
     }
 
+    /**
+     * Removes a peer connection. If a connection is given, the peer is only
+     * removed when it is still the registered one, so a replaced duplicate
+     * closing late does not unregister its successor.
+     *
+     * @param {string} nodeId
+     * @param {object} [peerConnection]
+     * @returns {boolean} true if a peer was removed
+     */
+    function unregisterPeer(nodeId, peerConnection) {
+        if (peerConnection && peers.get(nodeId) !== peerConnection) {
+            return false;
+        }
+        return peers.delete(nodeId);
+    }
+
     function getPeer(nodeId) {
         return peers.get(nodeId);
     }
 
+    /**
+     * Returns all registered peer connections.
+     *
+     * @returns {object[]}
+     */
+    function getPeers() {
+        return Array.from(peers.values());
+    }
+
     /**
      * Returns the number of currently registered peer nodes.
      *
@@ -43,12 +68,13 @@ function initialize(config = {}) {
      */
     async function shutdown() {
         peers.clear();
-        nodeSecrets.clear();
     }
 
     return {
         registerPeer,
+        unregisterPeer,
         getPeer,
+        getPeers,
         getPeerCount,
         shutdown
     };
@@ -6,7 +6,10 @@
  * - On startup, loads or generates a node ID.
  * - Optionally persists the ID to disk to ensure stability across restarts.
  * - Allows updates to the node ID under specific conditions.
- * - Includes placeholders for future routing and handshake logic.
+ * - Keeps the routing table: which peer reaches which node_id, in how many hops,
+ *   learned from periodic distance-vector advertisements between peers.
+ * - Relays agent broadcasts to and from peer nodes, dropping duplicates.
+ * - Forwards direct messages and routed peer_control messages hop by hop.
  */
 
 const { v4: uuidv4, v5: uuidv5, validate: isUuid } = require('uuid');
@@ -14,10 +17,20 @@ const fs = require('fs');
 const path = require('path');
 const panApp = require('../panApp');
 const peerStatus = require('./peerStatus');
+const peerControl = require('./peerControl');
+const nodeMessages = require('../utils/nodeMessages');
+const { createSeenCache } = require('../utils/seenCache');
+const metrics = require('../utils/metrics');
 const { log } = require('../utils/log');
 
 const PAN_ROOT_ID = "219dd24f-63c4-5e35-b886-da1b21ecc0e0";
 
+// Hop budget (ttl) for messages this node sends into the mesh: routed
+// control messages, and agent messages leaving this node. Agents only
+// choose whether a message may leave their node (ttl 0 or 1); how far it
+// travels is up to the nodes (peer_router.max_hops).
+const DEFAULT_MAX_HOPS = 32;
+
 const setNodeId = peerStatus.getNodeIdSetter();
 
 let nodeId = null;
@@ -26,6 +39,505 @@ let persistPath = null;
 
 let didGenerate = false;
 
+let maxHops = DEFAULT_MAX_HOPS;
+
+// msg_ids of broadcasts we have already delivered or relayed
+let seenBroadcasts = createSeenCache();
+
+// Routes are exchanged as a distance vector (DSDV style):
+//
+// - Every node periodically advertises the routes it knows to each peer,
+//   with a hop count and the destination's sequence number.
+// - A node's own sequence number is even and grows with each advertisement
+//   round. When a link breaks, routes through it are marked unreachable
+//   (hops = ROUTE_INFINITY) and their sequence number is bumped to the next
+//   odd value, so stale copies still circulating at the old sequence number
+//   can not resurrect them. The destination's next even number replaces it.
+// - Split horizon with poison reverse: routes learned from a peer are
+//   advertised back to it as unreachable.
+// - Routes not refreshed within route_timeout are expired the same way, and
+//   unreachable entries are forgotten after another route_timeout.
+
+const ROUTE_INFINITY = 32;
+const DEFAULT_ADVERTISE_SECONDS = 15;
+
+// destination node_id → { node_id, via, hops, seq, updated }
+const routes = new Map();
+
+// Seeded from the clock so a restarted node's routes supersede its old ones.
+let ownSeq = Math.floor(Date.now() / 1000) * 2;
+
+let advertiseIntervalMs = DEFAULT_ADVERTISE_SECONDS * 1000;
+
+let routeTimeoutMs = advertiseIntervalMs * 3;
+
+let advertiseTimer = null;
+
+let triggeredUpdateTimer = null;
+
+function setRoute(destId, via, hops, seq) {
+  routes.set(destId, { node_id: destId, via, hops, seq, updated: Date.now() });
+}
+
+/**
+ * Marks a route unreachable and bumps it to the next odd sequence number.
+ */
+function invalidateRoute(route) {
+  route.hops = ROUTE_INFINITY;
+  route.seq = route.seq % 2 === 0 ? route.seq + 1 : route.seq;
+  route.updated = Date.now();
+}
+
+/**
+ * Looks up the route to a node, along with the peer connection to send on.
+ *
+ * @param {string} destId - Destination node_id
+ * @returns {object|null} { node_id, via, hops, seq, updated, peer }
+ */
+function getRoute(destId) {
+  const peerRegistry = panApp.use('peerRegistry');
+  const route = routes.get(destId);
+
+  if (!route || route.hops >= ROUTE_INFINITY) {
+    return null;
+  }
+
+  const peer = peerRegistry.getPeer(route.via);
+
+  if (!peer || !peer.isOpen()) {
+    return null;
+  }
+
+  return { ...route, peer };
+}
+
+/**
+ * Builds the route advertisement for one peer, applying poison reverse.
+ *
+ * @param {string} peerId
+ * @returns {object} route_advertisement payload
+ */
+function buildAdvertisement(peerId) {
+  const advertised = [{ node_id: nodeId, hops: 0, seq: ownSeq }];
+
+  for (const route of routes.values()) {
+    advertised.push({
+      node_id: route.node_id,
+      hops: route.via === peerId ? ROUTE_INFINITY : route.hops,
+      seq: route.seq
+    });
+  }
+
+  return { routes: advertised };
+}
+
+function advertiseTo(peer) {
+  peer.sendControl({
+    msg_type: 'route_advertisement',
+    payload: buildAdvertisement(peer.nodeId)
+  });
+}
+
+function advertiseToAll() {
+  const peerRegistry = panApp.use('peerRegistry');
+
+  for (const peer of peerRegistry.getPeers()) {
+    if (peer.isOpen()) {
+      advertiseTo(peer);
+    }
+  }
+}
+
+/**
+ * Sends an advertisement round soon, so broken routes propagate without
+ * waiting for the next periodic round. Several changes close together
+ * produce one update.
+ */
+function scheduleTriggeredUpdate() {
+  if (triggeredUpdateTimer) {
+    return;
+  }
+  triggeredUpdateTimer = setTimeout(() => {
+    triggeredUpdateTimer = null;
+    advertiseToAll();
+  }, 250);
+}
+
+/**
+ * Periodic round: expire stale routes, then advertise with a new sequence number.
+ */
+function performRouteMaintenance() {
+  const now = Date.now();
+
+  for (const [destId, route] of routes) {
+    if (now - route.updated <= routeTimeoutMs) {
+      continue;
+    }
+    if (route.hops >= ROUTE_INFINITY) {
+      routes.delete(destId);
+    } else {
+      log.info(`[peerRouter] Route to ${destId} via ${route.via} expired`);
+      invalidateRoute(route);
+    }
+  }
+
+  ownSeq += 2;
+  advertiseToAll();
+}
+
+/**
+ * Records a newly authenticated peer as a one hop route and sends it
+ * our routing table right away.
+ *
+ * @param {object} peerInfo - { node_id, details } from the peer hello.
+ */
+function handlePeerHello(peerInfo) {
+  const peerRegistry = panApp.use('peerRegistry');
+  const existing = routes.get(peerInfo.node_id);
+
+  setRoute(peerInfo.node_id, peerInfo.node_id, 1, existing ? existing.seq : 0);
+  log.info(`[peerRouter] Route added: ${peerInfo.node_id} is a direct peer`);
+
+  const peer = peerRegistry.getPeer(peerInfo.node_id);
+  if (peer) {
+    advertiseTo(peer);
+  }
+}
+
+/**
+ * Merges a peer's route advertisement into the routing table.
+ *
+ * An advertised route is taken if its sequence number is newer than ours,
+ * or if it is as new and either shorter or from the peer we already route
+ * through (that peer's view of its own path is always the current one).
+ *
+ * @param {string} peerId - Peer the routes were learned from
+ * @param {object} routingInfo - { routes: [{ node_id, hops, seq }] }
+ */
+function updateRoutingTable(peerId, routingInfo = {}) {
+  const advertised = Array.isArray(routingInfo.routes) ? routingInfo.routes : [];
+  let lostRoute = false;
+
+  for (const { node_id: destId, hops, seq } of advertised) {
+    if (!isUuid(destId) || destId === nodeId || !Number.isInteger(hops) || !Number.isInteger(seq)) {
+      continue;
+    }
+
+    const viaHops = Math.min(hops + 1, ROUTE_INFINITY);
+    const existing = routes.get(destId);
+
+    if (!existing) {
+      if (viaHops < ROUTE_INFINITY) {
+        setRoute(destId, peerId, viaHops, seq);
+      }
+      continue;
+    }
+
+    const newer = seq > existing.seq;
+    const sameAge = seq === existing.seq;
+
+    if (newer || (sameAge && (existing.via === peerId || viaHops < existing.hops))) {
+      if (viaHops >= ROUTE_INFINITY && existing.hops < ROUTE_INFINITY) {
+        lostRoute = true;
+      }
+      setRoute(destId, peerId, viaHops, seq);
+    }
+  }
+
+  if (lostRoute) {
+    scheduleTriggeredUpdate();
+  }
+}
+
+function handlePeerDisconnected({ node_id: peerId }) {
+  for (const route of routes.values()) {
+    if (route.via === peerId && route.hops < ROUTE_INFINITY) {
+      invalidateRoute(route);
+    }
+  }
+  log.info(`[peerRouter] Routes via ${peerId} marked unreachable`);
+  scheduleTriggeredUpdate();
+}
+
+/**
+ * Sends a routed peer message one hop closer to msg.to.node_id,
+ * consuming one ttl.
+ *
+ * @param {object} msg - Peer message with a `to` field
+ * @returns {string} 'sent', 'no_route' or 'ttl_expired'
+ */
+function forwardRouted(msg) {
+  if (!(msg.ttl > 0)) {
+    return 'ttl_expired';
+  }
+
+  const route = getRoute(msg.to.node_id);
+
+  if (!route) {
+    return 'no_route';
+  }
+
+  route.peer.sendMessage({ ...msg, ttl: msg.ttl - 1 });
+  return 'sent';
+}
+
+/**
+ * Sends a peer_control message to any node in the network.
+ * Messages addressed to this node are handled locally.
+ *
+ * @param {string} destId - Destination node_id
+ * @param {object} data - Message fields; msg_type and payload are required
+ * @returns {string} 'sent', 'no_route' or 'ttl_expired'
+ */
+function sendToNode(destId, data) {
+  const msg = {
+    ttl: maxHops,
+    ...data,
+    type: 'peer_control',
+    msg_id: data.msg_id || uuidv4(),
+    from: { node_id: nodeId, conn_id: nodeId },
+    to: { node_id: destId, conn_id: destId, ...data.to }
+  };
+
+  if (destId === nodeId) {
+    peerControl.processPeerControl(nodeId, msg);
+    return 'sent';
+  }
+
+  return forwardRouted(msg);
+}
+
+/**
+ * Confirms to the sending node that an `ack_required` direct message
+ * reached its target agent.
+ *
+ * @param {object} msg - The delivered direct message
+ */
+function notifyDelivered(msg) {
+  const status = sendToNode(msg.from.node_id, {
+    msg_type: 'delivery_ack',
+    to: { node_id: msg.from.node_id, conn_id: msg.from.conn_id },
+    payload: {
+      msg_id: msg.msg_id,
+      to: msg.to
+    }
+  });
+
+  if (status !== 'sent') {
+    log.debug(`[peerRouter] Could not acknowledge delivery of ${msg.msg_id}: ${status}`);
+  }
+}
+
+/**
+ * Tells the sender of a direct message that it could not be delivered.
+ *
+ * @param {object} msg - The undeliverable direct message
+ * @param {string} reason - 'no_route', 'ttl_expired', 'unknown_agent',
+ *        'request_expired' or 'unknown_request'
+ */
+function notifyDeliveryFailed(msg, reason) {
+  const status = sendToNode(msg.from.node_id, {
+    msg_type: 'delivery_failed',
+    to: { node_id: msg.from.node_id, conn_id: msg.from.conn_id },
+    payload: {
+      msg_id: msg.msg_id,
+      to: msg.to,
+      reason
+    }
+  });
+
+  if (status !== 'sent') {
+    log.debug(`[peerRouter] Could not report failed delivery of ${msg.msg_id}: ${status}`);
+  }
+}
+
+/**
+ * Handles `outbound:agent_direct` from agentRouter: a local agent sent
+ * a direct message to an agent on another node.
+ *
+ * The peer_direct gets this node's hop budget; a message the agent sent
+ * with ttl 0 may not leave the node and fails with 'ttl_expired'.
+ *
+ * @param {object} event - { from, message }
+ */
+function relayAgentDirect({ message }) {
+  const status = forwardRouted({
+    type: 'peer_direct',
+    msg_id: message.msg_id,
+    from: message.from,
+    to: message.to,
+    msg_type: message.msg_type,
+    in_response_to: message.in_response_to,
+    ack_required: message.ack_required,
+    payload: message.payload,
+    ttl: message.ttl > 0 ? maxHops : 0
+  });
+
+  if (status !== 'sent') {
+    log.debug(`[peerRouter] Direct message ${message.msg_id} to ${message.to.node_id} not sent: ${status}`);
+    notifyDeliveryFailed(message, status);
+  }
+}
+
+/**
+ * Handles a direct message arriving from a peer: delivers it if the
+ * target agent is ours, otherwise passes it along toward its node.
+ *
+ * @param {string} peerId - node_id of the peer it came from
+ * @param {object} msg - peer_direct message
+ */
+function handlePeerDirect(peerId, msg) {
+  if (msg.to.node_id === nodeId) {
+    const status = panApp.use('agentRouter').deliverLocalDirect(msg);
+
+    if (status !== 'delivered') {
+      notifyDeliveryFailed(msg, status);
+    } else if (msg.ack_required) {
+      notifyDelivered(msg);
+    }
+    return;
+  }
+
+  const status = forwardRouted(msg);
+
+  if (status !== 'sent') {
+    notifyDeliveryFailed(msg, status);
+  }
+}
+
+/**
+ * Sends a peer message to every connected peer except the one it came from.
+ *
+ * @param {object} msg - Peer message
+ * @param {string|null} exceptPeerId - node_id of the peer to skip
+ */
+function floodToPeers(msg, exceptPeerId) {
+  const peerRegistry = panApp.use('peerRegistry');
+
+  for (const peer of peerRegistry.getPeers()) {
+    if (peer.nodeId !== exceptPeerId) {
+      peer.sendMessage(msg);
+    }
+  }
+}
+
+/**
+ * Handles `outbound:agent_broadcast` from agentRouter, forwarding a
+ * locally originated broadcast to our peers.
+ *
+ * The flood gets this node's hop budget, less the hop to our peers.
+ * A broadcast sent with ttl 0 stays on the local node.
+ *
+ * @param {object} event - { from, message }
+ */
+function relayAgentBroadcast({ message }) {
+  seenBroadcasts.add(message.msg_id);
+
+  if (!(message.ttl > 0)) {
+    return;
+  }
+
+  floodToPeers({
+    type: 'peer_broadcast',
+    msg_id: message.msg_id,
+    from: message.from,
+    group: message.group,
+    msg_type: message.msg_type,
+    payload: message.payload,
+    ttl: maxHops - 1
+  }, null);
+}
+
+/**
+ * Handles a broadcast relayed in from a peer: delivers it to local group
+ * subscribers and keeps flooding it while ttl remains.
+ *
+ * @param {string} peerId - node_id of the peer it came from
+ * @param {object} msg - peer_broadcast message
+ */
+function handlePeerBroadcast(peerId, msg) {
+  if (seenBroadcasts.checkAndAdd(msg.msg_id)) {
+    log.debug(`[peerRouter] Dropping duplicate broadcast ${msg.msg_id} from ${peerId}`);
+    return;
+  }
+
+  const agentRouter = panApp.use('agentRouter');
+
+  agentRouter.deliverLocalBroadcast({
+    type: 'broadcast',
+    msg_id: msg.msg_id,
+    from: msg.from,
+    group: msg.group,
+    msg_type: msg.msg_type,
+    payload: msg.payload,
+    ttl: msg.ttl
+  });
+
+  if (msg.ttl > 0) {
+    floodToPeers({ ...msg, ttl: msg.ttl - 1 }, peerId);
+  }
+}
+
+/**
+ * Handles `outbound:group_presence` from groupPresence: floods a local
+ * membership change to the whole mesh as a `group_presence` peer_control.
+ *
+ * @param {object} presence - { event, group, member }
+ */
+function relayGroupPresence(presence) {
+  const msg = {
+    type: 'peer_control',
+    msg_id: uuidv4(),
+    from: { node_id: nodeId, conn_id: nodeId },
+    msg_type: 'group_presence',
+    payload: presence,
+    ttl: maxHops
+  };
+
+  seenBroadcasts.add(msg.msg_id);
+  floodToPeers(msg, null);
+}
+
+/**
+ * Handles `outbound:directory_query` from agentDirectory: asks every
+ * other node for agents matching a local agent's query.
+ *
+ * @param {object} event - { query_id, query }
+ */
+function relayDirectoryQuery({ query_id, query }) {
+  const msg = {
+    type: 'peer_control',
+    msg_id: uuidv4(),
+    from: { node_id: nodeId, conn_id: nodeId },
+    msg_type: 'directory_query',
+    payload: { query_id, query },
+    ttl: maxHops
+  };
+
+  seenBroadcasts.add(msg.msg_id);
+  floodToPeers(msg, null);
+}
+
+/**
+ * Takes in a flooded peer_control message: drops repeats and passes
+ * it on to our other peers while ttl remains.
+ *
+ * @param {string} peerId - node_id of the peer it came from
+ * @param {object} msg - peer_control message
+ * @returns {boolean} false if we have seen the message before
+ */
+function acceptFlooded(peerId, msg) {
+  if (seenBroadcasts.checkAndAdd(msg.msg_id)) {
+    return false;
+  }
+
+  if (msg.ttl > 0) {
+    floodToPeers({ ...msg, ttl: msg.ttl - 1 }, peerId);
+  }
+
+  return true;
+}
+
 /**
  * Persists the current node ID to the configured file path.
  * Ensures the ID is a valid UUID before writing.
@@ -102,6 +614,26 @@ async function initialize(config = {}) {
 
   setNodeId(nodeId);
 
+  maxHops = config.max_hops || DEFAULT_MAX_HOPS;
+
+  seenBroadcasts = createSeenCache({
+    window_seconds: config.dedupe_window_seconds,
+    max_entries: config.dedupe_max_entries
+  });
+
+  nodeMessages.on('outbound:agent_broadcast', relayAgentBroadcast);
+  nodeMessages.on('outbound:agent_direct', relayAgentDirect);
+  nodeMessages.on('outbound:agent_ping', peerControl.startAgentPing);
+  nodeMessages.on('outbound:agent_traceroute', peerControl.startAgentTraceroute);
+  nodeMessages.on('outbound:group_presence', relayGroupPresence);
+  nodeMessages.on('outbound:directory_query', relayDirectoryQuery);
+  nodeMessages.on('peer:connected', handlePeerHello);
+  nodeMessages.on('peer:disconnected', handlePeerDisconnected);
+
+  advertiseIntervalMs = (config.route_advertise_seconds || DEFAULT_ADVERTISE_SECONDS) * 1000;
+  routeTimeoutMs = (config.route_timeout_seconds || 0) * 1000 || advertiseIntervalMs * 3;
+  advertiseTimer = setInterval(performRouteMaintenance, advertiseIntervalMs);
+
   return {
     /**
      * Returns the current node ID.
@@ -109,23 +641,63 @@ async function initialize(config = {}) {
     getNodeId: () => nodeId,
 
     /**
-     * Placeholder for future peer handshake logic.
+     * Returns the ttl this node gives messages it sends into the mesh
+     * (peer_router.max_hops).
+     */
+    getMaxHops: () => maxHops,
+
+    /**
+     * Entry point for messages arriving on an authenticated peer link.
      *
-     * @param {object} peerInfo - Information from a peer's hello message.
+     * @param {string} peerId - node_id of the peer the message came from
+     * @param {object} msg - Validated peer message
      */
-    handlePeerHello: (peerInfo) => {
-      // Future: handshake validation, etc.
+    handleIncomingMessage: (peerId, msg) => {
+      metrics.inc('pan_messages_routed_total', { type: msg.type, source: 'peer' });
+
+      switch (msg.type) {
+        case 'peer_control':
+          if (msg.to && msg.to.node_id !== nodeId) {
+            const status = forwardRouted(msg);
+            if (status !== 'sent') {
+              log.debug(`[peerRouter] Dropping routed ${msg.msg_type} for ${msg.to.node_id}: ${status}`);
+            }
+            break;
+          }
+          peerControl.processPeerControl(peerId, msg);
+          break;
+
+        case 'peer_broadcast':
+          handlePeerBroadcast(peerId, msg);
+          break;
+
+        case 'peer_direct':
+          handlePeerDirect(peerId, msg);
+          break;
+
+        default:
+          log.warn(`[peerRouter] Unhandled peer message type from ${peerId}: ${msg.type}`);
+          break;
+      }
     },
 
+    handlePeerHello,
+
+    updateRoutingTable,
+
+    getRoute,
+
     /**
-     * Placeholder for future routing table update handling.
+     * Returns a snapshot of the routing table, including routes
+     * currently marked unreachable (hops >= ROUTE_INFINITY).
      *
-     * @param {string} peerId
-     * @param {object} routingInfo
+     * @returns {object[]} [{ node_id, via, hops, seq, updated }]
      */
-    updateRoutingTable: (peerId, routingInfo) => {
-      // Future: routing update handling
-    },
+    getRoutes: () => Array.from(routes.values(), (route) => ({ ...route })),
+
+    sendToNode,
+
+    acceptFlooded,
 
     /**
      * Replaces the current node ID with a new one, if valid.
@@ -148,6 +720,21 @@ async function initialize(config = {}) {
      * Persists node ID on shutdown if valid.
      */
     shutdown: async () => {
+      nodeMessages.off('outbound:agent_broadcast', relayAgentBroadcast);
+      nodeMessages.off('outbound:agent_direct', relayAgentDirect);
+      nodeMessages.off('outbound:agent_ping', peerControl.startAgentPing);
+      nodeMessages.off('outbound:agent_traceroute', peerControl.startAgentTraceroute);
+      nodeMessages.off('outbound:group_presence', relayGroupPresence);
+      nodeMessages.off('outbound:directory_query', relayDirectoryQuery);
+      peerControl.shutdown();
+      nodeMessages.off('peer:connected', handlePeerHello);
+      nodeMessages.off('peer:disconnected', handlePeerDisconnected);
+      clearInterval(advertiseTimer);
+      clearTimeout(triggeredUpdateTimer);
+      triggeredUpdateTimer = null;
+      seenBroadcasts.clear();
+      routes.clear();
+
       if (isUuid(nodeId)) {
         persistNodeId();
       }
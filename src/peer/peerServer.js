@@ -4,29 +4,43 @@
  * Sets up a WebSocket server to handle incoming PAN peer and agent connections.
  *
  * - Accepts connections from other PAN nodes ("peers") and special agents.
+ * - Dials the configured bootstrap peers and keeps those links up.
  * - Performs an initial handshake via JSON messages with required fields.
- * - Verifies JWTs using a shared secret (for peers) or placeholder (for agents).
+ * - Peers exchange Vouchsafe-signed `hello` tokens with the `peer-connect`
+ *   purpose, and each side verifies the other against its trusted peers file.
+ *   Each side sends a fresh nonce that the other signs into its token, so a
+ *   captured hello can't be replayed: dialer `hello` (nonce), acceptor
+ *   `hello` (signs it, sends its own), dialer `hello_ack` (signs that one).
+ * - Special agents present a Vouchsafe token with the `special-agent-connect`
+ *   purpose, checked against a separate trusted special agents file.
  * - Delegates connections to PeerConnection or AgentConnection handlers.
  * - Exposes session nonce, status, and shutdown capabilities.
  */
 
 const WebSocket = require('ws');
-const jwt = require('jsonwebtoken');
-const { PeerConnection } = require('./peerConnection');
+const fs = require('fs');
+const JSON5 = require('json5');
+const { PeerConnection, rawSendPeerControl } = require('./peerConnection');
 const { AgentConnection } = require('./agentConnection');
+const { isValidCapabilityList } = require('./specialAgentRegistry');
 const { log } = require('../utils/log');
 const panApp = require('../panApp');
 const uuid = require('uuid');
+const nodeMessages = require('../utils/nodeMessages');
+const { createAttestation } = require('vouchsafe');
 const { getTrustValidator } = require('../node/vouchsafeTrust');
 const { rawSendControl, rawSendError } = require('../agent/panConnection');
+const { cleanupAgent } = require('../agent/agentControl');
 
 const {
     isValidBaseFields,
     validatePeerMessage,
-    validateAgentMessage
+    validateSpecialAgentMessage
 } = require('../utils/validators');
 
 const DEFAULT_PEER_PORT = 5874;
+const DEFAULT_BOOTSTRAP_RETRY_SECONDS = 10;
+const HANDSHAKE_TIMEOUT_MS = 10000;
 
 let wss = null;
 
@@ -36,6 +50,16 @@ let sessionNonce = uuid.v4();
 
 let peerTrustValidator;
 
+let specialAgentTrustValidator = null;
+
+let peerIdentity = null;
+
+let bootstrapPeers = [];
+
+let bootstrapRetryMs = DEFAULT_BOOTSTRAP_RETRY_SECONDS * 1000;
+
+let shuttingDown = false;
+
 /**
  * Returns the current session nonce, used to differentiate node restarts.
  */
@@ -51,21 +75,497 @@ function regenerateSessionNonce() {
 }
 
 /**
- * Handles a single WebSocket connection, routing it to either a peer or agent handler.
+ * Loads this node's Vouchsafe identity, used to sign peer hello tokens.
  *
- * @param {WebSocket} ws - The incoming WebSocket connection.
+ * @param {object} identityConfig - peer_server.identity config section
+ * @returns {object|null} identity, or null if none is configured
  */
-async function handleConnection(ws) {
+function loadPeerIdentity(identityConfig) {
+    if (!identityConfig || typeof identityConfig.identity_file != 'string') {
+        return null;
+    }
+
+    const raw = fs.readFileSync(identityConfig.identity_file, 'utf-8');
+    const identity = {
+        ...identityConfig,
+        identity: JSON5.parse(raw)
+    };
+    delete identity.identity_file;
+    return identity;
+}
+
+/**
+ * Builds the payload of a peer hello: a short-lived `peer-connect`
+ * attestation carrying our node_id, plus any vouch tokens needed to
+ * chain our identity to an issuer the remote side trusts.
+ *
+ * @param {object} [nonces]
+ * @param {string} [nonces.peerNonce] - the remote side's nonce for this
+ *        handshake, signed into the attestation as `peer_nonce`
+ * @param {string} [nonces.nonce] - our nonce, for the remote side to sign
+ * @returns {Promise<object>}
+ */
+async function createHelloPayload({ peerNonce, nonce } = {}) {
+    if (!peerIdentity) {
+        throw new Error('No peer identity configured');
+    }
+
+    const nodeId = panApp.getNodeId();
+    const claims = {
+        purpose: 'peer-connect',
+        node_id: nodeId,
+        identifier: peerIdentity.peer_name,
+        session_nonce: getSessionNonce(),
+        exp: Math.floor(Date.now() / 1000) + 60,
+    };
+    if (peerNonce) {
+        claims.peer_nonce = peerNonce;
+    }
+
+    const payload = {
+        node_id: nodeId,
+        token: await createAttestation(peerIdentity.identity.urn, peerIdentity.identity.keypair, claims),
+        tokens: peerIdentity.vouch_tokens || []
+    };
+    if (nonce) {
+        payload.nonce = nonce;
+    }
+    return payload;
+}
+
+/**
+ * Verifies a peer hello message, from either side of the handshake.
+ * Throws if the token is invalid, untrusted for `peer-connect`, not bound
+ * to the nonce we sent, or claims a node_id we can't accept.
+ *
+ * @param {object} msg - The hello (or hello_ack) message
+ * @param {string} [expectedNonce] - the nonce we sent, which the token must
+ *        carry as `peer_nonce`; omitted only for the dialer's first hello
+ * @returns {Promise<object>} { node_id, details }
+ */
+async function verifyPeerHello(msg, expectedNonce) {
+    const peerRegistry = panApp.use('peerRegistry');
+    const authPayload = msg.payload || {};
+
+    if (!authPayload.token) {
+        throw new Error('Missing token in peer handshake');
+    }
+
+    await peerTrustValidator.validateToken(authPayload.token);
+
+    const trustResult = await peerTrustValidator.isTokenTrusted(authPayload.token, authPayload.tokens, ['peer-connect']);
+    if (!trustResult.trusted) {
+        throw new Error('issuer not trusted for peer-connect');
+    }
+
+    const peer_connect_token = trustResult.decoded;
+    const node_id = peer_connect_token.node_id;
+
+    if (expectedNonce !== undefined && peer_connect_token.peer_nonce !== expectedNonce) {
+        throw new Error('peer token is not bound to this handshake');
+    }
+
+    if (!uuid.validate(node_id)) {
+        throw new Error('Missing node_id in peer token');
+    }
+
+    if (authPayload.node_id && authPayload.node_id !== node_id) {
+        throw new Error('hello node_id does not match peer token');
+    }
+
+    if (node_id === panApp.getNodeId()) {
+        throw new Error('peer claims our own node_id');
+    }
+
+    let existingPeer = peerRegistry.getPeer(node_id);
+
+    // if we have an existing peer for that node id, and it's not owned by the same vouchsafe_id
+    // then something is hinky and we need to fail.
+    if (existingPeer && existingPeer.details.vouchsafe_id != peer_connect_token.iss) {
+        throw new Error('newly connected peer ' + peer_connect_token.iss +
+                        ' tried to claim an active node_id: ' + node_id);
+    }
+    // TODO: We probably need a more in-depth check against node_ids that might already
+    // be present in the network. For now, though, this is good enough.
+
+    return {
+        node_id,
+        details: {
+            connect_token: peer_connect_token,
+            peer_name: peer_connect_token.identifier || peer_connect_token.iss,
+            vouchsafe_id: peer_connect_token.iss,
+            session_nonce: peer_connect_token.session_nonce,
+        }
+    };
+}
+
+/**
+ * Holds the messages that arrive while a hello is being verified. The
+ * connection's own listener is only attached once verification is done,
+ * and the other side may already be talking by then (an acceptor sends its
+ * route advertisement as soon as it registers us).
+ *
+ * @param {WebSocket} ws
+ * @returns {object} { next(timeoutMs), release(), discard() }: next takes the
+ *          next message for the handshake itself; release replays the rest
+ *          to the listeners attached since, in order
+ */
+function holdMessages(ws) {
+    const held = [];
+    let waiting = null; // { resolve, reject, timer } while next() waits
+    const hold = (data, isBinary) => {
+        if (waiting) {
+            clearTimeout(waiting.timer);
+            waiting.resolve(data);
+            waiting = null;
+        } else {
+            held.push([data, isBinary]);
+        }
+    };
+
+    ws.on('message', hold);
+
+    return {
+        // takes the next message off the front of the queue
+        next: (timeoutMs) => {
+            if (held.length > 0) {
+                return Promise.resolve(held.shift()[0]);
+            }
+            return new Promise((resolve, reject) => {
+                const timer = setTimeout(() => {
+                    waiting = null;
+                    reject(new Error('timed out waiting for the next handshake message'));
+                }, timeoutMs);
+                waiting = { resolve, reject, timer };
+            });
+        },
+        release: () => {
+            ws.off('message', hold);
+            for (const [data, isBinary] of held) {
+                ws.emit('message', data, isBinary);
+            }
+            held.length = 0;
+        },
+        discard: () => {
+            ws.off('message', hold);
+            held.length = 0;
+            if (waiting) {
+                clearTimeout(waiting.timer);
+                waiting.reject(new Error('connection closed during the handshake'));
+                waiting = null;
+            }
+        }
+    };
+}
+
+/**
+ * Parses a peer handshake message, returning null unless it is a
+ * well-formed peer message.
+ *
+ * @param {Buffer|string} data
+ * @returns {object|null}
+ */
+function parseHandshakeMessage(data) {
+    let msg;
+    try {
+        msg = JSON.parse(data.toString());
+    } catch (err) {
+        return null;
+    }
+    return isValidBaseFields(msg) && validatePeerMessage(msg) ? msg : null;
+}
+
+/**
+ * Tells the remote side its hello was refused and closes the socket.
+ */
+function rejectPeer(ws, original = {}) {
+    rawSendError(ws, {
+        type: 'auth.failed',
+        message: 'Access Denied'
+    }, original);
+    ws.close();
+}
+
+/**
+ * Wraps an authenticated socket in a PeerConnection and registers it.
+ *
+ * If we already have an open link to the same node (both nodes dialed each
+ * other), the connection dialed by the lower node_id is kept. Both ends apply
+ * the same rule, so they close the same duplicate.
+ *
+ * @param {WebSocket} ws
+ * @param {object} peerInfo - { node_id, details } from verifyPeerHello
+ * @param {string} direction - 'inbound' or 'outbound'
+ * @returns {PeerConnection|null} the registered connection, or null if dropped
+ */
+function registerPeerConnection(ws, peerInfo, direction) {
     const peerRegistry = panApp.use('peerRegistry');
+    const peerRouter = panApp.use('peerRouter');
+    const { node_id, details } = peerInfo;
+
+    const peer = new PeerConnection(ws, node_id, peerRouter, details, direction);
+    const existingPeer = peerRegistry.getPeer(node_id);
+
+    if (existingPeer && existingPeer.isOpen()) {
+        if (existingPeer.getDialerNodeId() <= peer.getDialerNodeId()) {
+            log.info(`[peer] Dropping duplicate ${direction} connection to ${node_id}`);
+            ws.close();
+            return null;
+        }
+        log.info(`[peer] Replacing duplicate connection to ${node_id}`);
+        existingPeer.close();
+    }
+
+    peerRegistry.registerPeer(node_id, peer);
+
+    ws.on('close', () => {
+        if (peerRegistry.unregisterPeer(node_id, peer)) {
+            nodeMessages.emit('peer:disconnected', { node_id });
+        }
+    });
+
+    log.info(`[peer] Registered ${direction} peer node: ${node_id} (${details.peer_name})`);
+
+    nodeMessages.emit('peer:connected', { node_id, details });
+
+    return peer;
+}
+
+/**
+ * Wraps an authenticated special agent socket in an AgentConnection and
+ * registers it with agentRegistry (so it can be messaged like any agent)
+ * and specialAgentRegistry (so it can be found by capability).
+ *
+ * @param {WebSocket} ws
+ * @param {string} agentType
+ * @param {string[]} capabilities
+ * @param {object} details - { agent_name, vouchsafe_id, purposes }
+ */
+function registerSpecialAgent(ws, agentType, capabilities, details) {
     const agentRegistry = panApp.use('agentRegistry');
-    const peerStatus = panApp.use('peerStatus');
+    const specialAgentRegistry = panApp.use('specialAgentRegistry');
+
+    const agentConn = new AgentConnection(ws, agentType, capabilities, details);
+
+    agentRegistry.registerAgent(agentConn);
+    specialAgentRegistry.registerAgent(agentConn.id, {
+        agentType,
+        capabilities,
+        conn: agentConn
+    });
+
+    // Special agents have no resume grace period; clean up right away.
+    ws.on('close', () => {
+        specialAgentRegistry.unregisterAgent(agentConn.id);
+        if (agentRegistry.getAgent(agentConn.id)) {
+            cleanupAgent(agentConn);
+        }
+        nodeMessages.emit('special_agent:disconnected', { agent_id: agentConn.id });
+    });
+
+    log.info(`[peer] Registered special agent: ${agentType} (${agentConn.id}) capabilities=${capabilities.join(',')}`);
+
+    agentConn.sendWelcome(panApp.getNodeId(), getSessionNonce());
+
+    return agentConn;
+}
+
+/**
+ * Normalizes a bootstrap_peers entry. Entries are either a URL string
+ * or an object with `url` and an optional expected `urn`.
+ */
+function parseBootstrapEntry(entry) {
+    if (typeof entry === 'string') {
+        return { url: entry, urn: null };
+    }
+    if (entry && typeof entry.url === 'string') {
+        return { url: entry.url, urn: entry.urn || null };
+    }
+    return null;
+}
+
+/**
+ * Dials a bootstrap peer and performs the hello exchange.
+ * On failure or disconnect the peer is redialed after the retry delay.
+ *
+ * @param {object} bootstrap - Bootstrap peer state ({ url, urn, node_id, timer })
+ */
+function connectToPeer(bootstrap) {
+    if (shuttingDown) {
+        return;
+    }
+
+    const peerRegistry = panApp.use('peerRegistry');
+
+    // We may already be linked to this node because it dialed us.
+    const existingPeer = bootstrap.node_id && peerRegistry.getPeer(bootstrap.node_id);
+    if (existingPeer && existingPeer.isOpen()) {
+        scheduleReconnect(bootstrap);
+        return;
+    }
+
+    log.info(`[peer] Dialing bootstrap peer ${bootstrap.url}`);
+
+    const ws = new WebSocket(bootstrap.url);
+    bootstrap.ws = ws;
+
+    // the remote side signs this into its hello, proving the reply is fresh
+    const nonce = uuid.v4();
+
+    const handshakeTimer = setTimeout(() => {
+        log.warn(`[peer] Handshake with ${bootstrap.url} timed out`);
+        ws.terminate();
+    }, HANDSHAKE_TIMEOUT_MS);
+
+    ws.on('open', async () => {
+        try {
+            rawSendPeerControl(ws, {
+                msg_type: 'hello',
+                payload: await createHelloPayload({ nonce })
+            });
+        } catch (err) {
+            log.error(`[peer] Unable to send hello to ${bootstrap.url}: `, err);
+            ws.close();
+        }
+    });
+
+    ws.once('message', async (data) => {
+        clearTimeout(handshakeTimer);
+        // anything sent after the hello reply waits here until the link is
+        // registered; on a failed handshake it is dropped with the socket
+        const held = holdMessages(ws);
+        ws.once('close', held.discard);
+
+        const msg = parseHandshakeMessage(data);
+
+        if (!msg || msg.type !== 'peer_control' || msg.msg_type !== 'hello') {
+            log.warn(`[peer] ${bootstrap.url} refused our hello or sent an invalid reply`);
+            ws.close();
+            return;
+        }
+
+        let peerInfo;
+        try {
+            peerInfo = await verifyPeerHello(msg, nonce);
+            if (bootstrap.urn && peerInfo.details.vouchsafe_id !== bootstrap.urn) {
+                throw new Error(`expected ${bootstrap.urn} but remote is ${peerInfo.details.vouchsafe_id}`);
+            }
+            if (!uuid.validate(msg.payload.nonce)) {
+                throw new Error('hello reply carries no nonce');
+            }
+
+            // prove our first hello was not a replay by signing the acceptor's nonce
+            rawSendPeerControl(ws, {
+                msg_type: 'hello_ack',
+                payload: await createHelloPayload({ peerNonce: msg.payload.nonce })
+            }, msg);
+        } catch (err) {
+            log.warn(`[peer] Could not verify bootstrap peer ${bootstrap.url}: `, err.message || err);
+            ws.close();
+            return;
+        }
+
+        bootstrap.node_id = peerInfo.node_id;
+
+        if (registerPeerConnection(ws, peerInfo, 'outbound')) {
+            held.release();
+        }
+    });
+
+    ws.on('error', (err) => {
+        log.warn(`[peer] Connection error with ${bootstrap.url}: ${err.message}`);
+    });
+
+    ws.on('close', () => {
+        clearTimeout(handshakeTimer);
+        if (bootstrap.ws === ws) {
+            bootstrap.ws = null;
+            scheduleReconnect(bootstrap);
+        }
+    });
+}
+
+/**
+ * Arranges for a bootstrap peer to be (re)dialed after the retry delay.
+ */
+function scheduleReconnect(bootstrap) {
+    if (shuttingDown || bootstrap.timer || bootstrap.removed) {
+        return;
+    }
+    bootstrap.timer = setTimeout(() => {
+        bootstrap.timer = null;
+        connectToPeer(bootstrap);
+    }, bootstrapRetryMs);
+}
+
+/**
+ * Dials every configured bootstrap peer.
+ *
+ * @param {Array} entries - peer_server.bootstrap_peers
+ */
+function connectBootstrapPeers(entries = []) {
+    if (entries.length && !peerIdentity) {
+        log.error('[peer] bootstrap_peers configured but no peer identity is set; not dialing peers');
+        return;
+    }
+
+    for (const entry of entries) {
+        const parsed = parseBootstrapEntry(entry);
+        if (!parsed) {
+            log.warn('[peer] Ignoring invalid bootstrap_peers entry:', entry);
+            continue;
+        }
+        const bootstrap = { ...parsed, node_id: null, ws: null, timer: null };
+        bootstrapPeers.push(bootstrap);
+        connectToPeer(bootstrap);
+    }
+}
+
+const bootstrapKey = ({ url, urn }) => `${url} ${urn || ''}`;
 
+/**
+ * Applies settings that can change while the server runs: the bootstrap
+ * peer list and retry delay. New bootstrap peers are dialed; removed ones
+ * are no longer redialed, but a link that is up stays up.
+ *
+ * @param {object} newConfig - peer_server config section
+ */
+function reconfigure(newConfig = {}) {
+    bootstrapRetryMs = (newConfig.bootstrap_retry_seconds || DEFAULT_BOOTSTRAP_RETRY_SECONDS) * 1000;
+
+    const entries = (newConfig.bootstrap_peers || []).filter((entry) => parseBootstrapEntry(entry));
+    const wanted = new Set(entries.map((entry) => bootstrapKey(parseBootstrapEntry(entry))));
+    const current = new Set(bootstrapPeers.map(bootstrapKey));
+
+    bootstrapPeers = bootstrapPeers.filter((bootstrap) => {
+        if (wanted.has(bootstrapKey(bootstrap))) {
+            return true;
+        }
+        log.info(`[peer] No longer dialing bootstrap peer ${bootstrap.url}`);
+        bootstrap.removed = true;
+        clearTimeout(bootstrap.timer);
+        bootstrap.timer = null;
+        return false;
+    });
+
+    connectBootstrapPeers(entries.filter((entry) => !current.has(bootstrapKey(parseBootstrapEntry(entry)))));
+}
+
+/**
+ * Handles a single WebSocket connection, routing it to either a peer or agent handler.
+ *
+ * @param {WebSocket} ws - The incoming WebSocket connection.
+ */
+async function handleConnection(ws) {
     log.info('[peer] Incoming connection...');
 
     ws.once('message', async (data) => {
-        let msg;
+        // anything sent after the hello waits here until the link is registered;
+        // on a failed handshake the socket is closed and it is dropped with it
+        const held = holdMessages(ws);
+        ws.once('close', held.discard);
 
-        let decoded;
+        let msg;
 
         try {
             msg = JSON.parse(data.toString());
@@ -89,132 +589,99 @@ async function handleConnection(ws) {
                 return;
             }
 
-            const authPayload = msg.payload || {};
-
-            if (!authPayload.token) {
-                log.warn('[peer] Missing token in peer handshake');
-                ws.close();
+            let peerInfo;
+            try {
+                peerInfo = await verifyPeerHello(msg);
+                if (!uuid.validate(msg.payload.nonce)) {
+                    throw new Error('hello carries no nonce');
+                }
+            } catch (err) {
+                log.warn('[peer] Peer auth failed: ', err.message || err);
+                rejectPeer(ws, msg);
                 return;
             }
 
-            try {
-                decoded = await peerTrustValidator.validateToken(authPayload.token);
-
-                if (!decoded.node_id) {
-                    log.warn('[peer] Missing node_id in peer token');
-                    ws.close();
-                    return;
-                }
+            // the dialer's hello may be a replay until it signs this
+            const nonce = uuid.v4();
 
-                log.warn('MMMMMMMMMMMMMMMMm', decoded);
+            try {
+                // the dialing node verifies us the same way we verified it.
+                rawSendPeerControl(ws, {
+                    msg_type: 'hello',
+                    payload: await createHelloPayload({ peerNonce: msg.payload.nonce, nonce })
+                }, msg);
             } catch (err) {
-                log.warn('Peer auth failed, token error: ', err);
-
-                rawSendError(ws, {
-                    msg_type: 'auth.failed',
-                    payload: {
-                        message: 'Access Denied'
-                    }
-                });
+                log.error('[peer] Unable to answer peer hello: ', err);
                 ws.close();
                 return;
             }
-            // now we verify if we trust this node.
-            
-            let trustResult;
+
             try {
-                trustResult = await peerTrustValidator.isTokenTrusted(authPayload.token, authPayload.tokens, ['peer-connect']);
-                if (trustResult.trusted) {
-                    // allow the peer to connect.
-                    const peerRouter = panApp.use('peerRouter');
-                    let peer_connect_token = trustResult.decoded;
-
-                    let existingPeer = peerRegistry.getPeer(peer_connect_token.node_id);
-
-                    // if we have an existing peer for that node id, and it's not owned by the same vouchsafe_id
-                    // then something is hinky and we need to fail.
-                    if (existingPeer && existingPeer.details.vouchsafe_id != peer_connect_token.iss) {
-                        // a peer with this node id exists already, and is not
-                        // owned by the same issuer. So we fail and disconnect.
-                        throw new Error('newly connected peer ' + peer_connect_token.iss + 
-                                        ' tried to claim an active node_id: ' + peer_connect_token.node_id);
-                    }
-                    // TODO: We probably need a more in-depth check against node_ids that might already
-                    // be present in the network. For now, though, this is good enough.
-                    
-                    // if we are here, we have a valid connect request
-                    let details = {
-                        connect_token: peer_connect_token,
-                        peer_name: trustResult.decoded.identifier || trustResult.decoded.iss,
-                        vouchsafe_id: trustResult.decoded.iss,
-                    }
-
-                    const peer = new PeerConnection(ws, authPayload.node_id, peerRouter, details);
-                    peerRegistry.registerPeer(authPayload.node_id, peer);
-
-                    log.info(`[peer] Registered peer node: ${node_id}`);
-
-                    // TODO: should send a greeting packet of some kind and trigger routing exchange
-                    
-                    return;
-                } else {
-                    log.warn('Peer auth failed, issuer not trusted for peer-connect. ');
-                    rawSendError(ws, {
-                        msg_type: 'auth.failed',
-                        payload: {
-                            message: 'Access Denied'
-                        }
-                    });
-                    ws.close();
-                    return;
+                const ack = parseHandshakeMessage(await held.next(HANDSHAKE_TIMEOUT_MS));
+                if (!ack || ack.type !== 'peer_control' || ack.msg_type !== 'hello_ack') {
+                    throw new Error('expected a hello_ack');
+                }
+
+                const confirmed = await verifyPeerHello(ack, nonce);
+                if (confirmed.node_id !== peerInfo.node_id || confirmed.details.vouchsafe_id !== peerInfo.details.vouchsafe_id) {
+                    throw new Error('hello_ack is not from the node that said hello');
                 }
             } catch (err) {
-                log.warn('Peer auth failed, trust check error: ', err);
-                rawSendError(ws, {
-                    msg_type: 'auth.failed',
-                    payload: {
-                        message: 'Access Denied'
-                    }
-                });
-                ws.close();
+                log.warn('[peer] Peer auth failed: ', err.message || err);
+                rejectPeer(ws, msg);
                 return;
             }
+
+            if (registerPeerConnection(ws, peerInfo, 'inbound')) {
+                held.release();
+            }
+            return;
         }
 
         // Handle SPECIAL AGENT handshake
         else if (msg.type === 'agent_control' && msg.msg_type === 'hello') {
-            if (!validateAgentMessage(msg, peerStatus.getNodeId())) {
+            if (!validateSpecialAgentMessage(msg, panApp.getNodeId())) {
                 log.warn('[peer] Invalid agent handshake message');
                 ws.close();
                 return;
             }
 
-            const { agentType, capabilities, jwt: agentJwt } = msg.payload || {};
+            const { agentType, capabilities, token, tokens } = msg.payload || {};
 
-            if (!agentType || !Array.isArray(capabilities) || !agentJwt) {
-                log.warn('[peer] Invalid special agent handshake payload');
+            if (typeof agentType !== 'string' || !isValidCapabilityList(capabilities) || !token) {
+                log.warn('[peer] Invalid special agent handshake payload: needs an agentType, a token and a non-empty list of capabilities');
                 ws.close();
                 return;
             }
 
+            if (!specialAgentTrustValidator) {
+                log.warn('[peer] Special agent connection refused: no trusted_special_agents_config_file configured');
+                rejectPeer(ws, msg);
+                return;
+            }
+
+            let trustResult;
             try {
-                // NOTE: This is a placeholder and must be replaced with proper auth
-                jwt.verify(agentJwt, 'dummy-secret-for-now', { audience: 'pan-agent' });
+                await specialAgentTrustValidator.validateToken(token);
+                trustResult = await specialAgentTrustValidator.isTokenTrusted(token, tokens, ['special-agent-connect']);
             } catch (err) {
-                log.warn(`[peer] Invalid JWT for agent ${agentType}: ${err.message}`);
-                ws.close();
+                log.warn(`[peer] Invalid token for agent ${agentType}: ${err.message}`);
+                rejectPeer(ws, msg);
                 return;
             }
 
-            const agentId = ws._socket.remoteAddress + ':' + ws._socket.remotePort;
-
-            const agentConn = new AgentConnection(ws, agentId, agentType, capabilities);
-
-            agentRegistry.registerAgent(agentId, agentConn);
-
-            log.info(`[peer] Registered special agent: ${agentType} (${agentId})`);
+            if (!trustResult.trusted) {
+                log.warn(`[peer] Special agent ${agentType} not trusted for special-agent-connect`);
+                rejectPeer(ws, msg);
+                return;
+            }
 
-            agentConn.sendWelcome(peerStatus.getNodeId(), getSessionNonce());
+            registerSpecialAgent(ws, agentType, capabilities, {
+                agent_name: trustResult.decoded.identifier || trustResult.decoded.iss,
+                vouchsafe_id: trustResult.decoded.iss,
+                purposes: trustResult.purposes
+            });
+            held.release();
         }
 
         // Unknown or unexpected message type
@@ -240,13 +707,32 @@ async function initialize(config = {}) {
     }
     peerTrustValidator = getTrustValidator('peer', { path: config.trusted_peers_config_file });
 
+    if (typeof config.trusted_special_agents_config_file == 'string') {
+        specialAgentTrustValidator = getTrustValidator('special_agent', { path: config.trusted_special_agents_config_file });
+    }
+
+    try {
+        peerIdentity = loadPeerIdentity(config.identity);
+    } catch (e) {
+        log.warn(`Peer server failed to load peer identity: ${e}`);
+        throw new Error(e);
+    }
+
+    if (!peerIdentity) {
+        log.warn('[peer] No peer identity configured, this node can not join a PAN network.');
+    }
+
+    bootstrapRetryMs = (config.bootstrap_retry_seconds || DEFAULT_BOOTSTRAP_RETRY_SECONDS) * 1000;
+    shuttingDown = false;
+
     return new Promise((resolve, reject) => {
         if (wss) {
             log.warn('[peer] Peer server already running.');
             resolve({
                 shutdown,
                 getStatus,
-                getSessionNonce
+                getSessionNonce,
+                reconfigure
             });
             return;
         }
@@ -258,10 +744,12 @@ async function initialize(config = {}) {
         wss.on('listening', () => {
             log.info(`[peer] Peer WebSocket server listening on port ${port}`);
             portInUse = port;
+            connectBootstrapPeers(config.bootstrap_peers || []);
             resolve({
                 shutdown,
                 getStatus,
-                getSessionNonce
+                getSessionNonce,
+                reconfigure
             });
         });
 
@@ -289,6 +777,22 @@ async function shutdown() {
 
     log.info('[peer] Shutting down peer WebSocket server...');
 
+    shuttingDown = true;
+
+    for (const bootstrap of bootstrapPeers) {
+        clearTimeout(bootstrap.timer);
+        bootstrap.timer = null;
+        if (bootstrap.ws) {
+            bootstrap.ws.terminate();
+        }
+    }
+    bootstrapPeers = [];
+
+    const peerRegistry = panApp.use('peerRegistry');
+    for (const peer of peerRegistry.getPeers()) {
+        peer.close();
+    }
+
     return new Promise((resolve, reject) => {
         wss.close((err) => {
             if (err) {
@@ -4,10 +4,21 @@
  * Tracks connected special agents and their declared capabilities.
  *
  * This module allows registration, lookup, filtering, and removal of special agents.
- * Each agent must declare a type and an array of capabilities.
+ * Each agent must declare a type and a non-empty array of capability names.
  * Agents can be queried by ID or by supported capability.
  */
 
+/**
+ * Checks a declared capability list: a non-empty array of non-empty strings.
+ *
+ * @param {*} capabilities
+ * @returns {boolean}
+ */
+function isValidCapabilityList(capabilities) {
+    return Array.isArray(capabilities) && capabilities.length > 0 &&
+        capabilities.every((capability) => typeof capability === 'string' && capability.length > 0);
+}
+
 function initialize(config = {}) {
     const agents = new Map();
 
@@ -15,16 +26,19 @@ function initialize(config = {}) {
      * Registers a special agent by ID, along with its declared type and capabilities.
      *
      * @param {string} agentId - Unique ID for the agent.
-     * @param {object} agentInfo - Must include `agentType` and `capabilities` array.
+     * @param {object} agentInfo - Must include `agentType` and a non-empty
+     *                             `capabilities` array of names, and may
+     *                             include the agent's `conn`.
      */
     function registerAgent(agentId, agentInfo) {
-        if (!agentInfo.agentType || !Array.isArray(agentInfo.capabilities)) {
+        if (!agentInfo.agentType || !isValidCapabilityList(agentInfo.capabilities)) {
             throw new Error('Invalid agentInfo object');
         }
 
         agents.set(agentId, {
             agentType: agentInfo.agentType,
             capabilities: agentInfo.capabilities,
+            conn: agentInfo.conn || null,
         });
     }
 
@@ -47,6 +61,16 @@ function initialize(config = {}) {
         return agents.get(agentId) || null;
     }
 
+    /**
+     * Returns the connection used to send messages to a special agent.
+     *
+     * @param {string} agentId
+     * @returns {object|null}
+     */
+    function getAgentConnection(agentId) {
+        return agents.get(agentId)?.conn || null;
+    }
+
     /**
      * Returns an array of all registered agent IDs.
      *
@@ -104,6 +128,8 @@ function initialize(config = {}) {
         registerAgent,
         unregisterAgent,
         getAgentInfo,
+        getAgentConnection,
+        getAgentIds,
         findAgentsByCapability,
         listAgents,
         shutdown,
@@ -111,5 +137,6 @@ function initialize(config = {}) {
 }
 
 module.exports = {
-    initialize
+    initialize,
+    isValidCapabilityList
 };
@@ -0,0 +1,144 @@
+// tests/adminControlTest.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startNode, stopNode } = require('../main.js');
+const { getLogLevel } = require('../utils/log');
+const { PanClient } = require('../client/panClient');
+const {
+    createVouchsafeIdentity,
+    createAttestation,
+} = require('vouchsafe');
+
+const TEST_PEER_PORT = 5874;
+const TEST_AGENT_PORT = 5295;
+const SERVER_URN = JSON.parse(fs.readFileSync('data/pan_server.json', 'utf-8')).urn;
+
+describe('Admin commands', function() {
+    let dir;
+    let adminIdentity;
+    let clients = [];
+
+    const makeClient = (identity, purpose) => {
+        const client = new PanClient({
+            url: `ws://localhost:${TEST_AGENT_PORT}`,
+            server_urn: SERVER_URN,
+            token: () => createAttestation(identity.urn, identity.keypair, {
+                purpose,
+                identifier: identity.urn
+            }),
+            reconnect: false,
+            request_timeout_ms: 2000
+        });
+        clients.push(client);
+        return client;
+    };
+
+    const connectAdmin = async () => {
+        const admin = makeClient(adminIdentity, 'agent-connect pan-admin');
+        await admin.connect();
+        return admin;
+    };
+
+    // an agent the node lets in without trusting it
+    const connectAgent = async (identity) => {
+        const agent = makeClient(identity || await createVouchsafeIdentity('agent-bob'), 'agent-connect');
+        await agent.connect();
+        return agent;
+    };
+
+    const disconnected = (client) => new Promise((resolve) => client.on('disconnected', resolve));
+
+    before(async function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pan-admin-test-'));
+        adminIdentity = await createVouchsafeIdentity('agent-admin');
+
+        const trustFile = path.join(dir, 'trusted_agents.json');
+        fs.writeFileSync(trustFile, JSON.stringify({
+            trusted_issuers: { [adminIdentity.urn]: ['agent-connect', 'pan-admin'] }
+        }));
+
+        await startNode({
+            peer_server: {
+                port: TEST_PEER_PORT,
+                trusted_peers_config_file: 'data/trusted_peers.json'
+            },
+            agent_server: {
+                port: TEST_AGENT_PORT,
+                identity: { identity_file: 'data/pan_server.json' }
+            },
+            peer_router: {},
+            agent_router: {},
+            group_manager: {},
+            agent_registry: {},
+            admin: {},
+            agent_auth_manager: {
+                order: ['local'],
+                methods: {
+                    local: {
+                        type: 'local',
+                        allow_untrusted_agents: true,
+                        trusted_agents_config_file: trustFile
+                    }
+                }
+            },
+            logging: { log_level: 'warn' }
+        });
+    });
+
+    after(async function() {
+        for (const client of clients) {
+            client.disconnect();
+        }
+        await stopNode();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should list the connected agents', async function() {
+        const admin = await connectAdmin();
+        const bob = await connectAgent();
+
+        const { agents } = await admin.admin('list_agents');
+        const listed = agents.find((agent) => agent.conn_id === bob.connId);
+
+        assert.ok(listed);
+        assert.deepStrictEqual(listed.purposes, []);
+        assert.ok(agents.find((agent) => agent.conn_id === admin.connId).purposes.includes('pan-admin'));
+    });
+
+    it('should kick an agent', async function() {
+        const admin = await connectAdmin();
+        const bob = await connectAgent();
+        const gone = disconnected(bob);
+
+        assert.strictEqual((await admin.admin('kick_agent', { conn_id: bob.connId })).conn_id, bob.connId);
+        await gone;
+
+        const { agents } = await admin.admin('list_agents');
+        assert.strictEqual(agents.some((agent) => agent.conn_id === bob.connId), false);
+    });
+
+    it('should ban an identity and refuse it when it comes back', async function() {
+        const admin = await connectAdmin();
+        const bobIdentity = await createVouchsafeIdentity('agent-bob');
+        const bob = await connectAgent(bobIdentity);
+        const gone = disconnected(bob);
+
+        const result = await admin.admin('ban_agent', { vouchsafe_id: bobIdentity.urn });
+
+        assert.deepStrictEqual(result.kicked, [bob.connId]);
+        await gone;
+
+        await assert.rejects(connectAgent(bobIdentity), (err) => err.code === 'auth_failed' && err.message === 'banned');
+    });
+
+    it('should change the log level', async function() {
+        const admin = await connectAdmin();
+
+        const result = await admin.admin('set_log_level', { level: 'error' });
+
+        assert.deepStrictEqual(result, { command: 'set_log_level', status: 'ok', level: 'error', previous: 'warn' });
+        assert.strictEqual(getLogLevel(), 'error');
+    });
+});
@@ -0,0 +1,375 @@
+const assert = require('assert');
+const fs = require('fs');
+const uuid = require('uuid');
+const { startNode, stopNode, reloadConfig } = require('../main.js');
+const panApp = require('../panApp');
+const { PanClient } = require('../client/panClient');
+const {
+    createVouchsafeIdentity,
+    createAttestation,
+} = require('vouchsafe');
+
+const TEST_PEER_PORT = 5874;
+const TEST_AGENT_PORT = 5295;
+const SERVER_URN = JSON.parse(fs.readFileSync('data/pan_server.json', 'utf-8')).urn;
+
+describe('PanClient', function() {
+    let agentIdentity;
+    let clients = [];
+
+    const makeClient = (options = {}) => {
+        const client = new PanClient({
+            url: `ws://localhost:${TEST_AGENT_PORT}`,
+            server_urn: SERVER_URN,
+            token: () => createAttestation(agentIdentity.urn, agentIdentity.keypair, {
+                purpose: 'agent-connect',
+                identifier: 'agent alice'
+            }),
+            request_timeout_ms: 2000,
+            ...options
+        });
+        clients.push(client);
+        return client;
+    };
+
+    const nodeConfig = () => ({
+        peer_server: {
+            port: TEST_PEER_PORT,
+            trusted_peers_config_file: "data/trusted_peers.json"
+        },
+        agent_server: {
+            port: TEST_AGENT_PORT,
+            connect_timeout: 3,
+            identity: {
+                identity_file: "data/pan_server.json",
+                server_name: "Jay's Server",
+                welcome_message: "Welcome! Don't be a jerk.",
+                helo_claims: {}
+            }
+        },
+        peer_router: {},
+        agent_router: {},
+        group_manager: {},
+        agent_registry: {},
+        agent_auth_manager: {
+            order: ['local'],
+            max_tries: 1,
+            timeout_ms: 3000,
+            methods: {
+                local: {
+                    type: "local",
+                    allow_untrusted_agents: true,
+                    trusted_agents_config_file: "data/trusted_agents.json"
+                }
+            }
+        },
+        logging: { level: 'warn' }
+    });
+
+    before(async function() {
+        await startNode(nodeConfig());
+        agentIdentity = await createVouchsafeIdentity('agent-alice');
+    });
+
+    after(async function() {
+        for (const client of clients) {
+            client.disconnect();
+        }
+        await stopNode();
+    });
+
+    it('should refuse a server that does not hold the expected URN', async function() {
+        const client = makeClient({ server_urn: 'urn:vouchsafe:someone.else', reconnect: false });
+
+        await assert.rejects(client.connect(), (err) => err.code === 'untrusted_server');
+    });
+
+    it('should fail to connect when the token callback throws', async function() {
+        const client = makeClient({
+            token: async () => {
+                throw new Error('no key');
+            },
+            reconnect: false
+        });
+        const connecting = client.connect();
+        const closed = new Promise((resolve) => client.ws.addEventListener('close', resolve));
+
+        await assert.rejects(connecting, (err) => err.code === 'token_failed' && /no key/.test(err.message));
+        await closed;
+    });
+
+    it('should connect, join a group and receive broadcasts', async function() {
+        const alice = makeClient();
+        const bob = makeClient();
+        const group = uuid.v4();
+
+        const { node_id, conn_id } = await alice.connect();
+        assert.ok(node_id);
+        assert.ok(conn_id);
+        await bob.connect();
+
+        await bob.joinGroup(group, ['chat']);
+
+        const received = new Promise((resolve) => bob.on('broadcast', resolve));
+        alice.broadcast(group, 'chat', { text: 'hi' });
+
+        const msg = await received;
+        assert.strictEqual(msg.group, group);
+        assert.deepStrictEqual(msg.payload, { text: 'hi' });
+        assert.strictEqual(msg.from.conn_id, alice.connId);
+    });
+
+    it('should get a join_group_reply error, not a disconnect, for a bad join', async function() {
+        const alice = makeClient();
+        await alice.connect();
+
+        await assert.rejects(alice.joinGroup(uuid.v4(), ['bad*pattern']), (err) => err.code === 'invalid_msg_types');
+        assert.strictEqual(alice.isConnected(), true);
+    });
+
+    it('should list group members and report presence changes', async function() {
+        const alice = makeClient();
+        const bob = makeClient({ agent_name: 'bob' });
+        const group = uuid.v4();
+        await alice.connect();
+        await bob.connect();
+
+        await alice.joinGroup(group, ['chat'], { presence: true });
+
+        const joined = new Promise((resolve) => alice.on('member_joined', resolve));
+        await bob.joinGroup(group, ['chat']);
+        const member = await joined;
+        assert.strictEqual(member.group, group);
+        assert.strictEqual(member.conn_id, bob.connId);
+        assert.strictEqual(member.node_id, bob.nodeId);
+
+        const members = await alice.listGroupMembers(group);
+        assert.deepStrictEqual(members.map((m) => m.conn_id).sort(), [alice.connId, bob.connId].sort());
+
+        const left = new Promise((resolve) => alice.on('member_left', resolve));
+        await bob.leaveGroup(group);
+        assert.strictEqual((await left).conn_id, bob.connId);
+    });
+
+    it('should find published agents in the directory', async function() {
+        const tag = `printer-${uuid.v4()}`;
+        const printer = makeClient({ directory: { tags: [tag], metadata: { floor: 3 } } });
+        const alice = makeClient();
+        await printer.connect();
+        await alice.connect();
+
+        const found = await alice.lookupAgent({ tag });
+        assert.strictEqual(found.length, 1);
+        assert.strictEqual(found[0].conn_id, printer.connId);
+        assert.strictEqual(found[0].node_id, printer.nodeId);
+        assert.deepStrictEqual(found[0].metadata, { floor: 3 });
+
+        // alice did not publish an entry, so she is not listed
+        const listed = await alice.listAgents({ scope: 'local' });
+        assert.ok(listed.some((agent) => agent.conn_id === printer.connId));
+        assert.ok(!listed.some((agent) => agent.conn_id === alice.connId));
+
+        await assert.rejects(alice.lookupAgent({}), (err) => err.code === 'invalid_query');
+    });
+
+    it('should serve health and metrics endpoints next to the agent socket', async function() {
+        const alice = makeClient();
+        await alice.connect();
+
+        const health = await fetch(`http://localhost:${TEST_AGENT_PORT}/healthz`);
+        assert.strictEqual(health.status, 200);
+
+        const ready = await fetch(`http://localhost:${TEST_AGENT_PORT}/readyz`);
+        assert.deepStrictEqual(await ready.json(), { status: 'ready' });
+
+        const metrics = await (await fetch(`http://localhost:${TEST_AGENT_PORT}/metrics`)).text();
+        assert.match(metrics, /^pan_agents_connected [1-9]/m);
+        assert.match(metrics, /^pan_auth_total\{result="success"\} [1-9]/m);
+        assert.match(metrics, /^pan_auth_duration_seconds_count [1-9]/m);
+    });
+
+    it('should refuse admin commands from agents without the admin purpose', async function() {
+        const alice = makeClient();
+        await alice.connect();
+
+        await assert.rejects(alice.admin('list_agents'), (err) => err.code === 'admin_not_permitted');
+        assert.strictEqual(alice.isConnected(), true);
+    });
+
+    it('should apply reloadable config changes without dropping agents', async function() {
+        const alice = makeClient();
+        await alice.connect();
+        await alice.joinGroup(uuid.v4(), ['chat']);
+
+        const config = nodeConfig();
+        config.group_manager = { max_groups_per_agent: 1 };
+        config.agent_server.port = TEST_AGENT_PORT + 1;
+
+        try {
+            const result = reloadConfig(config);
+            assert.deepStrictEqual(result.applied, ['group_manager.max_groups_per_agent']);
+            assert.deepStrictEqual(result.restartRequired, ['agent_server.port']);
+
+            assert.strictEqual(alice.isConnected(), true);
+            await assert.rejects(alice.joinGroup(uuid.v4(), ['chat']), (err) => err.code === 'agent_group_limit');
+        } finally {
+            reloadConfig(nodeConfig());
+        }
+    });
+
+    it('should keep the settings a failed reload step could not apply, and retry them', async function() {
+        const peerServer = panApp.use('peerServer');
+        const reconfigure = peerServer.reconfigure;
+
+        const config = nodeConfig();
+        config.group_manager = { max_groups_per_agent: 1 };
+        config.peer_server.bootstrap_retry_seconds = 20;
+
+        try {
+            peerServer.reconfigure = () => { throw new Error('peer server refused'); };
+
+            const result = reloadConfig(config);
+            assert.deepStrictEqual(result.applied, ['group_manager.max_groups_per_agent']);
+            assert.deepStrictEqual(result.failed, ['peer_server.bootstrap_retry_seconds']);
+
+            peerServer.reconfigure = reconfigure;
+
+            // only what did not take effect is applied again
+            const retried = reloadConfig(config);
+            assert.deepStrictEqual(retried.applied, ['peer_server.bootstrap_retry_seconds']);
+            assert.deepStrictEqual(retried.failed, []);
+        } finally {
+            peerServer.reconfigure = reconfigure;
+            reloadConfig(nodeConfig());
+        }
+    });
+
+    it('should correlate a request with its reply', async function() {
+        const alice = makeClient();
+        const bob = makeClient();
+        await alice.connect();
+        await bob.connect();
+
+        bob.on('direct', (msg) => {
+            bob.reply(msg, 'echo.reply', { echoed: msg.payload.value });
+        });
+
+        const reply = await alice.request({ node_id: bob.nodeId, conn_id: bob.connId }, 'echo', { value: 42 });
+        assert.strictEqual(reply.msg_type, 'echo.reply');
+        assert.deepStrictEqual(reply.payload, { echoed: 42 });
+    });
+
+    it('should get a delivery_ack for an acked direct message', async function() {
+        const alice = makeClient();
+        const bob = makeClient();
+        await alice.connect();
+        await bob.connect();
+
+        const received = new Promise((resolve) => bob.on('direct', resolve));
+        const ack = await alice.sendDirectAcked({ node_id: bob.nodeId, conn_id: bob.connId }, 'note', { n: 1 });
+
+        assert.strictEqual(ack.node_id, bob.nodeId);
+        assert.deepStrictEqual((await received).payload, { n: 1 });
+    });
+
+    it('should get request_timeout when a request is not answered', async function() {
+        const alice = makeClient();
+        const bob = makeClient();
+        await alice.connect();
+        await bob.connect();
+
+        await assert.rejects(
+            alice.request({ node_id: bob.nodeId, conn_id: bob.connId }, 'echo', {}, { timeout_ms: 300 }),
+            (err) => err.code === 'request_timeout'
+        );
+    });
+
+    it('should drop replies to requests that are not outstanding', async function() {
+        const alice = makeClient();
+        const bob = makeClient();
+        await alice.connect();
+        await bob.connect();
+
+        let received = false;
+        alice.on('direct', () => { received = true; });
+
+        bob.sendDirect({ node_id: alice.nodeId, conn_id: alice.connId }, 'echo.reply', {}, { in_response_to: uuid.v4() });
+        await new Promise((resolve) => setTimeout(resolve, 200));
+        assert.strictEqual(received, false);
+    });
+
+    it('should drop a late reply and tell its sender the request expired', async function() {
+        const alice = makeClient();
+        const bob = makeClient();
+        await alice.connect();
+        await bob.connect();
+
+        const request = new Promise((resolve) => bob.on('direct', resolve));
+        await assert.rejects(
+            alice.request({ node_id: bob.nodeId, conn_id: bob.connId }, 'echo', {}, { timeout_ms: 200 }),
+            (err) => err.code === 'request_timeout'
+        );
+
+        let received = false;
+        alice.on('direct', () => { received = true; });
+
+        const failed = new Promise((resolve) => bob.on('control', (msg) => {
+            if (msg.msg_type === 'delivery_failed') {
+                resolve(msg);
+            }
+        }));
+        const replyId = bob.reply(await request, 'echo.reply', {});
+
+        const failure = await failed;
+        assert.strictEqual(failure.payload.msg_id, replyId);
+        assert.strictEqual(failure.payload.reason, 'request_expired');
+        assert.strictEqual(received, false);
+    });
+
+    it('should reject a request to an unknown agent', async function() {
+        const alice = makeClient();
+        await alice.connect();
+
+        await assert.rejects(
+            alice.request({ node_id: alice.nodeId, conn_id: uuid.v4() }, 'echo', {}),
+            (err) => err.code === 'delivery_failed' && err.details.reason === 'unknown_agent'
+        );
+    });
+
+    it('should resume its session after the socket drops', async function() {
+        const alice = makeClient();
+        await alice.connect();
+        const connId = alice.connId;
+
+        const reconnected = new Promise((resolve) => alice.on('connected', resolve));
+        alice.ws.close();
+
+        const info = await reconnected;
+        assert.strictEqual(info.resumed, true);
+        assert.strictEqual(info.conn_id, connId);
+        assert.strictEqual(info.messages_dropped, 0);
+    });
+
+    it('should receive messages sent while it was disconnected', async function() {
+        const alice = makeClient();
+        const bob = makeClient();
+        await alice.connect();
+        await bob.connect();
+
+        const disconnected = new Promise((resolve) => alice.on('disconnected', resolve));
+        alice.ws.close();
+        await disconnected;
+
+        bob.sendDirect({ node_id: alice.nodeId, conn_id: alice.connId }, 'note', { n: 1 });
+        bob.sendDirect({ node_id: alice.nodeId, conn_id: alice.connId }, 'note', { n: 2 });
+
+        const received = [];
+        await new Promise((resolve) => alice.on('direct', (msg) => {
+            received.push(msg.payload.n);
+            if (received.length === 2) {
+                resolve();
+            }
+        }));
+        assert.deepStrictEqual(received, [1, 2]);
+    });
+});
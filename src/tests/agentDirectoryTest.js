@@ -0,0 +1,90 @@
+// tests/agentDirectoryTest.js
+const assert = require('assert');
+
+const panApp = require('../panApp');
+const nodeMessages = require('../utils/nodeMessages');
+const agentDirectory = require('../agent/agentDirectory');
+
+const NODE_A = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+
+// a connection that records the control messages it is sent
+const makeConn = (id, name, directory) => ({
+    id,
+    name,
+    directory: directory && agentDirectory.normalizeEntry(directory).entry,
+    received: [],
+    sendControl(msg) {
+        this.received.push(msg);
+    }
+});
+
+describe('Agent directory', function() {
+    let directory;
+    let agents;
+    let peerCount;
+    let asker;
+
+    const ask = (msgType, payload) => {
+        directory.handleQuery(asker, { msg_type: msgType, payload });
+        return asker.received[asker.received.length - 1]?.payload;
+    };
+
+    beforeEach(async function() {
+        asker = makeConn('asker', 'asker');
+        agents = [
+            asker,
+            makeConn('printer1', 'agent-1', { name: 'printer-3', tags: ['printer'], metadata: { floor: 3, color: true } }),
+            makeConn('printer2', 'agent-2', { tags: ['printer'], metadata: { floor: 4 } })
+        ];
+        peerCount = 0;
+        panApp.setSubsystem('agentRegistry', {
+            getAgents: () => agents,
+            getAgent: (connId) => agents.find((conn) => conn.id === connId)
+        });
+        panApp.setSubsystem('peerRegistry', { getPeerCount: () => peerCount });
+
+        directory = await agentDirectory.initialize({ query_timeout_ms: 20, max_results: 3 });
+    });
+
+    afterEach(async function() {
+        await directory.shutdown();
+    });
+
+    it('should find agents by their published name and by metadata', function() {
+        const byName = ask('lookup_agent', { name: 'printer-3', scope: 'local' });
+        assert.deepStrictEqual(byName.agents.map((agent) => [agent.conn_id, agent.agent_name]), [['printer1', 'printer-3']]);
+
+        // without a published name the node's name for the agent is used
+        assert.strictEqual(ask('lookup_agent', { name: 'agent-2', scope: 'local' }).agents[0].conn_id, 'printer2');
+
+        const byMetadata = ask('lookup_agent', { metadata: { floor: 3, color: true }, scope: 'local' });
+        assert.deepStrictEqual(byMetadata.agents.map((agent) => agent.conn_id), ['printer1']);
+        assert.strictEqual(ask('lookup_agent', { metadata: { floor: '3' }, scope: 'local' }).agents.length, 0);
+
+        assert.strictEqual(ask('lookup_agent', { metadata: { floor: [3] } }).error, 'invalid_query');
+        assert.strictEqual(ask('list_agents', { metadata: { floor: 3 } }).error, 'invalid_query');
+        assert.ok(agentDirectory.normalizeEntry({ name: '' }).error);
+    });
+
+    it('should stop taking other nodes\' results once it has max_results', async function() {
+        peerCount = 1;
+        let queryId;
+        const relay = ({ query_id: id }) => {
+            queryId = id;
+        };
+        nodeMessages.on('outbound:directory_query', relay);
+
+        ask('list_agents', { tag: 'printer' });
+        await new Promise((resolve) => setImmediate(resolve));
+        nodeMessages.off('outbound:directory_query', relay);
+
+        const remote = (n) => ({ node_id: NODE_A, conn_id: `remote${n}` });
+        directory.addRemoteResults(queryId, [remote(1), remote(2)]);
+        directory.addRemoteResults(queryId, [remote(3)]);
+
+        await new Promise((resolve) => setTimeout(resolve, 50));
+
+        const reply = asker.received[0].payload;
+        assert.deepStrictEqual(reply.agents.map((agent) => agent.conn_id), ['printer1', 'printer2', 'remote1']);
+    });
+});
@@ -0,0 +1,176 @@
+// tests/authRelayTest.js
+const assert = require('assert');
+const EventEmitter = require('events');
+const os = require('os');
+const path = require('path');
+const uuid = require('uuid');
+
+const panApp = require('../panApp');
+const nodeMessages = require('../utils/nodeMessages');
+const peerRegistry = require('../peer/peerRegistry');
+const peerRouter = require('../peer/peerRouter');
+const specialAgentRegistry = require('../peer/specialAgentRegistry');
+const agentAuthManager = require('../node/agentAuthManager');
+const { AgentConnection } = require('../peer/agentConnection');
+
+// The socket of a special agent. `answer` sees each auth_request and
+// returns the auth_reply payload to send back, or nothing to stay silent.
+class FakeAuthAgentSocket extends EventEmitter {
+    constructor(answer) {
+        super();
+        this.OPEN = 1;
+        this.readyState = this.OPEN;
+        this.requests = [];
+        this.answer = answer;
+    }
+
+    send(data) {
+        const msg = JSON.parse(data);
+        this.requests.push(msg);
+
+        const payload = msg.msg_type === 'auth_request' && this.answer(msg.payload);
+        if (payload) {
+            setImmediate(() => this.reply({ auth_request_id: msg.payload.auth_request_id, ...payload }));
+        }
+    }
+
+    reply(payload) {
+        this.emit('message', Buffer.from(JSON.stringify({
+            type: 'agent_control',
+            msg_type: 'auth_reply',
+            msg_id: uuid.v4(),
+            from: { node_id: panApp.getNodeId(), conn_id: this.connId },
+            ttl: 0,
+            payload
+        })));
+    }
+
+    close() {
+        this.readyState = 3;
+        this.emit('close');
+    }
+}
+
+describe('Auth relay to special agents', function() {
+    let router;
+    let auth;
+    let agents;
+
+    const addAuthAgent = (answer) => {
+        const socket = new FakeAuthAgentSocket(answer);
+        const agentConn = new AgentConnection(socket, 'auth', ['auth']);
+
+        socket.connId = agentConn.agentId;
+        agents.registerAgent(agentConn.agentId, { agentType: 'auth', capabilities: ['auth'], conn: agentConn });
+        return socket;
+    };
+
+    const authenticate = (authPayload) => new Promise((resolve) => auth.submitAuthRequest(authPayload, resolve));
+
+    const start = async (order, settings = {}) => {
+        auth = await agentAuthManager.initialize({
+            order,
+            max_tries: order.length,
+            timeout_ms: 100,
+            methods: { auth_agent: { type: 'special-agent', capability: 'auth' } },
+            ...settings
+        });
+        panApp.setSubsystem('agentAuthManager', auth);
+    };
+
+    before(async function() {
+        // the auth agent checks messages against this node's id
+        panApp.setSubsystem('peerRegistry', peerRegistry.initialize());
+        router = await peerRouter.initialize({
+            node_identifier: 'auth-relay-test',
+            persist_path: path.join(os.tmpdir(), 'pan-auth-relay-test-node-id.txt')
+        });
+    });
+
+    after(async function() {
+        await router.shutdown();
+    });
+
+    beforeEach(function() {
+        agents = specialAgentRegistry.initialize();
+        panApp.setSubsystem('specialAgentRegistry', agents);
+    });
+
+    afterEach(async function() {
+        await auth.shutdown();
+    });
+
+    it('should accept an agent the auth agent vouches for', async function() {
+        const socket = addAuthAgent(() => ({ success: true, agent_name: 'alice', vouchsafe_id: 'urn:vouchsafe:alice' }));
+        await start(['auth_agent']);
+
+        const result = await authenticate({ token: 'alice-token' });
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.info.agent_name, 'alice');
+        assert.strictEqual(result.info.vouchsafe_id, 'urn:vouchsafe:alice');
+        assert.deepStrictEqual(socket.requests[0].payload.auth, { token: 'alice-token' });
+    });
+
+    it('should report the auth agent\'s refusal', async function() {
+        addAuthAgent(() => ({ success: false, error: 'Not trusted' }));
+        await start(['auth_agent']);
+
+        assert.deepStrictEqual(await authenticate({ token: 'mallory-token' }), { success: false, error: 'Not trusted' });
+    });
+
+    it('should fail with a timeout when no auth agent answers', async function() {
+        addAuthAgent(() => null);
+        await start(['auth_agent']);
+
+        assert.deepStrictEqual(await authenticate({ token: 'alice-token' }), { success: false, error: 'Auth timeout' });
+    });
+
+    it('should retry with the next auth agent after a timeout', async function() {
+        const silent = addAuthAgent(() => null);
+        const answering = addAuthAgent(() => ({ success: true, agent_name: 'alice' }));
+        await start(['auth_agent', 'auth_agent']);
+
+        const result = await authenticate({ token: 'alice-token' });
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(silent.requests.length, 1);
+        assert.strictEqual(answering.requests.length, 1);
+
+        // the first agent's late answer changes nothing
+        silent.reply({ auth_request_id: silent.requests[0].payload.auth_request_id, success: false });
+    });
+
+    it('should move on from a refusing auth agent without waiting for the timeout', async function() {
+        this.timeout(1000);
+
+        const refusing = addAuthAgent(() => ({ success: false, error: 'Not trusted' }));
+        addAuthAgent(() => ({ success: true, agent_name: 'alice' }));
+        await start(['auth_agent', 'auth_agent'], { timeout_ms: 5000 });
+
+        const result = await authenticate({ token: 'alice-token' });
+
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(refusing.requests.length, 1);
+    });
+
+    it('should move on from an auth agent that disconnects before answering', async function() {
+        this.timeout(1000);
+
+        const leaving = addAuthAgent(() => null);
+        addAuthAgent(() => ({ success: true, agent_name: 'alice' }));
+        await start(['auth_agent', 'auth_agent'], { timeout_ms: 5000 });
+
+        const pending = authenticate({ token: 'alice-token' });
+        assert.strictEqual(leaving.requests.length, 1);
+        nodeMessages.emit('special_agent:disconnected', { agent_id: leaving.connId });
+
+        assert.strictEqual((await pending).success, true);
+    });
+
+    it('should fail at once when no agent has the auth capability', async function() {
+        await start(['auth_agent']);
+
+        assert.deepStrictEqual(await authenticate({ token: 'alice-token' }), { success: false, error: 'No agent available' });
+    });
+});
@@ -0,0 +1,143 @@
+// tests/capabilityRouterTest.js
+const assert = require('assert');
+
+const panApp = require('../panApp');
+const nodeMessages = require('../utils/nodeMessages');
+const agentRegistry = require('../agent/agentRegistry');
+const specialAgentRegistry = require('../peer/specialAgentRegistry');
+const capabilityRouter = require('../agent/capabilityRouter');
+
+const REQUEST_ID = 'aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee';
+
+// a connection that records what it is sent
+const makeConn = (id) => ({
+    id,
+    sent: [],
+    send(msg) {
+        this.sent.push(msg);
+    },
+    sendControl(msg) {
+        this.sent.push({ type: 'control', ...msg });
+    },
+    sendError(error) {
+        this.sent.push({ type: 'control', msg_type: 'error', error });
+    }
+});
+
+describe('Capability Router failover', function() {
+    let router;
+    let agents;
+    let providers;
+    let requester;
+
+    const addProvider = (id) => {
+        const conn = makeConn(id);
+        providers.registerAgent(id, { agentType: 'printer', capabilities: ['print'], conn });
+        return conn;
+    };
+
+    const removeProvider = async (id) => {
+        providers.unregisterAgent(id);
+        nodeMessages.emit('special_agent:disconnected', { agent_id: id });
+        await new Promise((resolve) => setImmediate(resolve));
+    };
+
+    const request = (from = requester) => router.routeRequest(from, {
+        type: 'direct',
+        msg_id: REQUEST_ID,
+        msg_type: 'print.job',
+        from: { node_id: panApp.getNodeId(), conn_id: from.id },
+        to_capability: 'print',
+        payload: { doc: 'a' }
+    });
+
+    beforeEach(async function() {
+        agents = await agentRegistry.initialize();
+        providers = specialAgentRegistry.initialize();
+        panApp.setSubsystem('agentRegistry', agents);
+        panApp.setSubsystem('specialAgentRegistry', providers);
+
+        router = await capabilityRouter.initialize();
+
+        requester = makeConn('requester');
+        agents.registerAgent(requester);
+    });
+
+    afterEach(async function() {
+        await router.shutdown();
+    });
+
+    it('should move a request to another provider when its provider leaves', async function() {
+        const first = addProvider('printer1');
+        const second = addProvider('printer2');
+
+        request();
+        assert.strictEqual(first.sent.length, 1);
+        assert.strictEqual(second.sent.length, 0);
+
+        await removeProvider('printer1');
+        assert.strictEqual(second.sent.length, 1);
+        assert.strictEqual(second.sent[0].msg_id, REQUEST_ID);
+
+        // the departed provider's answer no longer counts
+        assert.strictEqual(router.handleProviderReply(first, { in_response_to: REQUEST_ID }), false);
+
+        const handled = router.handleProviderReply(second, {
+            msg_type: 'print.done',
+            in_response_to: REQUEST_ID,
+            from: { conn_id: second.id },
+            payload: { ok: true }
+        });
+        assert.strictEqual(handled, true);
+        assert.strictEqual(requester.sent[0].in_response_to, REQUEST_ID);
+        assert.deepStrictEqual(requester.sent[0].payload, { ok: true });
+        assert.strictEqual(router.getOutstandingCount(), 0);
+    });
+
+    it('should keep apart two agents\' requests that share a msg_id', function() {
+        const printer = addProvider('printer1');
+        const other = makeConn('other');
+        agents.registerAgent(other);
+
+        request();
+        request(other);
+        assert.strictEqual(printer.sent.length, 2);
+        assert.strictEqual(router.getOutstandingCount(), 2);
+
+        const reply = (to) => router.handleProviderReply(printer, {
+            msg_type: 'print.done',
+            in_response_to: REQUEST_ID,
+            from: { conn_id: printer.id },
+            to: { node_id: panApp.getNodeId(), conn_id: to.id },
+            payload: { for: to.id }
+        });
+        assert.strictEqual(reply(other), true);
+        assert.strictEqual(reply(requester), true);
+
+        assert.deepStrictEqual(other.sent[0].payload, { for: 'other' });
+        assert.deepStrictEqual(requester.sent[0].payload, { for: 'requester' });
+        assert.strictEqual(router.getOutstandingCount(), 0);
+    });
+
+    it('should fail the request once every provider has left', async function() {
+        addProvider('printer1');
+
+        request();
+        await removeProvider('printer1');
+
+        assert.strictEqual(requester.sent[0].msg_type, 'delivery_failed');
+        assert.strictEqual(requester.sent[0].payload.reason, 'provider_disconnected');
+        assert.strictEqual(router.getOutstandingCount(), 0);
+    });
+
+    it('should fail at once with no_provider when nobody offers the capability', function() {
+        // a provider has to name at least one capability to register
+        assert.throws(() => providers.registerAgent('printer1', { agentType: 'printer', capabilities: [] }));
+        assert.throws(() => providers.registerAgent('printer1', { agentType: 'printer', capabilities: [''] }));
+
+        request();
+
+        assert.strictEqual(requester.sent[0].msg_type, 'delivery_failed');
+        assert.strictEqual(requester.sent[0].payload.reason, 'no_provider');
+    });
+});
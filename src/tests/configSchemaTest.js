@@ -0,0 +1,66 @@
+// tests/configSchemaTest.js
+const assert = require('assert');
+
+const { validateConfig } = require('../configSchema.js');
+
+const minimalConfig = () => ({
+    peer_server: { trusted_peers_config_file: 'trusted_peers.json' },
+    agent_server: { identity: { identity_file: 'pan_server.json' } }
+});
+
+describe('Config schema', function() {
+
+    it('should accept a minimal config and fill in defaults of present sections', function() {
+        const { config, errors, warnings } = validateConfig({
+            ...minimalConfig(),
+            group_manager: { history: { max_messages: 5 } }
+        });
+
+        assert.deepStrictEqual(errors, []);
+        assert.deepStrictEqual(warnings, []);
+        assert.strictEqual(config.agent_server.port, 5295);
+        assert.strictEqual(config.agent_server.identity.identity_file, 'pan_server.json');
+        assert.strictEqual(config.group_manager.max_groups_per_agent, 100);
+        assert.strictEqual(config.group_manager.history.mode, 'last');
+        assert.strictEqual(config.group_manager.history.max_messages, 5);
+        assert.strictEqual(config.session_store, undefined);
+    });
+
+    it('should default a session_store section to the file backend', function() {
+        const { config } = validateConfig({ ...minimalConfig(), session_store: {} });
+
+        assert.strictEqual(config.session_store.backend, 'file');
+    });
+
+    it('should report every problem at once', function() {
+        const { errors } = validateConfig({
+            peer_server: { port: '5874' },
+            logging: { log_level: 'loud' },
+            group_manager: { history: { mode: 'all' } },
+            agent_auth_manager: { order: ['missing'], methods: { local: { type: 'local' } } }
+        });
+
+        assert.deepStrictEqual(errors.sort(), [
+            'agent_auth_manager.order names \'missing\', which is not in agent_auth_manager.methods',
+            'agent_server is required',
+            'group_manager.history.mode must be one of last, per_msg_type, not "all"',
+            'logging.log_level must be one of error, warn, info, debug, verbose, silly, not "loud"',
+            'peer_server.port must be a whole number, not string',
+            'peer_server.trusted_peers_config_file is required'
+        ]);
+    });
+
+    it('should warn about unknown keys', function() {
+        const { errors, warnings } = validateConfig({
+            ...minimalConfig(),
+            client_server: { port: 5295 },
+            group_manager: { max_group: 5 }
+        });
+
+        assert.deepStrictEqual(errors, []);
+        assert.deepStrictEqual(warnings, [
+            'client_server is not a known setting; did you mean agent_server?',
+            'group_manager.max_group is not a known setting'
+        ]);
+    });
+});
@@ -0,0 +1,137 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const uuid = require('uuid');
+const { startNode, stopNode } = require('../main.js');
+const { PanClient } = require('../client/panClient');
+const {
+    createVouchsafeIdentity,
+    createAttestation,
+} = require('vouchsafe');
+
+const TEST_PEER_PORT = 5874;
+const TEST_AGENT_PORT = 5295;
+const SERVER_URN = JSON.parse(fs.readFileSync('data/pan_server.json', 'utf-8')).urn;
+
+describe('Group access policies', function() {
+    const policyFilePath = path.join(__dirname, 'group_policies.json');
+    const closedGroup = uuid.v4();
+    const statusGroup = uuid.v4();
+    let alice, bob;
+    let clients = [];
+
+    const connectAs = async (identity) => {
+        const client = new PanClient({
+            url: `ws://localhost:${TEST_AGENT_PORT}`,
+            server_urn: SERVER_URN,
+            token: () => createAttestation(identity.urn, identity.keypair, {
+                purpose: 'agent-connect',
+                identifier: identity.urn
+            }),
+            request_timeout_ms: 2000
+        });
+        clients.push(client);
+        await client.connect();
+        return client;
+    };
+
+    before(async function() {
+        alice = await createVouchsafeIdentity('alice');
+        bob = await createVouchsafeIdentity('bob');
+
+        fs.writeFileSync(policyFilePath, JSON.stringify({
+            groups: {
+                [closedGroup]: {
+                    join: [{ issuers: [alice.urn] }]
+                },
+                [statusGroup]: {
+                    broadcast: [{ issuers: [alice.urn], msg_types: ['status'] }]
+                }
+            }
+        }));
+
+        await startNode({
+            peer_server: {
+                port: TEST_PEER_PORT,
+                trusted_peers_config_file: "data/trusted_peers.json"
+            },
+            agent_server: {
+                port: TEST_AGENT_PORT,
+                connect_timeout: 3,
+                identity: {
+                    identity_file: "data/pan_server.json",
+                    server_name: "Jay's Server",
+                    welcome_message: "Welcome! Don't be a jerk.",
+                    helo_claims: {}
+                }
+            },
+            peer_router: {},
+            agent_router: {},
+            group_manager: {},
+            group_policy: { policy_file: policyFilePath },
+            agent_registry: {},
+            agent_auth_manager: {
+                order: ['local'],
+                max_tries: 1,
+                timeout_ms: 3000,
+                methods: {
+                    local: {
+                        type: "local",
+                        allow_untrusted_agents: true,
+                        trusted_agents_config_file: "data/trusted_agents.json"
+                    }
+                }
+            },
+            logging: { level: 'warn' }
+        });
+    });
+
+    after(async function() {
+        for (const client of clients) {
+            client.disconnect();
+        }
+        await stopNode();
+        fs.unlinkSync(policyFilePath);
+    });
+
+    it('should let a listed issuer join a closed group', async function() {
+        const client = await connectAs(alice);
+        const reply = await client.joinGroup(closedGroup, ['chat']);
+        assert.strictEqual(reply.status, 'ok');
+    });
+
+    it('should refuse other issuers with join_not_permitted', async function() {
+        const client = await connectAs(bob);
+        await assert.rejects(client.joinGroup(closedGroup, ['chat']), (err) => err.code === 'join_not_permitted');
+    });
+
+    it('should leave groups without a policy open', async function() {
+        const client = await connectAs(bob);
+        const reply = await client.joinGroup(uuid.v4(), ['chat']);
+        assert.strictEqual(reply.status, 'ok');
+    });
+
+    it('should only deliver broadcasts the policy allows', async function() {
+        const listener = await connectAs(bob);
+        const publisher = await connectAs(alice);
+        await listener.joinGroup(statusGroup, ['status', 'chat']);
+
+        const outsider = await connectAs(bob);
+        const publisherErrors = [];
+        const outsiderErrors = [];
+        publisher.on('control', (msg) => publisherErrors.push(msg.payload.error_type));
+        outsider.on('control', (msg) => outsiderErrors.push(msg.payload.error_type));
+
+        const received = [];
+        listener.on('broadcast', (msg) => received.push(msg.msg_type));
+
+        publisher.broadcast(statusGroup, 'chat', {});
+        outsider.broadcast(statusGroup, 'status', {});
+        publisher.broadcast(statusGroup, 'status', {});
+        await new Promise((resolve) => setTimeout(resolve, 200));
+
+        assert.deepStrictEqual(received, ['status']);
+        assert.deepStrictEqual(publisherErrors, ['msg_type_not_permitted']);
+        assert.deepStrictEqual(outsiderErrors, ['broadcast_not_permitted']);
+    });
+});
@@ -0,0 +1,131 @@
+// tests/groupManagerTest.js
+const assert = require('assert');
+const groupManager = require('../agent/groupManager');
+
+const GROUP = 'aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee';
+
+describe('Group Manager', function() {
+    let groups;
+
+    beforeEach(async function() {
+        groups = await groupManager.initialize();
+    });
+
+    it('should deliver exact msg_types to their subscribers only', function() {
+        groups.joinGroup('conn1', GROUP, ['chat.message']);
+        groups.joinGroup('conn2', GROUP, ['status']);
+
+        assert.deepStrictEqual([...groups.getGroupRecipients(GROUP, 'chat.message')], ['conn1']);
+        assert.strictEqual(groups.getGroupRecipients(GROUP, 'chat.typing').size, 0);
+    });
+
+    it('should match prefix and catch-all patterns', function() {
+        groups.joinGroup('conn1', GROUP, ['chat.*']);
+        groups.joinGroup('conn2', GROUP, ['*']);
+        groups.joinGroup('conn3', GROUP, ['chat.message']);
+
+        assert.deepStrictEqual([...groups.getGroupRecipients(GROUP, 'chat.message')].sort(), ['conn1', 'conn2', 'conn3']);
+        assert.deepStrictEqual([...groups.getGroupRecipients(GROUP, 'chat.typing')].sort(), ['conn1', 'conn2']);
+        assert.deepStrictEqual([...groups.getGroupRecipients(GROUP, 'chatter')], ['conn2']);
+    });
+
+    it('should stop matching patterns after leaving', function() {
+        groups.joinGroup('conn1', GROUP, ['chat.*']);
+        groups.leaveGroup('conn1', GROUP);
+
+        assert.strictEqual(groups.getGroupRecipients(GROUP, 'chat.message').size, 0);
+        assert.deepStrictEqual(groups.getAgentGroups('conn1'), []);
+    });
+
+    it('should reject malformed patterns', function() {
+        assert.throws(() => groups.joinGroup('conn1', GROUP, ['chat*']));
+        assert.throws(() => groups.joinGroup('conn1', GROUP, ['*.message']));
+    });
+
+    it('should count a pattern as a single msg_type toward the cap', function() {
+        const types = Array.from({ length: 99 }, (_, i) => `type${i}`);
+        groups.joinGroup('conn1', GROUP, [...types, 'chat.*']);
+
+        assert.throws(() => groups.joinGroup('conn1', GROUP, ['extra']));
+        assert.strictEqual(groups.getGroupRecipients(GROUP, 'extra').size, 0);
+    });
+    it('should report quota violations as typed errors', async function() {
+        const OTHER = 'ffffffff-bbbb-cccc-dddd-eeeeeeeeeeee';
+        groups = await groupManager.initialize({
+            max_groups: 2,
+            max_groups_per_agent: 1,
+            max_msg_types_per_group: 2,
+            groups: { [GROUP]: { max_members: 1 } }
+        });
+
+        groups.joinGroup('conn1', GROUP, ['a', 'b']);
+
+        assert.strictEqual(groups.checkJoin('conn1', GROUP, ['c']).error, 'msg_type_limit');
+        assert.strictEqual(groups.checkJoin('conn1', GROUP, ['a']).allowed, true);
+        assert.strictEqual(groups.checkJoin('conn2', GROUP, ['a']).error, 'group_full');
+        assert.strictEqual(groups.checkJoin('conn1', OTHER, ['a']).error, 'agent_group_limit');
+        assert.strictEqual(groups.checkJoin('conn2', OTHER, 'a').error, 'invalid_msg_types');
+
+        groups.joinGroup('conn2', OTHER, ['a']);
+        assert.strictEqual(groups.checkJoin('conn3', 'third', ['a']).error, 'max_groups_reached');
+        assert.throws(() => groups.joinGroup('conn3', 'third', ['a']), (err) => err.code === 'max_groups_reached');
+    });
+
+    it('should treat a zero limit as no cap and refuse negative ones', function() {
+        groups.setLimits({ max_groups: 0, max_groups_per_agent: 0, max_msg_types_per_group: 0, max_members_per_group: 1 });
+        const msgTypes = Array.from({ length: 150 }, (_, i) => `type${i}`);
+        for (let i = 0; i < 150; i++) {
+            groups.joinGroup('conn1', `group${i}`, msgTypes);
+        }
+        assert.strictEqual(groups.checkJoin('conn1', 'one-more', ['a']).allowed, true);
+
+        // a group's own 0 lifts the node-wide member cap
+        assert.strictEqual(groups.checkJoin('conn2', 'group0', ['a']).error, 'group_full');
+        groups.setLimits({ max_members_per_group: 1, groups: { group0: { max_members: 0 } } });
+        assert.strictEqual(groups.checkJoin('conn2', 'group0', ['a']).allowed, true);
+
+        groups.setLimits({ max_groups_per_agent: 1 });
+        assert.throws(() => groups.setLimits({ max_groups_per_agent: 0, max_groups: -1 }), /max_groups must be/);
+        assert.throws(() => groups.setLimits({ groups: { [GROUP]: { max_members: -1 } } }), /max_members must be/);
+
+        // a refused update leaves the previous limits in place
+        assert.strictEqual(groups.checkJoin('conn1', 'one-more', ['a']).error, 'agent_group_limit');
+    });
+
+    describe('history', function() {
+        const broadcast = (msgType, n) => ({
+            type: 'broadcast',
+            msg_id: `msg-${msgType}-${n}`,
+            group: GROUP,
+            msg_type: msgType,
+            payload: { n }
+        });
+
+        it('should replay the last broadcasts the agent subscribes to', async function() {
+            groups = await groupManager.initialize({ history: { max_messages: 3 } });
+
+            for (let n = 1; n <= 4; n++) {
+                groups.retainBroadcast(broadcast(n % 2 ? 'chat.message' : 'status', n));
+            }
+            groups.joinGroup('conn1', GROUP, ['chat.*']);
+
+            assert.deepStrictEqual(groups.getHistory('conn1', GROUP, 10).map((msg) => msg.payload.n), [3]);
+            groups.joinGroup('conn2', GROUP, ['*']);
+            assert.deepStrictEqual(groups.getHistory('conn2', GROUP, 2).map((msg) => msg.payload.n), [3, 4]);
+        });
+
+        it('should keep the last broadcast per msg_type within the byte limit', async function() {
+            groups = await groupManager.initialize({
+                history: { groups: { [GROUP]: { mode: 'per_msg_type', max_messages: 10, max_bytes: 300 } } }
+            });
+
+            ['a', 'b', 'a', 'c'].forEach((msgType, n) => groups.retainBroadcast(broadcast(msgType, n)));
+            groups.joinGroup('conn1', GROUP, ['*']);
+
+            // 'a' replaced its older copy, then 'b' was evicted to stay under 300 bytes
+            const retained = groups.getHistory('conn1', GROUP, 10);
+            assert.deepStrictEqual(retained.map((msg) => [msg.msg_type, msg.payload.n]), [['a', 2], ['c', 3]]);
+            assert.ok(groups.getHistoryStats().bytes <= 300);
+        });
+    });
+});
@@ -0,0 +1,189 @@
+// tests/meshTest.js
+const assert = require('assert');
+const { fork } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const uuid = require('uuid');
+const { createVouchsafeIdentity, createAttestation } = require('vouchsafe');
+
+const { PanClient } = require('../client/panClient');
+
+const NODE_COUNT = 3;
+const PEER_PORT = 15880;
+const AGENT_PORT = 15890;
+const TAG = 'mesh-test';
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolves with the first `event` the client emits.
+const nextEvent = (client, event) => new Promise((resolve) => {
+    const listener = (msg) => {
+        client.off(event, listener);
+        resolve(msg);
+    };
+    client.on(event, listener);
+});
+
+// Each node runs in its own process: node i dials node i - 1, so
+// agents on the first and last nodes are two hops apart.
+describe('Mesh of three nodes', function() {
+    this.timeout(20000);
+
+    let dir;
+    let nodes;
+    let first;
+    let last;
+
+    const startNode = (i, identity, trustFile) => {
+        const nodeDir = path.join(dir, `node${i}`);
+
+        fs.mkdirSync(nodeDir);
+        fs.writeFileSync(path.join(nodeDir, 'identity.json'), JSON.stringify(identity));
+        fs.writeFileSync(path.join(nodeDir, 'trusted_agents.json'), JSON.stringify({ trusted_issuers: {} }));
+        fs.writeFileSync(path.join(nodeDir, 'config.json'), JSON.stringify({
+            peer_server: {
+                port: PEER_PORT + i,
+                trusted_peers_config_file: trustFile,
+                identity: { identity_file: 'identity.json', peer_name: `mesh-node-${i}` },
+                bootstrap_peers: i > 0 ? [`ws://127.0.0.1:${PEER_PORT + i - 1}`] : [],
+                bootstrap_retry_seconds: 0.2
+            },
+            agent_server: {
+                port: AGENT_PORT + i,
+                identity: { identity_file: 'identity.json', server_name: `mesh-node-${i}` }
+            },
+            peer_router: { node_identifier: `mesh-node-${i}`, persist_path: 'node-id.txt', route_advertise_seconds: 0.2 },
+            agent_router: {},
+            group_manager: {},
+            agent_registry: {},
+            agent_directory: { query_timeout_ms: 200 },
+            agent_auth_manager: {
+                order: ['local'],
+                methods: {
+                    local: { type: 'local', allow_untrusted_agents: true, trusted_agents_config_file: 'trusted_agents.json' }
+                }
+            },
+            logging: { log_level: 'error' }
+        }));
+
+        const child = fork(path.join(__dirname, '..', 'main.js'), [], {
+            cwd: nodeDir,
+            env: { ...process.env, PAN_CONFIG: path.join(nodeDir, 'config.json') },
+            stdio: ['ignore', 'ignore', 'ignore', 'ipc']
+        });
+
+        return { child, identity, port: AGENT_PORT + i };
+    };
+
+    const stopNode = ({ child }) => new Promise((resolve) => {
+        if (child.exitCode !== null) {
+            return resolve();
+        }
+        const timer = setTimeout(() => child.kill('SIGKILL'), 3000);
+        child.once('exit', () => {
+            clearTimeout(timer);
+            resolve();
+        });
+        child.kill('SIGTERM');
+    });
+
+    // connects an agent, retrying while the node is still starting
+    const connectAgent = async (node, name) => {
+        const agentIdentity = await createVouchsafeIdentity(name);
+        const token = await createAttestation(agentIdentity.urn, agentIdentity.keypair, {
+            purpose: 'agent-connect',
+            identifier: name
+        });
+        const until = Date.now() + 10000;
+
+        for (;;) {
+            const client = new PanClient({
+                url: `ws://127.0.0.1:${node.port}`,
+                server_urn: node.identity.urn,
+                token,
+                agent_name: name,
+                directory: { tags: [TAG] },
+                reconnect: false,
+                request_timeout_ms: 2000
+            });
+            try {
+                await client.connect();
+                return client;
+            } catch (err) {
+                if (Date.now() > until) {
+                    throw err;
+                }
+                await delay(100);
+            }
+        }
+    };
+
+    before(async function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pan-mesh-test-'));
+        nodes = [];
+
+        const identities = [];
+        for (let i = 0; i < NODE_COUNT; i++) {
+            identities.push(await createVouchsafeIdentity(`mesh-node-${i}`));
+        }
+
+        // every node trusts every other
+        const trustFile = path.join(dir, 'trusted_peers.json');
+        fs.writeFileSync(trustFile, JSON.stringify({
+            trusted_issuers: Object.fromEntries(identities.map((identity) => [identity.urn, ['peer-connect']]))
+        }));
+
+        identities.forEach((identity, i) => nodes.push(startNode(i, identity, trustFile)));
+
+        first = await connectAgent(nodes[0], 'agent-first');
+        last = await connectAgent(nodes[NODE_COUNT - 1], 'agent-last');
+
+        // wait until the far node answers directory queries, i.e. routes span the chain
+        const until = Date.now() + 10000;
+        while (!(await last.listAgents({ tag: TAG })).some((agent) => agent.conn_id === first.connId)) {
+            if (Date.now() > until) {
+                throw new Error('mesh did not form in time');
+            }
+            await delay(200);
+        }
+    });
+
+    after(async function() {
+        [first, last].forEach((client) => client && client.disconnect());
+        await Promise.all((nodes || []).map(stopNode));
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should deliver a direct message from an agent two hops away', async function() {
+        const received = nextEvent(first, 'direct');
+
+        const ack = await last.sendDirectAcked({ node_id: first.nodeId, conn_id: first.connId }, 'hello', { n: 1 });
+
+        assert.strictEqual((await received).payload.n, 1);
+        assert.strictEqual(ack.to.conn_id, first.connId);
+    });
+
+    it('should pass a reply back to a requester two hops away', async function() {
+        last.on('direct', (msg) => {
+            if (msg.msg_type === 'echo') {
+                last.reply(msg, 'echo.reply', { echoed: msg.payload.value });
+            }
+        });
+
+        const reply = await first.request({ node_id: last.nodeId, conn_id: last.connId }, 'echo', { value: 7 });
+
+        assert.deepStrictEqual(reply.payload, { echoed: 7 });
+    });
+
+    it('should deliver a broadcast along the chain', async function() {
+        const group = uuid.v4();
+        await first.joinGroup(group, ['chat']);
+        await last.joinGroup(group, ['chat']);
+
+        const received = nextEvent(last, 'broadcast');
+        first.broadcast(group, 'chat', { text: 'hi' });
+
+        assert.strictEqual((await received).payload.text, 'hi');
+    });
+});
@@ -0,0 +1,122 @@
+// tests/panCliTest.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { main, checkConfigFile, UsageError } = require('../bin/pan.js');
+
+const ALICE = 'urn:vouchsafe:alice.aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const BOB = 'urn:vouchsafe:bob.bbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+
+describe('pan CLI', function() {
+    let dir;
+    let output;
+    let saved;
+
+    // run a command and return what it printed
+    const pan = async (...argv) => {
+        output = [];
+        const code = await main(argv);
+        return { code, lines: output };
+    };
+
+    const readJson = (file) => JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pan-cli-test-'));
+        saved = { log: console.log, warn: console.warn };
+        console.log = console.warn = (line) => output.push(line);
+    });
+
+    afterEach(function() {
+        console.log = saved.log;
+        console.warn = saved.warn;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('trust', function() {
+
+        it('should add, list and remove issuers and purposes', async function() {
+            const file = path.join(dir, 'trusted_agents.json');
+
+            assert.strictEqual((await pan('trust', 'add', file, ALICE, 'agent-connect')).code, 0);
+            await pan('trust', 'add', file, ALICE, 'agent-connect', 'pan-admin');
+            await pan('trust', 'add', file, BOB, 'pan-peer');
+            assert.deepStrictEqual(readJson(file).trusted_issuers, {
+                [ALICE]: ['agent-connect', 'pan-admin'],
+                [BOB]: ['pan-peer']
+            });
+
+            assert.deepStrictEqual((await pan('trust', 'list', file)).lines, [
+                `${ALICE}: agent-connect, pan-admin`,
+                `${BOB}: pan-peer`
+            ]);
+
+            // removing some purposes keeps the issuer, removing the last drops it
+            await pan('trust', 'remove', file, ALICE, 'pan-admin');
+            assert.deepStrictEqual(readJson(file).trusted_issuers[ALICE], ['agent-connect']);
+            await pan('trust', 'remove', file, ALICE, 'agent-connect');
+            await pan('trust', 'remove', file, BOB);
+            assert.deepStrictEqual(readJson(file).trusted_issuers, {});
+
+            await assert.rejects(pan('trust', 'remove', file, BOB), /is not in/);
+        });
+
+        it('should report bad arguments and options as usage errors', async function() {
+            const file = path.join(dir, 'trusted_agents.json');
+
+            await assert.rejects(pan('trust', 'add', file, 'alice', 'agent-connect'), UsageError);
+            await assert.rejects(pan('trust', 'list', file, '--bogus'), UsageError);
+            await assert.rejects(pan('token', 'attest', file, '--expires'), UsageError);
+            assert.strictEqual(fs.existsSync(file), false);
+
+            assert.strictEqual((await pan('trust', 'frobnicate')).code, 1);
+            assert.strictEqual((await pan('--help')).code, 0);
+        });
+    });
+
+    describe('checkConfigFile', function() {
+        const writeConfig = (config) => {
+            const file = path.join(dir, 'config.json5');
+            fs.writeFileSync(file, JSON.stringify(config));
+            return file;
+        };
+
+        it('should accept a config whose identity and trust files are readable', function() {
+            const identityFile = path.join(dir, 'pan_server.json');
+            const trustFile = path.join(dir, 'trusted_peers.json');
+
+            fs.writeFileSync(identityFile, JSON.stringify({ urn: ALICE, keypair: { privateKey: 'key' } }));
+            fs.writeFileSync(trustFile, JSON.stringify({ trusted_issuers: {} }));
+
+            const { errors } = checkConfigFile(writeConfig({
+                peer_server: { trusted_peers_config_file: trustFile },
+                agent_server: { identity: { identity_file: identityFile } }
+            }));
+            assert.deepStrictEqual(errors, []);
+        });
+
+        it('should report unreadable files alongside schema problems', function() {
+            const identityFile = path.join(dir, 'pan_server.json');
+            fs.writeFileSync(identityFile, JSON.stringify({ urn: ALICE }));
+
+            const { errors } = checkConfigFile(writeConfig({
+                peer_server: { port: 'x', trusted_peers_config_file: path.join(dir, 'missing.json') },
+                agent_server: { identity: { identity_file: identityFile } }
+            }));
+
+            assert.strictEqual(errors.length, 3);
+            assert.ok(errors.some((problem) => problem.startsWith('peer_server.port')));
+            assert.ok(errors.some((problem) => /^peer_server\.trusted_peers_config_file .*ENOENT/.test(problem)));
+            assert.ok(errors.some((problem) => /not a Vouchsafe identity/.test(problem)));
+        });
+
+        it('should report a config file that does not parse', function() {
+            const file = path.join(dir, 'config.json5');
+            fs.writeFileSync(file, '{ peer_server: ');
+
+            assert.strictEqual(checkConfigFile(file).errors.length, 1);
+        });
+    });
+});
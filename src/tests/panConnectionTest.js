@@ -0,0 +1,35 @@
+// tests/panConnectionTest.js
+const assert = require('assert');
+
+const { createPanConnection } = require('../agent/panConnection');
+
+// a socket that is down, so writes land in the outbox
+const closedSocket = () => ({ OPEN: 1, readyState: 3, send() {} });
+
+describe('PAN connection outbox', function() {
+
+    it('should count UTF-8 bytes, not characters', function() {
+        const conn = createPanConnection(closedSocket(), 'agent', 'test');
+        const payload = { text: 'héllo ✓' };
+        const bytes = Buffer.byteLength(JSON.stringify({ msg_id: 'm1', payload }));
+
+        conn.send({ msg_id: 'm1', payload });
+
+        assert.strictEqual(conn.stats.bytes_out, bytes);
+        assert.strictEqual(conn.outboxBytes, bytes);
+    });
+
+    it('should hold max_bytes to the bytes queued', function() {
+        const msg = { msg_id: 'm1', payload: { text: '✓✓✓✓' } };
+        const bytes = Buffer.byteLength(JSON.stringify(msg));
+        // fits by character count, not by bytes
+        const conn = createPanConnection(closedSocket(), 'agent', 'test', {
+            outbox: { max_bytes: bytes - 1 }
+        });
+
+        conn.send(msg);
+
+        assert.strictEqual(conn.outbox.length, 0);
+        assert.strictEqual(conn.messagesDropped, 1);
+    });
+});
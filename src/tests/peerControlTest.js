@@ -0,0 +1,242 @@
+// tests/peerControlTest.js
+const assert = require('assert');
+const { mock } = require('node:test');
+const os = require('os');
+const path = require('path');
+
+const panApp = require('../panApp');
+const peerRegistry = require('../peer/peerRegistry');
+const peerRouter = require('../peer/peerRouter');
+const peerControl = require('../peer/peerControl');
+
+const PEER_A = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+const PEER_B = 'bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb';
+const REMOTE = 'cccccccc-cccc-4ccc-8ccc-cccccccccccc';
+
+const PING_TIMEOUT_MS = 10000;
+const TRACEROUTE_TIMEOUT_MS = 10000;
+
+// A linked peer; `sent` collects what we send it, routing chatter aside.
+const fakePeer = (nodeId) => ({
+    nodeId,
+    sent: [],
+    details: { peer_name: `peer-${nodeId.slice(0, 1)}` },
+    isOpen: () => true,
+    sendMessage(msg) {
+        if (msg.msg_type !== 'route_advertisement') {
+            this.sent.push(msg);
+        }
+    }
+});
+
+// Our node links to A and B; REMOTE is one hop past B.
+describe('Peer control', function() {
+    let router;
+    let nodeId;
+    let peers;
+    let agent;
+
+    const agentRequest = (msgType, payload, ttl = 1) => ({
+        from: agent,
+        message: { type: 'control', msg_type: msgType, msg_id: `${msgType}-1`, ttl, payload }
+    });
+
+    const responses = (msgType) => agent.received.filter((msg) => msg.msg_type === msgType);
+
+    // a peer_control message arriving from `peerId`, sent by `fromNode`
+    const arrive = (peerId, fromNode, msgType, payload, ttl, to) => router.handleIncomingMessage(peerId, {
+        type: 'peer_control',
+        msg_type: msgType,
+        msg_id: `${msgType}-${Math.random()}`,
+        from: { node_id: fromNode, conn_id: fromNode },
+        ...(to ? { to: { node_id: to, conn_id: to } } : {}),
+        ttl,
+        payload
+    });
+
+    beforeEach(async function() {
+        const registry = peerRegistry.initialize();
+        panApp.setSubsystem('peerRegistry', registry);
+        router = await peerRouter.initialize({
+            node_identifier: 'peer-control-test',
+            persist_path: path.join(os.tmpdir(), 'pan-peer-control-test-node-id.txt')
+        });
+        panApp.setSubsystem('peerRouter', router);
+        nodeId = router.getNodeId();
+
+        peers = { [PEER_A]: fakePeer(PEER_A), [PEER_B]: fakePeer(PEER_B) };
+        Object.values(peers).forEach((peer) => registry.registerPeer(peer.nodeId, peer));
+        router.updateRoutingTable(PEER_A, { routes: [{ node_id: PEER_A, hops: 0, seq: 2 }] });
+        router.updateRoutingTable(PEER_B, {
+            routes: [{ node_id: PEER_B, hops: 0, seq: 2 }, { node_id: REMOTE, hops: 1, seq: 2 }]
+        });
+
+        agent = {
+            id: 'agent-1',
+            received: [],
+            sendControl(msg) {
+                this.received.push(msg);
+            }
+        };
+        panApp.setSubsystem('agentRegistry', { getAgent: (connId) => (connId === agent.id ? agent : undefined) });
+    });
+
+    afterEach(async function() {
+        mock.timers.reset();
+        peerControl.shutdown();
+        await router.shutdown();
+    });
+
+    describe('ping', function() {
+
+        it('should send an agent\'s ping toward a node two hops away and report its answer', function() {
+            peerControl.startAgentPing(agentRequest('ping_request', { dest_node_id: REMOTE, msg: 'hi' }));
+
+            const [ping] = peers[PEER_B].sent;
+            assert.strictEqual(ping.msg_type, 'ping');
+            assert.deepStrictEqual(ping.payload.path, [nodeId]);
+            // agents send ttl 1; the ping still has hops left past B
+            assert.strictEqual(ping.ttl, router.getMaxHops() - 1);
+            assert.strictEqual(peers[PEER_A].sent.length, 0);
+
+            arrive(PEER_B, REMOTE, 'ping_response', {
+                ping_id: ping.payload.ping_id,
+                status: 'ok',
+                node_id: REMOTE,
+                hops: 2,
+                path: [nodeId, PEER_B, REMOTE],
+                msg: 'hi'
+            }, 30, nodeId);
+
+            const [response] = responses('ping_response');
+            assert.strictEqual(response.payload.status, 'ok');
+            assert.strictEqual(response.payload.hops, 2);
+            assert.deepStrictEqual(response.payload.path, [nodeId, PEER_B, REMOTE]);
+            assert.strictEqual(response.payload.msg, 'hi');
+        });
+
+        it('should pass a ping on toward its destination, adding itself to the path', function() {
+            arrive(PEER_A, PEER_A, 'ping', { ping_id: 'ping-1', dest_node_id: REMOTE, path: [PEER_A] }, 5);
+
+            const [ping] = peers[PEER_B].sent;
+            assert.strictEqual(ping.ttl, 4);
+            assert.deepStrictEqual(ping.payload.path, [PEER_A, nodeId]);
+        });
+
+        it('should tell the origin when the ping runs out of hops', function() {
+            arrive(PEER_A, PEER_A, 'ping', { ping_id: 'ping-1', dest_node_id: REMOTE, path: [PEER_A] }, 0);
+
+            assert.strictEqual(peers[PEER_B].sent.length, 0);
+            const [response] = peers[PEER_A].sent;
+            assert.strictEqual(response.msg_type, 'ping_response');
+            assert.strictEqual(response.payload.status, 'ttl_expired');
+            assert.deepStrictEqual(response.payload.path, [PEER_A, nodeId]);
+        });
+
+        it('should drop a ping that has already passed through this node', function() {
+            arrive(PEER_A, PEER_A, 'ping', { ping_id: 'ping-1', dest_node_id: REMOTE, path: [PEER_A, nodeId, PEER_B] }, 5);
+
+            assert.strictEqual(peers[PEER_A].sent.length, 0);
+            assert.strictEqual(peers[PEER_B].sent.length, 0);
+        });
+
+        it('should report a timeout when no answer comes back', function() {
+            mock.timers.enable({ apis: ['setTimeout'] });
+            peerControl.startAgentPing(agentRequest('ping_request', { dest_node_id: REMOTE, msg: 'hi' }));
+
+            mock.timers.tick(PING_TIMEOUT_MS - 1);
+            assert.strictEqual(responses('ping_response').length, 0);
+
+            mock.timers.tick(1);
+            const [response] = responses('ping_response');
+            assert.strictEqual(response.payload.status, 'timeout');
+            assert.strictEqual(response.payload.node_id, REMOTE);
+
+            // a late answer changes nothing
+            arrive(PEER_B, REMOTE, 'ping_response', {
+                ping_id: peers[PEER_B].sent[0].payload.ping_id,
+                status: 'ok',
+                path: [nodeId, PEER_B, REMOTE]
+            }, 30, nodeId);
+            assert.strictEqual(responses('ping_response').length, 1);
+        });
+    });
+
+    describe('traceroute', function() {
+
+        // a hop's report, sent back to us by `hopNode`
+        const report = (traceId, hop, hopNode, status) => arrive(PEER_B, hopNode, 'traceroute_hop', {
+            trace_id: traceId,
+            hop,
+            node_id: hopNode,
+            peer_name: `peer-${hop}`,
+            status
+        }, 30, nodeId);
+
+        it('should list every hop to a node two hops away once all their reports are in', function() {
+            mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+            peerControl.startAgentTraceroute(agentRequest('traceroute_request', { dest_node_id: REMOTE }));
+
+            const [probe] = peers[PEER_B].sent;
+            assert.strictEqual(probe.msg_type, 'traceroute');
+            assert.strictEqual(probe.payload.hop, 1);
+            assert.strictEqual(probe.payload.peer_name, 'peer-b');
+            assert.strictEqual(probe.ttl, router.getMaxHops() - 1);
+
+            // the last hop's report overtakes the first's
+            mock.timers.tick(30);
+            report(probe.payload.trace_id, 2, REMOTE, 'reached');
+            assert.strictEqual(responses('traceroute_response').length, 0);
+            mock.timers.tick(10);
+            report(probe.payload.trace_id, 1, PEER_B, 'transit');
+
+            const [response] = responses('traceroute_response');
+            assert.strictEqual(response.payload.status, 'reached');
+            assert.deepStrictEqual(response.payload.hops, [
+                { hop: 1, node_id: PEER_B, peer_name: 'peer-1', rtt_ms: 40, latency_ms: 40 },
+                { hop: 2, node_id: REMOTE, peer_name: 'peer-2', rtt_ms: 30, latency_ms: 0 }
+            ]);
+        });
+
+        it('should subtract the previous hop\'s round trip from each hop\'s latency', function() {
+            mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+            peerControl.startAgentTraceroute(agentRequest('traceroute_request', { dest_node_id: REMOTE }));
+            const traceId = peers[PEER_B].sent[0].payload.trace_id;
+
+            mock.timers.tick(10);
+            report(traceId, 1, PEER_B, 'transit');
+            mock.timers.tick(25);
+            report(traceId, 2, REMOTE, 'reached');
+
+            const [response] = responses('traceroute_response');
+            assert.deepStrictEqual(response.payload.hops.map((hop) => [hop.rtt_ms, hop.latency_ms]), [[10, 10], [35, 25]]);
+        });
+
+        it('should report itself to the origin and pass the probe on', function() {
+            arrive(PEER_A, PEER_A, 'traceroute', { trace_id: 'trace-1', dest_node_id: REMOTE, hop: 1, peer_name: 'me' }, 5);
+
+            const [hopReport] = peers[PEER_A].sent;
+            assert.strictEqual(hopReport.msg_type, 'traceroute_hop');
+            assert.deepStrictEqual(hopReport.payload, {
+                trace_id: 'trace-1', hop: 1, node_id: nodeId, peer_name: 'me', status: 'transit'
+            });
+
+            const [probe] = peers[PEER_B].sent;
+            assert.strictEqual(probe.ttl, 4);
+            assert.strictEqual(probe.payload.hop, 2);
+            assert.strictEqual(probe.payload.peer_name, 'peer-b');
+        });
+
+        it('should report the hops seen so far when the trace times out', function() {
+            mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+            peerControl.startAgentTraceroute(agentRequest('traceroute_request', { dest_node_id: REMOTE }));
+            report(peers[PEER_B].sent[0].payload.trace_id, 1, PEER_B, 'transit');
+
+            mock.timers.tick(TRACEROUTE_TIMEOUT_MS);
+
+            const [response] = responses('traceroute_response');
+            assert.strictEqual(response.payload.status, 'timeout');
+            assert.deepStrictEqual(response.payload.hops.map((hop) => hop.node_id), [PEER_B]);
+        });
+    });
+});
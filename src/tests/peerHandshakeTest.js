@@ -0,0 +1,260 @@
+// tests/peerHandshakeTest.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const uuid = require('uuid');
+const WebSocket = require('ws');
+const { createVouchsafeIdentity, createAttestation, validateVouchToken } = require('vouchsafe');
+
+const panApp = require('../panApp');
+const peerRegistry = require('../peer/peerRegistry');
+const peerRouter = require('../peer/peerRouter');
+const peerServer = require('../peer/peerServer');
+
+const PEER_PORT = 15874;
+const REMOTE_PORT = 15875;
+const RETRY_SECONDS = 0.2;
+
+// node_ids either side of ours, for the duplicate-connection tie-break
+const REMOTE_LOW = '00000000-0000-4000-8000-000000000001';
+const REMOTE_HIGH = 'ffffffff-ffff-4fff-bfff-ffffffffffff';
+
+const nextMessage = (ws) => new Promise((resolve) => {
+    ws.once('message', (data) => resolve(JSON.parse(data.toString())));
+});
+
+const closed = (ws) => new Promise((resolve) => {
+    if (ws.readyState === WebSocket.CLOSED) {
+        return resolve();
+    }
+    ws.once('close', resolve);
+});
+
+const waitFor = async (check, ms = 2000) => {
+    const until = Date.now() + ms;
+    while (!check()) {
+        if (Date.now() > until) {
+            throw new Error('condition not met in time');
+        }
+        await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+};
+
+describe('Peer handshake', function() {
+    let dir;
+    let router;
+    let server;
+    let peers;
+    let remoteIdentity;
+    let sockets;
+    let fakeServer;
+
+    // a hello or hello_ack from the remote node, played by the test
+    const remoteMessage = async (msgType, nodeId, { peerNonce, nonce } = {}) => JSON.stringify({
+        type: 'peer_control',
+        msg_type: msgType,
+        msg_id: uuid.v4(),
+        from: { node_id: nodeId, conn_id: nodeId },
+        ttl: 0,
+        payload: {
+            node_id: nodeId,
+            token: await createAttestation(remoteIdentity.urn, remoteIdentity.keypair, {
+                purpose: 'peer-connect',
+                node_id: nodeId,
+                ...(peerNonce ? { peer_nonce: peerNonce } : {}),
+                exp: Math.floor(Date.now() / 1000) + 60
+            }),
+            tokens: [],
+            ...(nonce ? { nonce } : {})
+        }
+    });
+
+    // dials our node as `nodeId` and runs the handshake up to our hello
+    const dialIn = async (nodeId, hello) => {
+        const ws = new WebSocket(`ws://127.0.0.1:${PEER_PORT}`);
+        sockets.push(ws);
+        await new Promise((resolve) => ws.once('open', resolve));
+
+        const nonce = uuid.v4();
+        ws.send(hello || await remoteMessage('hello', nodeId, { nonce }));
+        return { ws, nonce, reply: await nextMessage(ws) };
+    };
+
+    // answers our node's dial as `nodeId`; `bindTo` picks the nonce to sign
+    const acceptDials = (nodeId, bindTo = (hello) => hello.payload.nonce) => {
+        const dials = [];
+        fakeServer = new WebSocket.Server({ port: REMOTE_PORT });
+        fakeServer.on('connection', (ws) => {
+            const dial = { ws, nonce: uuid.v4() };
+            dials.push(dial);
+            ws.once('message', async (data) => {
+                dial.hello = JSON.parse(data.toString());
+                dial.ack = nextMessage(ws);
+                ws.send(await remoteMessage('hello', nodeId, { peerNonce: bindTo(dial.hello), nonce: dial.nonce }));
+            });
+        });
+        return dials;
+    };
+
+    const dialOut = () => server.reconfigure({
+        bootstrap_peers: [`ws://127.0.0.1:${REMOTE_PORT}`],
+        bootstrap_retry_seconds: RETRY_SECONDS
+    });
+
+    before(async function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pan-peer-handshake-test-'));
+        remoteIdentity = await createVouchsafeIdentity('remote');
+
+        const identityFile = path.join(dir, 'pan_node.json');
+        const trustFile = path.join(dir, 'trusted_peers.json');
+        fs.writeFileSync(identityFile, JSON.stringify(await createVouchsafeIdentity('local')));
+        fs.writeFileSync(trustFile, JSON.stringify({ trusted_issuers: { [remoteIdentity.urn]: ['peer-connect'] } }));
+
+        peers = peerRegistry.initialize();
+        panApp.setSubsystem('peerRegistry', peers);
+        router = await peerRouter.initialize({
+            node_identifier: 'peer-handshake-test',
+            persist_path: path.join(dir, 'node-id.txt')
+        });
+        panApp.setSubsystem('peerRouter', router);
+
+        server = await peerServer.initialize({
+            port: PEER_PORT,
+            trusted_peers_config_file: trustFile,
+            identity: { identity_file: identityFile, peer_name: 'local' },
+            bootstrap_retry_seconds: RETRY_SECONDS
+        });
+    });
+
+    after(async function() {
+        await server.shutdown();
+        await router.shutdown();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(function() {
+        sockets = [];
+        fakeServer = null;
+    });
+
+    afterEach(async function() {
+        server.reconfigure({ bootstrap_peers: [], bootstrap_retry_seconds: RETRY_SECONDS });
+        sockets.forEach((ws) => ws.close());
+        peers.getPeers().forEach((peer) => peer.close());
+        if (fakeServer) {
+            fakeServer.clients.forEach((ws) => ws.close());
+            await new Promise((resolve) => fakeServer.close(resolve));
+        }
+        await waitFor(() => peers.getPeerCount() === 0);
+    });
+
+    describe('accepting', function() {
+
+        it('should register a dialing peer once its hello_ack signs our nonce', async function() {
+            const { ws, nonce, reply } = await dialIn(REMOTE_HIGH);
+
+            assert.strictEqual(reply.msg_type, 'hello');
+            assert.strictEqual((await validateVouchToken(reply.payload.token)).peer_nonce, nonce);
+            assert.strictEqual(peers.getPeer(REMOTE_HIGH), undefined);
+
+            ws.send(await remoteMessage('hello_ack', REMOTE_HIGH, { peerNonce: reply.payload.nonce }));
+
+            await waitFor(() => peers.getPeer(REMOTE_HIGH));
+            assert.strictEqual(peers.getPeer(REMOTE_HIGH).direction, 'inbound');
+        });
+
+        it('should refuse a captured handshake played back', async function() {
+            const hello = await remoteMessage('hello', REMOTE_HIGH, { nonce: uuid.v4() });
+            const first = await dialIn(REMOTE_HIGH, hello);
+            const ack = await remoteMessage('hello_ack', REMOTE_HIGH, { peerNonce: first.reply.payload.nonce });
+            first.ws.send(ack);
+            await waitFor(() => peers.getPeer(REMOTE_HIGH));
+            first.ws.close();
+            await waitFor(() => !peers.getPeer(REMOTE_HIGH));
+
+            // the same two messages again: our new nonce is not in the ack
+            const replay = await dialIn(REMOTE_HIGH, hello);
+            assert.notStrictEqual(replay.reply.payload.nonce, first.reply.payload.nonce);
+            replay.ws.send(ack);
+
+            await closed(replay.ws);
+            assert.strictEqual(peers.getPeer(REMOTE_HIGH), undefined);
+        });
+
+        it('should refuse a hello without a nonce', async function() {
+            const { ws, reply } = await dialIn(REMOTE_HIGH, await remoteMessage('hello', REMOTE_HIGH));
+
+            assert.strictEqual(reply.msg_type, 'error');
+            await closed(ws);
+        });
+    });
+
+    describe('dialing', function() {
+
+        it('should link to a bootstrap peer whose hello signs our nonce', async function() {
+            const dials = acceptDials(REMOTE_HIGH);
+            dialOut();
+
+            await waitFor(() => peers.getPeer(REMOTE_HIGH));
+            const ack = await dials[0].ack;
+
+            assert.strictEqual(ack.msg_type, 'hello_ack');
+            assert.strictEqual((await validateVouchToken(ack.payload.token)).peer_nonce, dials[0].nonce);
+            assert.strictEqual(peers.getPeer(REMOTE_HIGH).direction, 'outbound');
+        });
+
+        it('should hang up on a bootstrap peer whose hello was made for another handshake', async function() {
+            const dials = acceptDials(REMOTE_HIGH, () => uuid.v4());
+            dialOut();
+
+            await waitFor(() => dials.length === 1);
+            await closed(dials[0].ws);
+            assert.strictEqual(peers.getPeer(REMOTE_HIGH), undefined);
+        });
+
+        it('should redial a bootstrap peer after the retry delay when the link drops', async function() {
+            const dials = acceptDials(REMOTE_HIGH);
+            dialOut();
+
+            await waitFor(() => peers.getPeer(REMOTE_HIGH));
+            const droppedAt = Date.now();
+            dials[0].ws.close();
+
+            await waitFor(() => dials.length === 2 && peers.getPeer(REMOTE_HIGH));
+            assert.ok(Date.now() - droppedAt >= RETRY_SECONDS * 1000);
+        });
+    });
+
+    describe('duplicate connections', function() {
+
+        // link in from the remote first, then dial it too
+        const linkBothWays = async (nodeId) => {
+            const inbound = await dialIn(nodeId);
+            inbound.ws.send(await remoteMessage('hello_ack', nodeId, { peerNonce: inbound.reply.payload.nonce }));
+            await waitFor(() => peers.getPeer(nodeId));
+
+            const dials = acceptDials(nodeId);
+            dialOut();
+            await waitFor(() => dials.length === 1);
+            await dials[0].ack;
+            return { inbound, outbound: dials[0] };
+        };
+
+        it('should keep the link we dialed when our node_id is lower', async function() {
+            const { inbound } = await linkBothWays(REMOTE_HIGH);
+
+            await closed(inbound.ws);
+            await waitFor(() => peers.getPeer(REMOTE_HIGH));
+            assert.strictEqual(peers.getPeer(REMOTE_HIGH).direction, 'outbound');
+        });
+
+        it('should keep the link the remote dialed when its node_id is lower', async function() {
+            const { inbound, outbound } = await linkBothWays(REMOTE_LOW);
+
+            await closed(outbound.ws);
+            assert.strictEqual(inbound.ws.readyState, WebSocket.OPEN);
+            assert.strictEqual(peers.getPeer(REMOTE_LOW).direction, 'inbound');
+        });
+    });
+});
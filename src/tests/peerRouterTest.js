@@ -0,0 +1,92 @@
+// tests/peerRouterTest.js
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+
+const panApp = require('../panApp');
+const nodeMessages = require('../utils/nodeMessages');
+const peerRegistry = require('../peer/peerRegistry');
+const peerRouter = require('../peer/peerRouter');
+
+const PEER_A = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+const PEER_B = 'bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb';
+const REMOTE = 'cccccccc-cccc-4ccc-8ccc-cccccccccccc';
+
+const ROUTE_INFINITY = 32;
+
+describe('Peer Router routing table', function() {
+    let router;
+
+    const routeTo = (nodeId) => router.getRoutes().find((route) => route.node_id === nodeId);
+
+    beforeEach(async function() {
+        panApp.setSubsystem('peerRegistry', peerRegistry.initialize());
+        router = await peerRouter.initialize({
+            node_identifier: 'peer-router-test',
+            persist_path: path.join(os.tmpdir(), 'pan-peer-router-test-node-id.txt')
+        });
+    });
+
+    afterEach(async function() {
+        await router.shutdown();
+    });
+
+    it('should learn routes one hop further than advertised', function() {
+        router.updateRoutingTable(PEER_A, {
+            routes: [
+                { node_id: PEER_A, hops: 0, seq: 10 },
+                { node_id: REMOTE, hops: 1, seq: 20 },
+                { node_id: router.getNodeId(), hops: 1, seq: 30 },
+                { node_id: 'not-a-node', hops: 1, seq: 40 }
+            ]
+        });
+
+        assert.deepStrictEqual(router.getRoutes().map((route) => route.node_id).sort(), [PEER_A, REMOTE]);
+        assert.strictEqual(routeTo(REMOTE).via, PEER_A);
+        assert.strictEqual(routeTo(REMOTE).hops, 2);
+        assert.strictEqual(routeTo(REMOTE).seq, 20);
+    });
+
+    it('should take newer or shorter routes, and any update from the current next hop', function() {
+        router.updateRoutingTable(PEER_A, { routes: [{ node_id: REMOTE, hops: 3, seq: 20 }] });
+
+        // same age and shorter
+        router.updateRoutingTable(PEER_B, { routes: [{ node_id: REMOTE, hops: 1, seq: 20 }] });
+        assert.strictEqual(routeTo(REMOTE).via, PEER_B);
+
+        // same age, longer, from a peer we don't route through
+        router.updateRoutingTable(PEER_A, { routes: [{ node_id: REMOTE, hops: 2, seq: 20 }] });
+        assert.strictEqual(routeTo(REMOTE).via, PEER_B);
+
+        // same age, longer, from the current next hop
+        router.updateRoutingTable(PEER_B, { routes: [{ node_id: REMOTE, hops: 4, seq: 20 }] });
+        assert.strictEqual(routeTo(REMOTE).hops, 5);
+
+        // newer, even though longer
+        router.updateRoutingTable(PEER_A, { routes: [{ node_id: REMOTE, hops: 6, seq: 22 }] });
+        assert.strictEqual(routeTo(REMOTE).via, PEER_A);
+        assert.strictEqual(routeTo(REMOTE).hops, 7);
+    });
+
+    it('should invalidate routes through a lost peer until the destination advertises again', async function() {
+        router.updateRoutingTable(PEER_A, { routes: [{ node_id: REMOTE, hops: 1, seq: 20 }] });
+        router.updateRoutingTable(PEER_B, { routes: [{ node_id: PEER_B, hops: 0, seq: 8 }] });
+
+        nodeMessages.emit('peer:disconnected', { node_id: PEER_A });
+        await new Promise((resolve) => setImmediate(resolve));
+
+        assert.strictEqual(routeTo(REMOTE).hops, ROUTE_INFINITY);
+        assert.strictEqual(routeTo(REMOTE).seq, 21);
+        assert.strictEqual(router.getRoute(REMOTE), null);
+        assert.strictEqual(routeTo(PEER_B).hops, 1);
+
+        // a stale copy still circulating does not bring it back
+        router.updateRoutingTable(PEER_B, { routes: [{ node_id: REMOTE, hops: 1, seq: 20 }] });
+        assert.strictEqual(routeTo(REMOTE).hops, ROUTE_INFINITY);
+
+        // the destination's next sequence number does
+        router.updateRoutingTable(PEER_B, { routes: [{ node_id: REMOTE, hops: 1, seq: 22 }] });
+        assert.strictEqual(routeTo(REMOTE).via, PEER_B);
+        assert.strictEqual(routeTo(REMOTE).hops, 2);
+    });
+});
@@ -0,0 +1,40 @@
+// tests/seenCacheTest.js
+const assert = require('assert');
+
+const { createSeenCache } = require('../utils/seenCache.js');
+
+describe('Seen cache', function() {
+
+    it('should report an id as seen only after it was added', function() {
+        const seen = createSeenCache();
+
+        assert.strictEqual(seen.checkAndAdd('msg1'), false);
+        assert.strictEqual(seen.checkAndAdd('msg1'), true);
+        assert.strictEqual(seen.has('msg2'), false);
+    });
+
+    it('should forget ids once their window has passed', async function() {
+        const seen = createSeenCache({ window_seconds: 0.05 });
+
+        seen.add('msg1');
+        await new Promise((resolve) => setTimeout(resolve, 80));
+
+        assert.strictEqual(seen.has('msg1'), false);
+        assert.strictEqual(seen.checkAndAdd('msg1'), false);
+
+        // expired entries are pruned on the next add
+        assert.strictEqual(seen.size(), 1);
+    });
+
+    it('should drop the oldest ids beyond max_entries', function() {
+        const seen = createSeenCache({ max_entries: 2 });
+
+        seen.add('msg1');
+        seen.add('msg2');
+        seen.add('msg3');
+
+        assert.strictEqual(seen.size(), 2);
+        assert.strictEqual(seen.has('msg1'), false);
+        assert.strictEqual(seen.has('msg3'), true);
+    });
+});
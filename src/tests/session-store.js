@@ -0,0 +1,73 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const panApp = require('../panApp');
+const agentRegistry = require('../agent/agentRegistry');
+const groupManager = require('../agent/groupManager');
+const sessionStore = require('../agent/sessionStore');
+
+const GROUP = 'aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee';
+
+describe('Session store', function() {
+    const sessionFile = path.join(__dirname, 'test_agent_sessions.json');
+    const config = { backend: 'file', file: sessionFile };
+
+    beforeEach(async function() {
+        fs.rmSync(sessionFile, { force: true });
+        panApp.setSubsystem('agentRegistry', await agentRegistry.initialize());
+        panApp.setSubsystem('groupManager', await groupManager.initialize());
+    });
+
+    after(function() {
+        fs.rmSync(sessionFile, { force: true });
+    });
+
+    it('should save sessions and their groups for the next run', async function() {
+        const conn = { id: 'conn1', name: 'alice', vouchsafe_id: 'urn:vouchsafe:alice' };
+        const authKey = panApp.use('agentRegistry').registerAgent(conn);
+        panApp.use('groupManager').joinGroup('conn1', GROUP, ['chat.*'], { presence: true });
+
+        const firstRun = await sessionStore.initialize(config);
+        await firstRun.shutdown();
+
+        const secondRun = await sessionStore.initialize(config);
+        assert.strictEqual(secondRun.claimSession('conn1', 'wrong-key'), null);
+
+        const session = secondRun.claimSession('conn1', authKey);
+        assert.strictEqual(session.agent_name, 'alice');
+        assert.strictEqual(session.vouchsafe_id, 'urn:vouchsafe:alice');
+        assert.deepStrictEqual(session.groups, [{ group: GROUP, msg_types: ['chat.*'], presence: true }]);
+
+        // A session can only be claimed once
+        assert.strictEqual(secondRun.claimSession('conn1', authKey), null);
+        await secondRun.shutdown();
+    });
+
+    it('should save to a file unless the node has no session_store section', async function() {
+        const authKey = panApp.use('agentRegistry').registerAgent({ id: 'conn1', name: 'alice' });
+
+        const unconfigured = await sessionStore.initialize();
+        await unconfigured.shutdown();
+        assert.strictEqual(fs.existsSync(sessionFile), false);
+
+        const firstRun = await sessionStore.initialize({ file: sessionFile });
+        await firstRun.shutdown();
+        assert.strictEqual(fs.existsSync(sessionFile), true);
+
+        const secondRun = await sessionStore.initialize({ file: sessionFile });
+        assert.strictEqual(secondRun.claimSession('conn1', authKey).agent_name, 'alice');
+        await secondRun.shutdown();
+    });
+
+    it('should not offer sessions once the resume window has closed', async function() {
+        const authKey = panApp.use('agentRegistry').registerAgent({ id: 'conn1', name: 'alice' });
+
+        const firstRun = await sessionStore.initialize(config);
+        await firstRun.shutdown();
+
+        const secondRun = await sessionStore.initialize({ ...config, resume_window_seconds: 0.05 });
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        assert.strictEqual(secondRun.claimSession('conn1', authKey), null);
+        await secondRun.shutdown();
+    });
+});
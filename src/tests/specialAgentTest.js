@@ -0,0 +1,218 @@
+// tests/specialAgentTest.js
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const uuid = require('uuid');
+const WebSocket = require('ws');
+const { startNode, stopNode } = require('../main.js');
+const panApp = require('../panApp');
+const { PanClient } = require('../client/panClient');
+const {
+    createVouchsafeIdentity,
+    createAttestation,
+} = require('vouchsafe');
+
+const TEST_PEER_PORT = 5874;
+const TEST_AGENT_PORT = 5295;
+const SERVER_URN = JSON.parse(fs.readFileSync('data/pan_server.json', 'utf-8')).urn;
+const NULL_ID = '00000000-0000-0000-0000-000000000000';
+
+describe('Special agents', function() {
+    let dir;
+    let trustedIdentity;
+    let sockets = [];
+    let clients = [];
+
+    // Dials the peer port as a special agent. Resolves once the node has
+    // answered the hello with a welcome, or has closed the socket.
+    const connectSpecialAgent = async (capabilities, identity = trustedIdentity) => {
+        const ws = new WebSocket(`ws://localhost:${TEST_PEER_PORT}`);
+        const agent = { ws, received: [], closed: false };
+        sockets.push(ws);
+
+        agent.send = (msg) => {
+            const full = { msg_id: uuid.v4(), ttl: 0, payload: {}, from: { node_id: agent.nodeId, conn_id: agent.connId }, ...msg };
+            ws.send(JSON.stringify(full));
+            return full;
+        };
+        agent.next = (check) => new Promise((resolve) => {
+            const found = agent.received.find(check);
+            if (found) {
+                return resolve(found);
+            }
+            const listener = (data) => {
+                const msg = JSON.parse(data.toString());
+                if (check(msg)) {
+                    ws.off('message', listener);
+                    resolve(msg);
+                }
+            };
+            ws.on('message', listener);
+        });
+
+        ws.on('message', (data) => agent.received.push(JSON.parse(data.toString())));
+
+        const token = await createAttestation(identity.urn, identity.keypair, {
+            purpose: 'special-agent-connect',
+            identifier: 'echo-agent'
+        });
+        await new Promise((resolve) => ws.once('open', resolve));
+        ws.send(JSON.stringify({
+            type: 'agent_control',
+            msg_type: 'hello',
+            msg_id: uuid.v4(),
+            from: { node_id: NULL_ID, conn_id: NULL_ID },
+            ttl: 0,
+            payload: { agentType: 'echo', capabilities, token }
+        }));
+
+        await new Promise((resolve) => {
+            ws.once('close', () => {
+                agent.closed = true;
+                resolve();
+            });
+            agent.next((msg) => msg.msg_type === 'welcome').then((welcome) => {
+                agent.nodeId = welcome.payload.node_id;
+                agent.connId = welcome.payload.conn_id;
+                resolve();
+            });
+        });
+        return agent;
+    };
+
+    const connectClient = async () => {
+        const identity = await createVouchsafeIdentity('agent-alice');
+        const client = new PanClient({
+            url: `ws://localhost:${TEST_AGENT_PORT}`,
+            server_urn: SERVER_URN,
+            token: () => createAttestation(identity.urn, identity.keypair, {
+                purpose: 'agent-connect',
+                identifier: 'agent alice'
+            }),
+            reconnect: false,
+            request_timeout_ms: 2000
+        });
+        clients.push(client);
+        await client.connect();
+        return client;
+    };
+
+    before(async function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pan-special-agent-test-'));
+        trustedIdentity = await createVouchsafeIdentity('echo-agent');
+
+        const specialTrustFile = path.join(dir, 'trusted_special_agents.json');
+        fs.writeFileSync(specialTrustFile, JSON.stringify({
+            trusted_issuers: { [trustedIdentity.urn]: ['special-agent-connect'] }
+        }));
+
+        await startNode({
+            peer_server: {
+                port: TEST_PEER_PORT,
+                trusted_peers_config_file: 'data/trusted_peers.json',
+                trusted_special_agents_config_file: specialTrustFile
+            },
+            agent_server: {
+                port: TEST_AGENT_PORT,
+                identity: { identity_file: 'data/pan_server.json' }
+            },
+            peer_router: {},
+            agent_router: {},
+            group_manager: {},
+            agent_registry: {},
+            agent_auth_manager: {
+                order: ['local'],
+                methods: {
+                    local: {
+                        type: 'local',
+                        allow_untrusted_agents: true,
+                        trusted_agents_config_file: 'data/trusted_agents.json'
+                    }
+                }
+            },
+            logging: { log_level: 'warn' }
+        });
+    });
+
+    after(async function() {
+        clients.forEach((client) => client.disconnect());
+        sockets.forEach((ws) => ws.close());
+        await stopNode();
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('handshake', function() {
+
+        it('should welcome a trusted special agent and find it by capability', async function() {
+            const agent = await connectSpecialAgent(['echo']);
+
+            assert.strictEqual(agent.closed, false);
+            assert.strictEqual(agent.nodeId, panApp.getNodeId());
+            assert.ok(panApp.use('specialAgentRegistry').findAgentsByCapability('echo').includes(agent.connId));
+            assert.ok(panApp.use('agentRegistry').getAgent(agent.connId));
+        });
+
+        it('should refuse a special agent that advertises no capabilities', async function() {
+            const agent = await connectSpecialAgent([]);
+
+            assert.strictEqual(agent.closed, true);
+            assert.strictEqual(agent.connId, undefined);
+        });
+
+        it('should refuse a special agent whose token it does not trust', async function() {
+            const agent = await connectSpecialAgent(['echo'], await createVouchsafeIdentity('stranger'));
+
+            assert.strictEqual(agent.closed, true);
+            assert.strictEqual(agent.received[0].payload.error_type, 'auth.failed');
+        });
+    });
+
+    describe('routing', function() {
+
+        it('should carry direct messages between a special agent and an agent', async function() {
+            const agent = await connectSpecialAgent(['echo']);
+            const alice = await connectClient();
+
+            const toAlice = new Promise((resolve) => alice.on('direct', resolve));
+            agent.send({ type: 'direct', to: { node_id: alice.nodeId, conn_id: alice.connId }, msg_type: 'note', payload: { n: 1 } });
+            assert.strictEqual((await toAlice).from.conn_id, agent.connId);
+
+            alice.sendDirect({ node_id: agent.nodeId, conn_id: agent.connId }, 'note', { n: 2 });
+            const toAgent = await agent.next((msg) => msg.type === 'direct');
+            assert.deepStrictEqual(toAgent.payload, { n: 2 });
+        });
+
+        // The split: groups are joined by their plain id, like any agent
+        // does, but broadcasts name the group's node as <node_id>:<group>.
+        it('should join a group by its id and broadcast to it as <node_id>:<group>', async function() {
+            const agent = await connectSpecialAgent(['echo']);
+            const alice = await connectClient();
+            const group = uuid.v4();
+
+            const join = agent.send({ type: 'agent_control', msg_type: 'join_group', payload: { group, msg_types: ['chat'] } });
+            const joined = await agent.next((msg) => msg.in_response_to === join.msg_id);
+            assert.strictEqual(joined.payload.status, 'ok');
+            await alice.joinGroup(group, ['chat']);
+
+            const toAlice = new Promise((resolve) => alice.on('broadcast', resolve));
+            agent.send({ type: 'broadcast', group: `${agent.nodeId}:${group}`, msg_type: 'chat', payload: { text: 'hi' } });
+            const heard = await toAlice;
+            assert.strictEqual(heard.group, group);
+            assert.strictEqual(heard.from.conn_id, agent.connId);
+
+            // what it receives carries the plain id
+            alice.broadcast(group, 'chat', { text: 'hello' });
+            const toAgent = await agent.next((msg) => msg.type === 'broadcast');
+            assert.strictEqual(toAgent.group, group);
+        });
+
+        it('should refuse a broadcast to another node\'s group', async function() {
+            const agent = await connectSpecialAgent(['echo']);
+
+            const sent = agent.send({ type: 'broadcast', group: `${uuid.v4()}:${uuid.v4()}`, msg_type: 'chat', payload: {} });
+            const error = await agent.next((msg) => msg.in_response_to === sent.msg_id);
+            assert.strictEqual(error.payload.error_type, 'invalid_group');
+        });
+    });
+});
@@ -79,6 +79,115 @@ describe('PAN Validators', function() {
             };
             assert.strictEqual(validateIncomingAgentMessage(msg, localNodeId), true);
         });
+
+        it('should accept a direct agent message addressed to a capability', function() {
+            const msg = {
+                type: 'direct',
+                msg_id: 'aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee',
+                from: { node_id: localNodeId, conn_id: 'connAgent' },
+                msg_type: 'print.job',
+                payload: { doc: 'a' },
+                ttl: 1,
+                to_capability: 'print.pdf'
+            };
+            assert.strictEqual(validateIncomingAgentMessage(msg), true);
+        });
+
+        it('should reject a malformed capability name', function() {
+            const msg = {
+                type: 'direct',
+                msg_id: 'aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee',
+                from: { node_id: localNodeId, conn_id: 'connAgent' },
+                msg_type: 'print.job',
+                payload: { doc: 'a' },
+                ttl: 1,
+                to_capability: 'print pdf'
+            };
+            assert.strictEqual(validateIncomingAgentMessage(msg), false);
+        });
+
+        it('should check the request fields of a message addressed to a capability', function() {
+            const msg = {
+                type: 'direct',
+                msg_id: 'aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee',
+                from: { node_id: localNodeId, conn_id: 'connAgent' },
+                msg_type: 'print.job',
+                payload: { doc: 'a' },
+                ttl: 1,
+                to_capability: 'print.pdf'
+            };
+            assert.strictEqual(validateIncomingAgentMessage({ ...msg, ack_required: 'yes' }), false);
+            assert.strictEqual(validateIncomingAgentMessage({ ...msg, expects_reply: 1 }), false);
+            assert.strictEqual(validateIncomingAgentMessage({ ...msg, in_response_to: 'req1' }), false);
+        });
+
+        it('should accept a direct agent message with ack_required', function() {
+            const msg = {
+                type: 'direct',
+                msg_id: 'aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee',
+                from: { node_id: localNodeId, conn_id: 'connAgent' },
+                msg_type: 'chat.message',
+                payload: { text: 'hi' },
+                ttl: 1,
+                to: { node_id: 'bbbbbbbb-cccc-dddd-eeee-ffffffffffff', conn_id: 'conn456' },
+                ack_required: true
+            };
+            assert.strictEqual(validateIncomingAgentMessage(msg), true);
+        });
+
+        it('should reject an ack_required flag that is not a boolean', function() {
+            const msg = {
+                type: 'direct',
+                msg_id: 'aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee',
+                from: { node_id: localNodeId, conn_id: 'connAgent' },
+                msg_type: 'chat.message',
+                payload: { text: 'hi' },
+                ttl: 1,
+                to: { node_id: 'bbbbbbbb-cccc-dddd-eeee-ffffffffffff', conn_id: 'conn456' },
+                ack_required: 'yes'
+            };
+            assert.strictEqual(validateIncomingAgentMessage(msg), false);
+            assert.strictEqual(validateIncomingPeerMessage({ ...msg, type: 'peer_direct' }), false);
+        });
+
+        it('should accept a request and a reply', function() {
+            const request = {
+                type: 'direct',
+                msg_id: 'aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee',
+                from: { node_id: localNodeId, conn_id: 'connAgent' },
+                msg_type: 'echo',
+                payload: {},
+                ttl: 1,
+                to: { node_id: 'bbbbbbbb-cccc-dddd-eeee-ffffffffffff', conn_id: 'conn456' },
+                expects_reply: true,
+                reply_timeout_ms: 5000
+            };
+            const reply = {
+                ...request,
+                msg_id: 'cccccccc-cccc-cccc-cccc-cccccccccccc',
+                msg_type: 'echo.reply',
+                expects_reply: undefined,
+                reply_timeout_ms: undefined,
+                in_response_to: request.msg_id
+            };
+            assert.strictEqual(validateIncomingAgentMessage(request), true);
+            assert.strictEqual(validateIncomingAgentMessage(reply), true);
+        });
+
+        it('should reject malformed request and reply fields', function() {
+            const msg = {
+                type: 'direct',
+                msg_id: 'aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee',
+                from: { node_id: localNodeId, conn_id: 'connAgent' },
+                msg_type: 'echo',
+                payload: {},
+                ttl: 1,
+                to: { node_id: 'bbbbbbbb-cccc-dddd-eeee-ffffffffffff', conn_id: 'conn456' }
+            };
+            assert.strictEqual(validateIncomingAgentMessage({ ...msg, expects_reply: 1 }), false);
+            assert.strictEqual(validateIncomingAgentMessage({ ...msg, expects_reply: true, reply_timeout_ms: 0 }), false);
+            assert.strictEqual(validateIncomingAgentMessage({ ...msg, in_response_to: 'req1' }), false);
+        });
     });
 
     describe('Peer Messages', function() {
@@ -106,6 +215,71 @@ describe('PAN Validators', function() {
             };
             assert.strictEqual(validateIncomingPeerMessage(msg), false);
         });
+
+        it('should accept a peer_broadcast with a group id', function() {
+            const msg = {
+                type: 'peer_broadcast',
+                msg_id: 'eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee',
+                from: { node_id: localNodeId, conn_id: 'connAgent' },
+                msg_type: 'chat.message',
+                payload: { text: 'hi' },
+                ttl: 8,
+                group: 'aaaaaaaa-bbbb-cccc-dddd-eeeeeeeeeeee'
+            };
+            assert.strictEqual(validateIncomingPeerMessage(msg), true);
+        });
+
+        it('should reject a peer_broadcast without a valid group id', function() {
+            const msg = {
+                type: 'peer_broadcast',
+                msg_id: 'eeeeeeee-eeee-eeee-eeee-eeeeeeeeeeee',
+                from: { node_id: localNodeId, conn_id: 'connAgent' },
+                msg_type: 'chat.message',
+                payload: { text: 'hi' },
+                ttl: 8,
+                group: 'general'
+            };
+            assert.strictEqual(validateIncomingPeerMessage(msg), false);
+        });
+
+        it('should accept a peer_direct message addressed to an agent', function() {
+            const msg = {
+                type: 'peer_direct',
+                msg_id: 'ffffffff-ffff-ffff-ffff-ffffffffffff',
+                from: { node_id: localNodeId, conn_id: 'connAgent' },
+                msg_type: 'chat.message',
+                payload: { text: 'hi' },
+                ttl: 8,
+                to: { node_id: 'bbbbbbbb-cccc-dddd-eeee-ffffffffffff', conn_id: 'conn456' }
+            };
+            assert.strictEqual(validateIncomingPeerMessage(msg), true);
+        });
+
+        it('should reject a peer_direct message without a target agent', function() {
+            const msg = {
+                type: 'peer_direct',
+                msg_id: 'ffffffff-ffff-ffff-ffff-ffffffffffff',
+                from: { node_id: localNodeId, conn_id: 'connAgent' },
+                msg_type: 'chat.message',
+                payload: { text: 'hi' },
+                ttl: 8,
+                to: { node_id: 'bbbbbbbb-cccc-dddd-eeee-ffffffffffff' }
+            };
+            assert.strictEqual(validateIncomingPeerMessage(msg), false);
+        });
+
+        it('should reject a routed peer_control message with a bad destination', function() {
+            const msg = {
+                type: 'peer_control',
+                msg_id: 'dddddddd-dddd-dddd-dddd-dddddddddddd',
+                from: { node_id: localNodeId, conn_id: localNodeId },
+                msg_type: 'delivery_ack',
+                payload: {},
+                ttl: 8,
+                to: { node_id: 'not-a-node' }
+            };
+            assert.strictEqual(validateIncomingPeerMessage(msg), false);
+        });
     });
 
 });
@@ -67,6 +67,24 @@ function initializeLogger(config = {}) {
   }
 }
 
+/**
+ * Changes the log level of the running logger.
+ *
+ * @param {string} level - one of error, warn, info, debug, verbose, silly
+ * @returns {boolean} false if the level is unknown or the logger is not initialized
+ */
+function setLogLevel(level) {
+  if (!loggerInstance || !Object.prototype.hasOwnProperty.call(customLevels.levels, level)) {
+    return false;
+  }
+  loggerInstance.level = level;
+  return true;
+}
+
+function getLogLevel() {
+  return loggerInstance?.level;
+}
+
 function getLogger() {
   if (!loggerInstance) {
     throw new Error('Logger not initialized. Call initializeLogger(config) before use.');
@@ -92,6 +110,8 @@ function log_scrub(data) {
 module.exports = {
   initializeLogger,
   getLogger,
+  setLogLevel,
+  getLogLevel,
   log,
   log_scrub,
 };
@@ -0,0 +1,157 @@
+// utils/metrics.js
+//
+// A small in-process metrics registry rendered in the Prometheus text
+// exposition format.
+//
+// Modules define the metrics they update when they load (defining the
+// same name twice is harmless). Counters and histograms are updated as
+// things happen; gauges are read from a collect() function at scrape time.
+
+const metrics = new Map(); // name → { type, help, ... }
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function labelKey(labels = {}) {
+  return JSON.stringify(Object.keys(labels).sort().map((key) => [key, String(labels[key])]));
+}
+
+function formatLabels(labels = {}, extra = {}) {
+  const all = { ...labels, ...extra };
+  const keys = Object.keys(all);
+
+  if (keys.length === 0) {
+    return '';
+  }
+
+  const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${keys.map((key) => `${key}="${escape(all[key])}"`).join(',')}}`;
+}
+
+function define(name, type, help, extra) {
+  if (!metrics.has(name)) {
+    metrics.set(name, { type, help, series: new Map(), ...extra });
+  }
+  return metrics.get(name);
+}
+
+function defineCounter(name, help) {
+  define(name, 'counter', help);
+}
+
+/**
+ * @param {function} collect - Returns a number, or [{ labels, value }].
+ */
+function defineGauge(name, help, collect) {
+  define(name, 'gauge', help).collect = collect;
+}
+
+function defineHistogram(name, help, buckets = DEFAULT_BUCKETS) {
+  define(name, 'histogram', help, { buckets });
+}
+
+function inc(name, labels = {}, value = 1) {
+  const metric = metrics.get(name);
+
+  if (!metric || metric.type !== 'counter') {
+    return;
+  }
+
+  const key = labelKey(labels);
+  const series = metric.series.get(key) || { labels, value: 0 };
+  series.value += value;
+  metric.series.set(key, series);
+}
+
+function observe(name, value, labels = {}) {
+  const metric = metrics.get(name);
+
+  if (!metric || metric.type !== 'histogram') {
+    return;
+  }
+
+  const key = labelKey(labels);
+
+  if (!metric.series.has(key)) {
+    metric.series.set(key, { labels, counts: metric.buckets.map(() => 0), sum: 0, count: 0 });
+  }
+
+  const series = metric.series.get(key);
+
+  metric.buckets.forEach((bound, i) => {
+    if (value <= bound) {
+      series.counts[i]++;
+    }
+  });
+  series.sum += value;
+  series.count++;
+}
+
+function renderGauge(name, metric, lines) {
+  let values;
+
+  try {
+    values = metric.collect();
+  } catch (err) {
+    return; // the subsystem behind it isn't available
+  }
+
+  if (typeof values === 'number') {
+    values = [{ labels: {}, value: values }];
+  }
+
+  for (const { labels, value } of values || []) {
+    lines.push(`${name}${formatLabels(labels)} ${value}`);
+  }
+}
+
+/**
+ * Renders every metric in the Prometheus text format.
+ *
+ * @returns {string}
+ */
+function render() {
+  const lines = [];
+
+  for (const [name, metric] of metrics) {
+    lines.push(`# HELP ${name} ${metric.help}`);
+    lines.push(`# TYPE ${name} ${metric.type}`);
+
+    if (metric.type === 'gauge') {
+      renderGauge(name, metric, lines);
+    } else if (metric.type === 'counter') {
+      for (const { labels, value } of metric.series.values()) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+    } else {
+      for (const { labels, counts, sum, count } of metric.series.values()) {
+        metric.buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels(labels, { le: bound })} ${counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labels, { le: '+Inf' })} ${count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+      }
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Zeroes every counter and histogram. Definitions are kept.
+ */
+function reset() {
+  for (const metric of metrics.values()) {
+    metric.series.clear();
+  }
+}
+
+module.exports = {
+  defineCounter,
+  defineGauge,
+  defineHistogram,
+  inc,
+  observe,
+  render,
+  reset
+};
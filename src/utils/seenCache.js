@@ -0,0 +1,60 @@
+// utils/seenCache.js
+//
+// Remembers recently seen ids (usually msg_ids) for a fixed window so
+// messages that loop back through the mesh can be dropped.
+//
+// Every entry lives for the same window, so insertion order is also
+// expiry order and expired entries are always at the front of the Map.
+// Pruning is done lazily on add; no timers are involved.
+
+function createSeenCache(config = {}) {
+  const WINDOW_MS = (config.window_seconds ?? 60) * 1000;
+  const MAX_ENTRIES = config.max_entries ?? 100000;
+
+  const entries = new Map(); // id → expiry timestamp
+
+  function prune(now) {
+    for (const [id, expires] of entries) {
+      if (expires > now && entries.size <= MAX_ENTRIES) {
+        break;
+      }
+      entries.delete(id);
+    }
+  }
+
+  function has(id) {
+    const expires = entries.get(id);
+    return expires !== undefined && expires > Date.now();
+  }
+
+  function add(id) {
+    const now = Date.now();
+    entries.delete(id);
+    entries.set(id, now + WINDOW_MS);
+    prune(now);
+  }
+
+  /**
+   * Records the id and reports whether it had already been seen.
+   *
+   * @param {string} id
+   * @returns {boolean} true if the id was already in the cache
+   */
+  function checkAndAdd(id) {
+    const seen = has(id);
+    if (!seen) {
+      add(id);
+    }
+    return seen;
+  }
+
+  return {
+    has,
+    add,
+    checkAndAdd,
+    size: () => entries.size,
+    clear: () => entries.clear()
+  };
+}
+
+module.exports = { createSeenCache };
@@ -7,7 +7,7 @@
 // Usage:
 // - First call the appropriate validateIncomingXMessage(msg)
 //   - validateIncomingAgentMessage(msg)
-//   - validateIncomingAgentMessage(msg, localNodeId)
+//   - validateIncomingSpecialAgentMessage(msg, localNodeId)
 //   - validateIncomingPeerMessage(msg)
 // - These return `true` (valid) or `false` (invalid)
 // - If invalid, immediately close the connection.
@@ -73,6 +73,14 @@ function validateAgentMessage(msg) {
 
     switch (msg.type) {
         case 'direct':
+            if (msg.ack_required !== undefined && typeof msg.ack_required !== 'boolean') return false;
+            if (msg.expects_reply !== undefined && typeof msg.expects_reply !== 'boolean') return false;
+            if (msg.reply_timeout_ms !== undefined && (!Number.isInteger(msg.reply_timeout_ms) || msg.reply_timeout_ms <= 0)) return false;
+            if (msg.in_response_to !== undefined && !isFastUuid(msg.in_response_to)) return false;
+            // a request to whichever special agent provides a capability
+            if (msg.to === undefined && typeof msg.to_capability === 'string') {
+                return msg.to_capability.length <= 64 && VALID_MSG_TYPE.test(msg.to_capability);
+            }
             if (!msg.to || typeof msg.to.node_id !== 'string' || !isFastUuid(msg.to.node_id)) return false;
             if (typeof msg.to.conn_id !== 'string') return false;
             return true;
@@ -91,17 +99,20 @@ function validateAgentMessage(msg) {
 
 // --- Special agent-specific validation ---
 function validateSpecialAgentMessage(msg, localNodeId) {
-    if (!constants.VALID_AGENT_MESSAGE_TYPES.includes(msg.type)) return false;
+    if (!constants.VALID_SPECIAL_AGENT_MESSAGE_TYPES.includes(msg.type)) return false;
 
     switch (msg.type) {
         case 'direct':
+            // replies to capability requests are routed by in_response_to
+            if (msg.to === undefined && isFastUuid(msg.in_response_to)) return true;
             if (!msg.to || typeof msg.to.node_id !== 'string' || !isFastUuid(msg.to.node_id)) return false;
             if (typeof msg.to.conn_id !== 'string') return false;
-            if (msg.to.node_id !== localNodeId || msg.to.conn_id !== localNodeId) return false;
             return true;
 
         case 'broadcast':
+            // extended group id: <node_id>:<group>
             if (!msg.group || typeof msg.group !== 'string' || msg.group.length !== EXTENDED_GROUP_ID_LENGTH) return false;
+            if (msg.group[36] !== ':' || !isFastUuid(msg.group.slice(0, 36))) return false;
             return true;
 
         case 'agent_control':
@@ -116,8 +127,25 @@ function validateSpecialAgentMessage(msg, localNodeId) {
 function validatePeerMessage(msg) {
     if (!constants.VALID_PEER_MESSAGE_TYPES.includes(msg.type)) return false;
 
-    // No extra peer fields beyond base validation at this time
-    return true;
+    switch (msg.type) {
+        case 'peer_control':
+            // routed control messages name their destination node
+            if (msg.to !== undefined && (!msg.to || !isFastUuid(msg.to.node_id))) return false;
+            return true;
+
+        case 'peer_direct':
+            if (!msg.to || typeof msg.to.node_id !== 'string' || !isFastUuid(msg.to.node_id)) return false;
+            if (typeof msg.to.conn_id !== 'string') return false;
+            if (msg.ack_required !== undefined && typeof msg.ack_required !== 'boolean') return false;
+            return true;
+
+        case 'peer_broadcast':
+            if (!msg.group || typeof msg.group !== 'string' || msg.group.length !== 36) return false;
+            return true;
+
+        default:
+            return true; // No extra fields required
+    }
 }
 
 // --- Public functions for fast validation of incoming messages ---
@@ -129,7 +157,7 @@ function validateIncomingAgentMessage(msg) {
 
 function validateIncomingSpecialAgentMessage(msg, localNodeId) {
     return isValidBaseFields(msg, { isAgent: true }) &&
-           validateAgentMessage(msg, localNodeId);
+           validateSpecialAgentMessage(msg, localNodeId);
 }
 
 function validateIncomingPeerMessage(msg) {
@@ -141,9 +169,9 @@ module.exports = {
     isFastUuid,
     isValidBaseFields,
     validateAgentMessage,
-    validateAgentMessage,
+    validateSpecialAgentMessage,
     validatePeerMessage,
     validateIncomingAgentMessage,
-    validateIncomingAgentMessage,
+    validateIncomingSpecialAgentMessage,
     validateIncomingPeerMessage
 };